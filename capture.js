@@ -10,6 +10,12 @@ const { v4: uuidv4 } = require('uuid');
 const { Worker } = require('worker_threads');
 const Queue = require('better-queue'); 
 const archiver = require('archiver');
+const crypto = require('crypto');
+const { WAIT_UNTIL_OPTIONS, PDF_FORMATS, parseViewport, parseTimeout, getDevice, listDevices, capturePage } = require('./lib/browser');
+const { FetchRejectedError, assertSafeUrl, isSafeUrl } = require('./lib/safeFetch');
+const { normalizeTargetUrl } = require('./lib/analyzer');
+const { parseAudioOptions, audioTarget, chooseAudioSource, transcodeAudio } = require('./lib/audio');
+const { DEFAULT_FORMAT, parseFormatOption, selectFormats, selectionItags } = require('./lib/formatSelector');
 
 const app = express();
 
@@ -90,26 +96,40 @@ app.get('/api/info', async (req, res) => {
 app.get('/api/download', async (req, res) => {
   try {
     const url = req.query.url;
-    const itag = req.query.format;
 
     if (!ytdl.validateURL(url)) {
       return res.status(400).send('Invalid YouTube URL');
     }
 
+    const { format: formatExpression, error: formatError } = parseFormatOption(req.query);
+    if (formatError) return res.status(400).send(formatError);
+
+    const { audio, error: audioError } = parseAudioOptions(req.query);
+    if (audioError) return res.status(400).send(audioError);
+
     const info = await ytdl.getInfo(url);
-    const format = info.formats.find(f => f.itag === parseInt(itag));
-    if (!format) return res.status(400).send('Invalid format');
+    const { selection, error: selectionError } = formatExpression || !audio
+      ? selectFormats(info.formats, formatExpression)
+      : { selection: null };
+    if (selectionError) return res.status(400).send(selectionError);
+    const format = selection && selection.format;
 
     const title = info.videoDetails.title.replace(/[^\w\s]/gi, '');
 
-    if ((format.hasAudio && format.hasVideo) || (format.hasAudio && !format.hasVideo)) {
+    if (audio) {
+      return streamAudio(res, info, selection && (selection.audioFormat || format), audio, title);
+    }
+
+    if (format.hasAudio && !selection.audioFormat) {
+      res.header('X-Format-Itags', selectionItags(selection).join(','));
       res.header('Content-Disposition', `attachment; filename="${title}.${format.container}"`);
+      res.type(format.mimeType.split(';')[0]);
       if (format.contentLength) {
         res.header('Content-Length', format.contentLength);
       }
       ytdl(url, { format }).pipe(res);
     } else {
-      res.status(400).send('Please use /api/download/start for video-only formats');
+      res.status(400).send('Please use /api/download/start for video-only formats and merges');
     }
   } catch (error) {
     console.error('Download error:', error);
@@ -117,36 +137,81 @@ app.get('/api/download', async (req, res) => {
   }
 });
 
+async function streamAudio(res, info, format, audio, title) {
+  const sourceFormat = chooseAudioSource(info, format);
+  if (!sourceFormat) return res.status(400).send('No suitable audio format found');
+
+  const target = audioTarget(audio);
+  const workPath = path.join(tempDir, uuidv4());
+  // Containers that rewrite their header at the end are transcoded to a file first.
+  const outputPath = target.streamable ? null : `${workPath}-output.${target.extension}`;
+
+  try {
+    res.header('X-Format-Itags', String(sourceFormat.itag));
+    if (target.streamable) {
+      res.header('Content-Disposition', `attachment; filename="${title}.${target.extension}"`);
+      res.type(target.mimeType);
+    }
+
+    await transcodeAudio({
+      info,
+      input: ytdl.downloadFromInfo(info, { format: sourceFormat }),
+      output: outputPath || res,
+      audio,
+      workPath
+    });
+
+    if (outputPath) {
+      res.download(outputPath, `${title}.${target.extension}`, () => cleanupFiles([outputPath]));
+    }
+  } catch (error) {
+    console.error('Audio download error:', error);
+    cleanupFiles([outputPath]);
+    if (res.headersSent) {
+      res.destroy();
+    } else {
+      res.status(500).send(error.message);
+    }
+  }
+}
+
 app.get('/api/download/start', async (req, res) => {
   try {
     const url = req.query.url;
-    const itag = req.query.format;
     
     if (!ytdl.validateURL(url)) {
       return res.status(400).json({ error: 'Invalid YouTube URL' });
     }
     
+    const { format: formatExpression, error: formatError } = parseFormatOption(req.query);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+    
     const jobId = uuidv4();
     
     const info = await ytdl.getInfo(url);
-    const format = info.formats.find(f => f.itag === parseInt(itag));
+    const { selection, error: selectionError } = selectFormats(info.formats, formatExpression || DEFAULT_FORMAT);
+    if (selectionError) {
+      return res.status(400).json({ error: selectionError });
+    }
     
-    if (!format) {
-      return res.status(400).json({ error: 'Invalid format' });
+    const format = selection.format;
+    // A video-only pick still gets the best audio; muxed and audio-only picks are converted as they are.
+    let audioFormat = selection.audioFormat;
+    if (!audioFormat && format.hasVideo && !format.hasAudio) {
+      audioFormat = ytdl.chooseFormat(info.formats, { quality: 'highestaudio' });
+      if (!audioFormat) {
+        return res.status(400).json({ error: 'No suitable audio format found' });
+      }
     }
     
     const title = info.videoDetails.title.replace(/[^\w\s]/gi, '');
     
     const videoPath = path.join(tempDir, `${jobId}-video.${format.container}`);
-    const audioPath = path.join(tempDir, `${jobId}-audio.mp4`);
+    const audioPath = audioFormat ? path.join(tempDir, `${jobId}-audio.${audioFormat.container}`) : null;
     const outputPath = path.join(tempDir, `${jobId}-output.mp4`);
     
-    const audioFormat = ytdl.chooseFormat(info.formats, { quality: 'highestaudio' });
-    
-    if (!audioFormat) {
-      return res.status(400).json({ error: 'No suitable audio format found' });
-    }
-    
     activeJobs.set(jobId, {
       id: jobId,
       url,
@@ -164,6 +229,7 @@ app.get('/api/download/start', async (req, res) => {
     
     res.json({
       jobId,
+      itags: [format, audioFormat].filter(Boolean).map(f => f.itag),
       message: 'Download started'
     });
     
@@ -221,86 +287,60 @@ app.get('/api/download/file', (req, res) => {
   }, 60000); 
 });
 
-async function processDownload(jobId, url, format, audioFormat, videoPath, audioPath, outputPath) {
-  try {
-    const videoWriteStream = fs.createWriteStream(videoPath);
-    const videoDownload = ytdl(url, { format });
-    
-    let videoTotalBytes = 0;
-    let videoDownloadedBytes = 0;
-    
-    videoDownload.on('response', (res) => {
-      videoTotalBytes = parseInt(res.headers['content-length'], 10);
-    });
-    
-    let lastVideoProgressUpdate = Date.now();
-    videoDownload.on('data', (chunk) => {
-      videoDownloadedBytes += chunk.length;
-      
-      if (videoTotalBytes > 0) {
-        const now = Date.now();
-        if (now - lastVideoProgressUpdate >= 100) {
-          const videoProgress = (videoDownloadedBytes / videoTotalBytes) * 40;
-          const job = activeJobs.get(jobId);
-          if (job) job.progress = Math.min(40, videoProgress);
-          lastVideoProgressUpdate = now;
-        }
-      }
-    });
-  
-    videoDownload.pipe(videoWriteStream);
+// Streams one format to `filePath`, moving the job's progress from `from` to `to` percent.
+async function downloadWithProgress(jobId, url, format, filePath, from, to) {
+  const writeStream = fs.createWriteStream(filePath);
+  const download = ytdl(url, { format });
   
-    await new Promise((resolve, reject) => {
-      videoWriteStream.on('finish', resolve);
-      videoWriteStream.on('error', reject);
-      videoDownload.on('error', reject);
-    });
+  let totalBytes = 0;
+  let downloadedBytes = 0;
   
-    const job = activeJobs.get(jobId);
-    if (!job) return;
-    job.progress = 40;
+  download.on('response', (res) => {
+    totalBytes = parseInt(res.headers['content-length'], 10);
+  });
   
-    const audioWriteStream = fs.createWriteStream(audioPath);
-    const audioDownload = ytdl(url, { format: audioFormat });
-    
-    let audioTotalBytes = 0;
-    let audioDownloadedBytes = 0;
-    
-    audioDownload.on('response', (res) => {
-      audioTotalBytes = parseInt(res.headers['content-length'], 10);
-    });
-    
-    let lastAudioProgressUpdate = Date.now();
-    audioDownload.on('data', (chunk) => {
-      audioDownloadedBytes += chunk.length;
-      
-      if (audioTotalBytes > 0) {
-        const now = Date.now();
-        if (now - lastAudioProgressUpdate >= 100) {
-          const audioProgress = 40 + (audioDownloadedBytes / audioTotalBytes) * 30;
-          const job = activeJobs.get(jobId);
-          if (job) job.progress = Math.min(70, audioProgress);
-          lastAudioProgressUpdate = now;
-        }
+  let lastProgressUpdate = Date.now();
+  download.on('data', (chunk) => {
+    downloadedBytes += chunk.length;
+    
+    if (totalBytes > 0) {
+      const now = Date.now();
+      if (now - lastProgressUpdate >= 100) {
+        const job = activeJobs.get(jobId);
+        if (job) job.progress = Math.min(to, from + (downloadedBytes / totalBytes) * (to - from));
+        lastProgressUpdate = now;
       }
-    });
+    }
+  });
   
-    audioDownload.pipe(audioWriteStream);
+  download.pipe(writeStream);
   
-    await new Promise((resolve, reject) => {
-      audioWriteStream.on('finish', resolve);
-      audioWriteStream.on('error', reject);
-      audioDownload.on('error', reject);
-    });
+  await new Promise((resolve, reject) => {
+    writeStream.on('finish', resolve);
+    writeStream.on('error', reject);
+    download.on('error', reject);
+  });
+}
+
+// `audioFormat` is null when `format` already carries the audio (or is audio only).
+async function processDownload(jobId, url, format, audioFormat, videoPath, audioPath, outputPath) {
+  try {
+    await downloadWithProgress(jobId, url, format, videoPath, 0, audioFormat ? 40 : 70);
+    if (!activeJobs.has(jobId)) return;
+  
+    if (audioFormat) {
+      await downloadWithProgress(jobId, url, audioFormat, audioPath, 40, 70);
+    }
   
     const jobAfterAudio = activeJobs.get(jobId);
     if (!jobAfterAudio) return; // Job might have been removed
     jobAfterAudio.progress = 70;
   
     await new Promise((resolve, reject) => {
-      ffmpeg()
-        .input(videoPath)
-        .input(audioPath)
+      const command = ffmpeg().input(videoPath);
+      if (audioFormat) command.input(audioPath);
+      
+      command
         .outputOptions([
           '-c:v copy',
           '-c:a aac',
@@ -899,6 +939,201 @@ setInterval(() => {
   }
 }, 6 * 3600000);
 
+// ==========================================
+// PAGE CAPTURE IMPLEMENTATION
+// ==========================================
+
+const captureDir = path.join(tempDir, 'captures');
+if (!fs.existsSync(captureDir)) {
+  fs.mkdirSync(captureDir, { recursive: true });
+}
+
+const CAPTURE_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  pdf: 'application/pdf'
+};
+
+const CAPTURE_CACHE_MAX_ENTRIES = parseInt(process.env.CAPTURE_CACHE_MAX_ENTRIES, 10) || 200;
+const CAPTURE_CACHE_MAX_BYTES = parseInt(process.env.CAPTURE_CACHE_MAX_BYTES, 10) || 500 * 1024 * 1024;
+
+const captureCache = new Map();
+const pendingCaptures = new Map();
+let captureCacheBytes = 0;
+
+function removeCapture(cacheKey) {
+  const entry = captureCache.get(cacheKey);
+  if (!entry) return;
+  
+  captureCache.delete(cacheKey);
+  captureCacheBytes -= entry.size;
+}
+
+function storeCapture(cacheKey, entry) {
+  // A refreshed capture reuses the file path, so only the bookkeeping is dropped here.
+  removeCapture(cacheKey);
+  captureCache.set(cacheKey, entry);
+  captureCacheBytes += entry.size;
+  
+  // Map keeps insertion order, so the first keys are the oldest captures.
+  while (captureCache.size > 1 && (captureCache.size > CAPTURE_CACHE_MAX_ENTRIES || captureCacheBytes > CAPTURE_CACHE_MAX_BYTES)) {
+    const oldestKey = captureCache.keys().next().value;
+    cleanupFiles([captureCache.get(oldestKey).filePath]);
+    removeCapture(oldestKey);
+  }
+}
+
+function parseClip(value) {
+  const parts = String(value).split(',').map(part => Number(part.trim()));
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part) || part < 0)) {
+    return null;
+  }
+  
+  const [x, y, width, height] = parts;
+  if (width === 0 || height === 0) return null;
+  
+  return { x, y, width, height };
+}
+
+app.get('/api/capture/devices', (req, res) => {
+  res.json({ devices: listDevices() });
+});
+
+app.get('/api/capture', async (req, res) => {
+  try {
+    const targetUrl = normalizeTargetUrl(req.query.url);
+    
+    const type = req.query.type === 'jpg' ? 'jpeg' : (req.query.type || 'png');
+    if (!CAPTURE_TYPES[type]) {
+      return res.status(400).json({ error: `type must be one of: ${Object.keys(CAPTURE_TYPES).join(', ')}` });
+    }
+    
+    const viewport = parseViewport(req.query.viewport);
+    if (!viewport) {
+      return res.status(400).json({ error: 'Invalid viewport, expected WIDTHxHEIGHT' });
+    }
+    
+    const timeout = parseTimeout(req.query.timeout);
+    if (!timeout) {
+      return res.status(400).json({ error: 'Invalid timeout' });
+    }
+    
+    const waitUntil = req.query.waitUntil || 'networkidle2';
+    if (!WAIT_UNTIL_OPTIONS.includes(waitUntil)) {
+      return res.status(400).json({ error: `waitUntil must be one of: ${WAIT_UNTIL_OPTIONS.join(', ')}` });
+    }
+    
+    const device = req.query.device ? getDevice(req.query.device) : null;
+    if (req.query.device && !device) {
+      return res.status(400).json({ error: 'Unknown device, see /api/capture/devices' });
+    }
+    
+    const fullPage = req.query.fullPage === 'true';
+    const clip = req.query.clip ? parseClip(req.query.clip) : null;
+    if (req.query.clip && !clip) {
+      return res.status(400).json({ error: 'Invalid clip, expected x,y,width,height' });
+    }
+    if (clip && (fullPage || type === 'pdf')) {
+      return res.status(400).json({ error: 'clip cannot be combined with fullPage or pdf output' });
+    }
+    
+    const hideSelectors = [].concat(req.query.hide || []).map(selector => String(selector).trim()).filter(Boolean);
+    if (hideSelectors.some(selector => /[{}]/.test(selector))) {
+      return res.status(400).json({ error: 'Invalid hide selector' });
+    }
+    
+    const delay = Math.min(parseInt(req.query.delay, 10) || 0, 30000);
+    
+    let quality;
+    if (req.query.quality !== undefined && type !== 'png' && type !== 'pdf') {
+      quality = parseInt(req.query.quality, 10);
+      if (Number.isNaN(quality) || quality < 0 || quality > 100) {
+        return res.status(400).json({ error: 'quality must be between 0 and 100' });
+      }
+    }
+    
+    const pdfFormat = String(req.query.pdfFormat || 'a4').toLowerCase();
+    if (!PDF_FORMATS.includes(pdfFormat)) {
+      return res.status(400).json({ error: `pdfFormat must be one of: ${PDF_FORMATS.join(', ')}` });
+    }
+    
+    const pdf = {
+      format: pdfFormat,
+      landscape: req.query.landscape === 'true'
+    };
+    
+    const options = {
+      type,
+      timeout,
+      viewport,
+      device,
+      waitUntil,
+      fullPage,
+      clip,
+      hideSelectors,
+      delay,
+      quality,
+      pdf
+    };
+    
+    await assertSafeUrl(targetUrl);
+    
+    const cacheKey = crypto
+      .createHash('sha1')
+      .update(JSON.stringify({ targetUrl, ...options, device: req.query.device || null }))
+      .digest('hex');
+    
+    let cached = captureCache.get(cacheKey);
+    const cacheHit = !!cached && req.query.refresh !== 'true' && fs.existsSync(cached.filePath);
+    
+    if (!cacheHit) {
+      if (!pendingCaptures.has(cacheKey)) {
+        const capturePromise = capturePage(targetUrl, { ...options, requestFilter: isSafeUrl })
+          .then(buffer => {
+            const filePath = path.join(captureDir, `${cacheKey}.${type}`);
+            // A refresh replaces the file atomically so responses still streaming the old one are unaffected.
+            const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+            fs.writeFileSync(tempPath, buffer);
+            fs.renameSync(tempPath, filePath);
+            
+            const entry = { filePath, type, size: buffer.length, createdAt: Date.now() };
+            storeCapture(cacheKey, entry);
+            return entry;
+          })
+          .finally(() => pendingCaptures.delete(cacheKey));
+        
+        pendingCaptures.set(cacheKey, capturePromise);
+      }
+      
+      cached = await pendingCaptures.get(cacheKey);
+    }
+    
+    res.header('Content-Type', CAPTURE_TYPES[cached.type]);
+    res.header('Content-Length', cached.size);
+    res.header('Content-Disposition', `inline; filename="capture.${cached.type}"`);
+    res.header('X-Cache', cacheHit ? 'HIT' : 'MISS');
+    fs.createReadStream(cached.filePath).pipe(res);
+  } catch (error) {
+    if (error instanceof FetchRejectedError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    console.error('Error capturing page:', error.message);
+    res.status(500).json({ error: 'Failed to capture page', details: error.message });
+  }
+});
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [cacheKey, entry] of captureCache.entries()) {
+    if (now - entry.createdAt > 3600000) {
+      cleanupFiles([entry.filePath]);
+      removeCapture(cacheKey);
+    }
+  }
+}, 600000);
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,320 @@
+const cheerio = require('cheerio');
+const { WAIT_UNTIL_OPTIONS, parseViewport, parseTimeout, renderPage } = require('./browser');
+const { extractMedia } = require('./media');
+const { extractStructuredData } = require('./structuredData');
+const { getGlobalNames, getCookieNames, detectTechnologies } = require('./technologies');
+const { analyzeSecurity, getTlsInfo } = require('./security');
+const { analyzeAssets } = require('./assets');
+const { auditPage } = require('./audit');
+const { checkLinks } = require('./linkCheck');
+const { decodeHtml } = require('./charset');
+const { extractContent } = require('./content');
+const { createCookieJar } = require('./cookieJar');
+const {
+  parseRequestOptions,
+  getAuthorizationHeader,
+  mergeHeaders,
+  redactUrl,
+  redactSetCookie,
+  redactResponseHeaders,
+  describeRequest
+} = require('./requestOptions');
+const { FetchRejectedError, HTML_CONTENT_TYPES, assertSafeUrl, isSafeUrl, safeRequest } = require('./safeFetch');
+
+const DEFAULT_ACCEPT_LANGUAGE = 'en-US,en;q=0.5';
+
+const extractDomain = (urlString) => {
+  try {
+    const parsedUrl = new URL(urlString);
+    return parsedUrl.hostname;
+  } catch (e) {
+    return urlString;
+  }
+};
+
+const getRandomUserAgent = () => {
+  const userAgents = [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Safari/605.1.15',
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:90.0) Gecko/20100101 Firefox/90.0',
+    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/92.0.4515.107 Safari/537.36',
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 14_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1'
+  ];
+
+  return userAgents[Math.floor(Math.random() * userAgents.length)];
+};
+
+const normalizeTargetUrl = (value) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new FetchRejectedError('Missing url parameter');
+  }
+
+  const targetUrl = value.trim();
+  const scheme = /^([a-z][a-z0-9+.-]*):\/\//i.exec(targetUrl);
+
+  if (!scheme) {
+    return `https://${targetUrl}`;
+  }
+  if (!['http', 'https'].includes(scheme[1].toLowerCase())) {
+    throw new FetchRejectedError(`URL scheme ${scheme[1]}: is not allowed`);
+  }
+  return targetUrl;
+};
+
+function parseHeaderText(value, name, maxLength) {
+  if (value === undefined || value === '') return { value: undefined };
+  if (typeof value !== 'string' || value.length > maxLength || /[\r\n\0]/.test(value)) {
+    return { error: `Invalid ${name}` };
+  }
+  return { value };
+}
+
+// Accepts either req.query or a JSON body, so string and boolean flags both work.
+// Request customisation (`request`: headers, cookies, auth, proxy, body) is only read from JSON bodies.
+function parseAnalyzeOptions(source = {}) {
+  const isEnabled = (value) => value === true || value === 'true';
+  const render = isEnabled(source.render);
+
+  const userAgent = parseHeaderText(source.userAgent, 'userAgent', 512);
+  const acceptLanguage = parseHeaderText(source.acceptLanguage, 'acceptLanguage', 256);
+  if (userAgent.error || acceptLanguage.error) {
+    return { error: userAgent.error || acceptLanguage.error };
+  }
+
+  let request = null;
+  if (source.request !== undefined && source.request !== null) {
+    const parsed = parseRequestOptions(source.request);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    request = parsed.request;
+  }
+
+  const options = {
+    render,
+    tls: isEnabled(source.tls),
+    assets: isEnabled(source.assets),
+    links: isEnabled(source.links),
+    includeHtml: isEnabled(source.includeHtml),
+    userAgent: userAgent.value,
+    acceptLanguage: acceptLanguage.value,
+    request
+  };
+
+  if (!render) {
+    return { options };
+  }
+
+  if (request && (request.method !== 'GET' || request.proxy)) {
+    return { error: 'request.method POST and request.proxy are not supported with render' };
+  }
+
+  const viewport = parseViewport(source.viewport);
+  const timeout = parseTimeout(source.timeout);
+  const waitUntil = source.waitUntil || 'networkidle2';
+
+  if (!viewport) {
+    return { error: 'Invalid viewport, expected WIDTHxHEIGHT' };
+  }
+  if (!timeout) {
+    return { error: 'Invalid timeout' };
+  }
+  if (!WAIT_UNTIL_OPTIONS.includes(waitUntil)) {
+    return { error: `waitUntil must be one of: ${WAIT_UNTIL_OPTIONS.join(', ')}` };
+  }
+
+  Object.assign(options, {
+    viewport,
+    timeout,
+    waitUntil,
+    waitForSelector: source.waitFor
+  });
+
+  return { options };
+}
+
+// Caller headers and auth on top of the browser-like defaults; cookies are added per hop by the jar.
+function buildRequestHeaders(options, userAgent) {
+  const request = options.request || {};
+  const headers = mergeHeaders({
+    'User-Agent': userAgent,
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': options.acceptLanguage || DEFAULT_ACCEPT_LANGUAGE,
+    'Referer': 'https://www.google.com/',
+    'DNT': '1'
+  }, request.headers);
+
+  const authorization = getAuthorizationHeader(request.auth);
+  if (authorization) headers.Authorization = authorization;
+  if (request.body) headers['Content-Type'] = request.body.contentType;
+
+  return headers;
+}
+
+async function fetchPage(targetUrl, options = {}) {
+  const request = options.request || null;
+  const userAgent = options.userAgent || getRandomUserAgent();
+
+  if (options.render) {
+    await assertSafeUrl(targetUrl);
+
+    const headers = request ? mergeHeaders({}, request.headers) : {};
+    const authorization = getAuthorizationHeader(request && request.auth);
+    if (authorization) headers.Authorization = authorization;
+    if (options.acceptLanguage) headers['Accept-Language'] = options.acceptLanguage;
+
+    return renderPage(targetUrl, {
+      timeout: options.timeout,
+      viewport: options.viewport,
+      waitUntil: options.waitUntil,
+      waitForSelector: options.waitForSelector,
+      userAgent,
+      globals: getGlobalNames(),
+      requestFilter: isSafeUrl,
+      headers,
+      cookies: request ? request.cookies : []
+    });
+  }
+
+  const response = await safeRequest(targetUrl, {
+    method: request ? request.method.toLowerCase() : 'get',
+    data: request && request.body ? request.body.data : undefined,
+    headers: buildRequestHeaders(options, userAgent),
+    cookieJar: createCookieJar(request ? request.cookies : [], targetUrl),
+    proxyUrl: request ? request.proxy : null,
+    timeout: 10000, // 10 second timeout
+    maxRedirects: 5,
+    // Raw bytes, so non-UTF-8 pages can be decoded with their declared charset.
+    responseType: 'arraybuffer',
+    allowedContentTypes: HTML_CONTENT_TYPES
+  });
+
+  const body = Buffer.from(response.data);
+  const { html, charset, charsetSource } = decodeHtml(body, response.headers['content-type']);
+
+  return {
+    url: response.finalUrl,
+    html,
+    byteLength: body.length,
+    charset,
+    charsetSource,
+    statusCode: response.status,
+    headers: response.headers,
+    redirectChain: response.redirectChain,
+    setCookies: response.setCookies
+  };
+}
+
+function buildReport(targetUrl, page, $, options = {}) {
+  const scripts = [];
+  $('script').each((_, element) => {
+    const src = $(element).attr('src');
+    if (src) scripts.push(src);
+  });
+
+  const stylesheets = [];
+  $('link[rel="stylesheet"]').each((_, element) => {
+    const href = $(element).attr('href');
+    if (href) stylesheets.push(href);
+  });
+
+  const metaTags = {};
+  $('meta').each((_, element) => {
+    const name = $(element).attr('name') || $(element).attr('property');
+    const content = $(element).attr('content');
+    if (name && content) metaTags[name] = content;
+  });
+
+  const favicons = [];
+  $('link[rel="icon"], link[rel="shortcut icon"], link[rel="apple-touch-icon"]').each((_, element) => {
+    const href = $(element).attr('href');
+    if (href) favicons.push(href);
+  });
+
+  const media = extractMedia($, page.url, page.html);
+  const structuredData = extractStructuredData($);
+  const audit = auditPage({ url: page.url, headers: page.headers, $ });
+  const content = extractContent(page.html, { url: page.url, headers: page.headers, $ });
+  const technologies = detectTechnologies({
+    headers: page.headers,
+    $,
+    html: page.html,
+    scripts,
+    stylesheets,
+    cookies: page.cookies || getCookieNames(page.headers),
+    globals: page.globals || null
+  });
+
+  return {
+    url: redactUrl(targetUrl),
+    domain: extractDomain(targetUrl),
+    title: $('title').text(),
+    encoding: { charset: page.charset || null, source: page.charsetSource || null },
+    headers: redactResponseHeaders(page.headers),
+    scripts,
+    stylesheets,
+    metaTags,
+    structuredData,
+    favicons,
+    media,
+    technologies,
+    audit,
+    content,
+    statusCode: page.statusCode,
+    rendered: !!options.render,
+    finalUrl: redactUrl(page.url),
+    request: describeRequest(options.request, {
+      userAgent: options.userAgent,
+      acceptLanguage: options.acceptLanguage
+    }),
+    redirectChain: (page.redirectChain || []).map(hop => ({
+      url: redactUrl(hop.url),
+      statusCode: hop.statusCode,
+      location: hop.location ? redactUrl(hop.location) : null
+    })),
+    setCookies: (page.setCookies || []).map(redactSetCookie),
+    // The raw document is large and rarely needed, so callers opt in.
+    ...(options.includeHtml ? { html: page.html } : {})
+  };
+}
+
+// Runs the synchronous report plus the checks that need extra network calls.
+async function analyzePage(targetUrl, page, options = {}) {
+  const $ = cheerio.load(page.html);
+  const report = buildReport(targetUrl, page, $, options);
+
+  let tlsInfo = null;
+  const pageUrl = new URL(page.url);
+  if (options.tls && pageUrl.protocol === 'https:') {
+    tlsInfo = await getTlsInfo(pageUrl.hostname, parseInt(pageUrl.port, 10) || 443);
+  }
+
+  report.security = analyzeSecurity({ url: page.url, headers: page.headers, $, tlsInfo });
+
+  if (options.assets) {
+    report.assets = await analyzeAssets($, page, { userAgent: options.userAgent || getRandomUserAgent() });
+  }
+
+  if (options.links) {
+    report.links = await checkLinks($, page, { userAgent: options.userAgent || getRandomUserAgent() });
+  }
+
+  return { $, report };
+}
+
+async function analyzeUrl(targetUrl, options = {}) {
+  const page = await fetchPage(targetUrl, options);
+  const { report } = await analyzePage(targetUrl, page, options);
+  return report;
+}
+
+module.exports = {
+  extractDomain,
+  getRandomUserAgent,
+  normalizeTargetUrl,
+  parseAnalyzeOptions,
+  fetchPage,
+  buildReport,
+  analyzePage,
+  analyzeUrl
+};
@@ -0,0 +1,388 @@
+const path = require('path');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const archiver = require('archiver');
+const { getBaseUrl } = require('./links');
+const { decodeHtml } = require('./charset');
+const { HTML_CONTENT_TYPES, MAX_RESPONSE_BYTES, safeRequest } = require('./safeFetch');
+const { mapWithConcurrency } = require('./pool');
+const { warcDate, warcinfoRecord, requestRecord, responseRecord } = require('./warc');
+
+const ARCHIVE_MAX_ASSETS = parseInt(process.env.ARCHIVE_MAX_ASSETS, 10) || 200;
+const ARCHIVE_MAX_BYTES = parseInt(process.env.ARCHIVE_MAX_BYTES, 10) || 50 * 1024 * 1024;
+const ARCHIVE_CROSS_ORIGIN = process.env.ARCHIVE_CROSS_ORIGIN !== 'false';
+const ARCHIVE_CONCURRENCY = 4;
+const ASSET_DIR = 'assets';
+
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+const CSS_IMPORT_PATTERN = /@import\s+(['"])([^'"]+)\1/gi;
+const FONT_EXTENSION_PATTERN = /\.(woff2?|ttf|otf|eot)$/i;
+
+const EXTENSIONS_BY_TYPE = {
+  'text/css': '.css',
+  'text/javascript': '.js',
+  'application/javascript': '.js',
+  'application/x-javascript': '.js',
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/svg+xml': '.svg',
+  'image/x-icon': '.ico',
+  'image/vnd.microsoft.icon': '.ico',
+  'font/woff': '.woff',
+  'font/woff2': '.woff2',
+  'font/ttf': '.ttf',
+  'font/otf': '.otf'
+};
+
+/**
+ * Limits come from the request but can only tighten the server-wide defaults.
+ */
+function parseArchiveLimits(source = {}) {
+  const maxAssets = source.maxAssets === undefined ? ARCHIVE_MAX_ASSETS : parseInt(source.maxAssets, 10);
+  const maxBytes = source.maxBytes === undefined ? ARCHIVE_MAX_BYTES : parseInt(source.maxBytes, 10);
+
+  if (Number.isNaN(maxAssets) || maxAssets < 0) {
+    return { error: 'maxAssets must be a non-negative integer' };
+  }
+  if (Number.isNaN(maxBytes) || maxBytes <= 0) {
+    return { error: 'maxBytes must be a positive integer' };
+  }
+
+  return {
+    limits: {
+      maxAssets: Math.min(maxAssets, ARCHIVE_MAX_ASSETS),
+      maxBytes: Math.min(maxBytes, ARCHIVE_MAX_BYTES),
+      crossOrigin: ARCHIVE_CROSS_ORIGIN && source.crossOrigin !== 'false' && source.crossOrigin !== false
+    }
+  };
+}
+
+function resolveReference(value, baseUrl) {
+  if (!value || value.trim().startsWith('data:')) return null;
+
+  try {
+    const resolved = new URL(value.trim(), baseUrl);
+    if (!['http:', 'https:'].includes(resolved.protocol)) return null;
+    resolved.hash = '';
+    return resolved.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+function cssReferences(css, baseUrl) {
+  const references = [];
+  const collect = (pattern, typeOf) => {
+    const regexp = new RegExp(pattern.source, 'gi');
+    let match;
+    while ((match = regexp.exec(css)) !== null) {
+      const url = resolveReference(match[2], baseUrl);
+      if (url) references.push({ url, type: typeOf(url) });
+    }
+  };
+
+  collect(CSS_IMPORT_PATTERN, () => 'stylesheet');
+  collect(CSS_URL_PATTERN, url => (
+    FONT_EXTENSION_PATTERN.test(new URL(url).pathname) ? 'font'
+      : /\.css$/i.test(new URL(url).pathname) ? 'stylesheet' : 'image'
+  ));
+
+  return references;
+}
+
+function rewriteCss(css, baseUrl, mapUrl) {
+  const replace = (value) => {
+    const url = resolveReference(value, baseUrl);
+    return url ? mapUrl(url) || url : value;
+  };
+
+  return css
+    .replace(new RegExp(CSS_IMPORT_PATTERN.source, 'gi'), (_, quote, value) => `@import ${quote}${replace(value)}${quote}`)
+    .replace(new RegExp(CSS_URL_PATTERN.source, 'gi'), (_, quote, value) => `url(${quote}${replace(value)}${quote})`);
+}
+
+function parseSrcset(srcset) {
+  return String(srcset || '').split(',')
+    .map(candidate => candidate.trim().split(/\s+/))
+    .filter(parts => parts[0]);
+}
+
+function collectPageReferences($, baseUrl) {
+  const references = [];
+  const add = (value, type) => {
+    const url = resolveReference(value, baseUrl);
+    if (url) references.push({ url, type });
+  };
+
+  $('script[src]').each((_, element) => add($(element).attr('src'), 'script'));
+  $('link[rel~="stylesheet"][href]').each((_, element) => add($(element).attr('href'), 'stylesheet'));
+  $('link[rel~="icon"][href], link[rel="apple-touch-icon"][href]').each((_, element) => add($(element).attr('href'), 'image'));
+  $('link[rel="preload"][as="font"][href]').each((_, element) => add($(element).attr('href'), 'font'));
+  $('img[src], input[type="image"][src]').each((_, element) => add($(element).attr('src'), 'image'));
+  $('video[poster]').each((_, element) => add($(element).attr('poster'), 'image'));
+  $('img[srcset], source[srcset]').each((_, element) => {
+    parseSrcset($(element).attr('srcset')).forEach(([value]) => add(value, 'image'));
+  });
+  $('style').each((_, element) => references.push(...cssReferences($(element).html() || '', baseUrl)));
+  $('[style]').each((_, element) => references.push(...cssReferences($(element).attr('style'), baseUrl)));
+
+  return references;
+}
+
+function plainHeaders(headers) {
+  const plain = headers && typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+  // The body is stored decoded, so framing headers describing the wire format no longer apply.
+  delete plain['content-encoding'];
+  delete plain['transfer-encoding'];
+  return plain;
+}
+
+async function fetchResource(url, { userAgent, accept = '*/*', maxBytes, allowedContentTypes, validateStatus }) {
+  const requestHeaders = {
+    'User-Agent': userAgent,
+    'Accept': accept,
+    'Accept-Encoding': 'gzip, deflate, br'
+  };
+  const fetchedAt = new Date();
+
+  const response = await safeRequest(url, {
+    headers: requestHeaders,
+    timeout: 15000,
+    maxRedirects: 5,
+    responseType: 'arraybuffer',
+    maxContentLength: maxBytes,
+    allowedContentTypes,
+    validateStatus
+  });
+
+  const body = Buffer.from(response.data || []);
+  const headers = plainHeaders(response.headers);
+  headers['content-length'] = String(body.length);
+
+  return {
+    url,
+    finalUrl: response.finalUrl,
+    redirectChain: response.redirectChain,
+    statusCode: response.status,
+    statusText: response.statusText,
+    contentType: String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase(),
+    headers,
+    requestHeaders,
+    body,
+    fetchedAt
+  };
+}
+
+function localPathFor(resource) {
+  const hash = crypto.createHash('sha1').update(resource.url).digest('hex').slice(0, 16);
+  const extension = path.extname(new URL(resource.finalUrl).pathname).toLowerCase();
+  const safeExtension = /^\.[a-z0-9]{1,5}$/.test(extension) ? extension : EXTENSIONS_BY_TYPE[resource.contentType] || '';
+  return `${ASSET_DIR}/${hash}${safeExtension}`;
+}
+
+/**
+ * Fetches a page and the assets it references (following stylesheets into
+ * their imports, fonts and images) and rewrites the copies to point at each
+ * other. Failed and skipped assets keep absolute URLs in the rewritten files.
+ */
+async function buildArchive(targetUrl, { userAgent, maxAssets, maxBytes, crossOrigin }) {
+  const page = await fetchResource(targetUrl, {
+    userAgent,
+    accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    maxBytes: Math.min(maxBytes, MAX_RESPONSE_BYTES),
+    allowedContentTypes: HTML_CONTENT_TYPES
+  });
+
+  const pageOrigin = new URL(page.finalUrl).origin;
+  const $ = cheerio.load(decodeHtml(page.body, page.headers['content-type']).html);
+  const baseUrl = getBaseUrl($, page.finalUrl);
+
+  const resources = new Map();
+  const skipped = [];
+  const seen = new Set();
+  let queued = 0;
+  let totalBytes = page.body.length;
+  let pending = [];
+
+  const enqueue = ({ url, type }) => {
+    if (seen.has(url)) return;
+    seen.add(url);
+
+    if (!crossOrigin && new URL(url).origin !== pageOrigin) {
+      skipped.push({ url, type, reason: 'cross-origin' });
+    } else if (queued >= maxAssets) {
+      skipped.push({ url, type, reason: 'asset limit' });
+    } else {
+      queued++;
+      pending.push({ url, type });
+    }
+  };
+
+  collectPageReferences($, baseUrl).forEach(enqueue);
+
+  while (pending.length > 0) {
+    const batch = pending;
+    pending = [];
+
+    const fetched = await mapWithConcurrency(batch, ARCHIVE_CONCURRENCY, async asset => {
+      const remaining = maxBytes - totalBytes;
+      if (remaining <= 0) return { asset, reason: 'size limit' };
+
+      try {
+        const resource = await fetchResource(asset.url, {
+          userAgent,
+          maxBytes: Math.min(remaining, MAX_RESPONSE_BYTES),
+          validateStatus: () => true
+        });
+        return { asset, resource };
+      } catch (error) {
+        return { asset, reason: error.statusCode === 413 ? 'size limit' : error.message };
+      }
+    });
+
+    fetched.forEach(({ asset, resource, reason }) => {
+      if (reason) {
+        skipped.push({ url: asset.url, type: asset.type, reason });
+        return;
+      }
+      if (totalBytes + resource.body.length > maxBytes) {
+        skipped.push({ url: asset.url, type: asset.type, reason: 'size limit' });
+        return;
+      }
+
+      totalBytes += resource.body.length;
+      resources.set(asset.url, { ...resource, type: asset.type, path: localPathFor(resource) });
+
+      if (resource.statusCode >= 400) {
+        skipped.push({ url: asset.url, type: asset.type, reason: `HTTP ${resource.statusCode}` });
+      } else if (asset.type === 'stylesheet') {
+        cssReferences(resource.body.toString('utf8'), resource.finalUrl).forEach(enqueue);
+      }
+    });
+  }
+
+  const isArchived = (url) => resources.has(url) && resources.get(url).statusCode < 400;
+  const files = [];
+
+  resources.forEach(resource => {
+    if (resource.statusCode >= 400) return;
+
+    let content = resource.body;
+    if (resource.type === 'stylesheet') {
+      // Every asset lives in the same directory, so stylesheets reference siblings by file name.
+      content = Buffer.from(rewriteCss(content.toString('utf8'), resource.finalUrl, url => (
+        isArchived(url) ? path.posix.basename(resources.get(url).path) : null
+      )), 'utf8');
+    }
+    files.push({ path: resource.path, url: resource.url, contentType: resource.contentType, content });
+  });
+
+  const mapUrl = (url) => (isArchived(url) ? resources.get(url).path : null);
+  const rewriteAttribute = (element, attribute) => {
+    const value = $(element).attr(attribute);
+    const url = resolveReference(value, baseUrl);
+    if (url) $(element).attr(attribute, mapUrl(url) || url);
+  };
+
+  $('base').remove();
+  $('script[src]').each((_, element) => rewriteAttribute(element, 'src'));
+  $('link[href]').each((_, element) => rewriteAttribute(element, 'href'));
+  $('img[src], input[type="image"][src], iframe[src], audio[src], video[src], source[src]').each((_, element) => rewriteAttribute(element, 'src'));
+  $('video[poster]').each((_, element) => rewriteAttribute(element, 'poster'));
+  $('a[href], area[href], form[action]').each((_, element) => {
+    rewriteAttribute(element, element.tagName === 'form' ? 'action' : 'href');
+  });
+  $('img[srcset], source[srcset]').each((_, element) => {
+    const srcset = parseSrcset($(element).attr('srcset')).map(([value, ...descriptor]) => {
+      const url = resolveReference(value, baseUrl);
+      return [url ? mapUrl(url) || url : value, ...descriptor].join(' ');
+    });
+    $(element).attr('srcset', srcset.join(', '));
+  });
+  $('style').each((_, element) => {
+    $(element).text(rewriteCss($(element).html() || '', baseUrl, mapUrl));
+  });
+  $('[style]').each((_, element) => {
+    $(element).attr('style', rewriteCss($(element).attr('style'), baseUrl, mapUrl));
+  });
+
+  // The rewritten copy is serialized as UTF-8 whatever the original encoding was.
+  $('meta[charset]').attr('charset', 'utf-8');
+  $('meta[http-equiv]')
+    .filter((_, element) => /^content-type$/i.test($(element).attr('http-equiv')))
+    .attr('content', 'text/html; charset=utf-8');
+
+  return {
+    url: targetUrl,
+    finalUrl: page.finalUrl,
+    archivedAt: new Date().toISOString(),
+    page,
+    html: $.html(),
+    resources: Array.from(resources.values()),
+    files,
+    skipped,
+    totalBytes
+  };
+}
+
+function buildManifest(archive) {
+  return {
+    url: archive.url,
+    finalUrl: archive.finalUrl,
+    archivedAt: archive.archivedAt,
+    totalBytes: archive.totalBytes,
+    files: archive.files.map(file => ({ path: file.path, url: file.url, contentType: file.contentType, size: file.content.length })),
+    skipped: archive.skipped
+  };
+}
+
+function writeZip(archive, output) {
+  const zip = archiver('zip', { zlib: { level: 5 } });
+  zip.pipe(output);
+
+  zip.append(archive.html, { name: 'index.html' });
+  archive.files.forEach(file => zip.append(file.content, { name: file.path }));
+  zip.append(JSON.stringify(buildManifest(archive), null, 2), { name: 'manifest.json' });
+
+  zip.finalize();
+  return zip;
+}
+
+// The WARC keeps the original, unrewritten bytes of every response, failed ones included.
+function writeWarc(archive, output, filename) {
+  output.write(warcinfoRecord({
+    software: 'site-analyzer',
+    format: 'WARC File Format 1.1',
+    conformsTo: 'http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+    filename,
+    'archived-url': archive.url,
+    'archived-at': warcDate(new Date(archive.archivedAt))
+  }).buffer);
+
+  [archive.page, ...archive.resources].forEach(resource => {
+    const request = requestRecord({ url: resource.finalUrl, headers: resource.requestHeaders, date: resource.fetchedAt });
+    output.write(request.buffer);
+    output.write(responseRecord({
+      url: resource.finalUrl,
+      statusCode: resource.statusCode,
+      statusText: resource.statusText,
+      headers: resource.headers,
+      body: resource.body,
+      date: resource.fetchedAt,
+      concurrentTo: request.id
+    }).buffer);
+  });
+
+  output.end();
+}
+
+module.exports = {
+  parseArchiveLimits,
+  buildArchive,
+  buildManifest,
+  writeZip,
+  writeWarc
+};
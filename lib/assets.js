@@ -0,0 +1,330 @@
+const zlib = require('zlib');
+const { getBaseUrl } = require('./links');
+const { MAX_RESPONSE_BYTES, safeRequest } = require('./safeFetch');
+const { mapWithConcurrency } = require('./pool');
+
+const MAX_ASSETS = parseInt(process.env.ANALYZE_MAX_ASSETS, 10) || 150;
+const ASSET_CONCURRENCY = parseInt(process.env.ANALYZE_ASSET_CONCURRENCY, 10) || 6;
+const ASSET_TIMEOUT = 10000;
+
+// HEAD is not trusted for these: some servers reject it, others answer without a size.
+const HEAD_FALLBACK_STATUSES = [403, 405, 501];
+
+// Second-level labels that act as public suffixes, e.g. example.co.uk.
+const SECOND_LEVEL_SUFFIXES = ['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'ne', 'or', 'go'];
+
+const FONT_FACE_PATTERN = /@font-face\s*{[^}]*}/gi;
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+
+function getSiteDomain(hostname) {
+  const labels = hostname.toLowerCase().split('.');
+  if (labels.length <= 2 || /^\d+$/.test(labels[labels.length - 1])) return hostname.toLowerCase();
+
+  const keep = labels[labels.length - 1].length === 2 && SECOND_LEVEL_SUFFIXES.includes(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+function firstSrcsetCandidate(srcset) {
+  const candidate = String(srcset || '').split(',')[0];
+  return candidate ? candidate.trim().split(/\s+/)[0] : null;
+}
+
+function extractFontUrls(css, baseUrl) {
+  const urls = [];
+  (css.match(FONT_FACE_PATTERN) || []).forEach(block => {
+    const pattern = new RegExp(CSS_URL_PATTERN.source, 'gi');
+    let match;
+    while ((match = pattern.exec(block)) !== null) {
+      if (match[2].startsWith('data:')) continue;
+      try {
+        urls.push(new URL(match[2], baseUrl).href);
+      } catch (e) {
+        // Ignore malformed url() values.
+      }
+    }
+  });
+  return urls;
+}
+
+function collectAssets($, pageUrl) {
+  const baseUrl = getBaseUrl($, pageUrl);
+  const assets = new Map();
+  const dataUris = { count: 0, bytes: 0 };
+
+  const add = (rawUrl, type) => {
+    if (!rawUrl) return;
+    const value = rawUrl.trim();
+
+    if (value.startsWith('data:')) {
+      dataUris.count++;
+      dataUris.bytes += Buffer.byteLength(value);
+      return;
+    }
+
+    try {
+      const resolved = new URL(value, baseUrl);
+      if (!['http:', 'https:'].includes(resolved.protocol)) return;
+      resolved.hash = '';
+      if (!assets.has(resolved.href)) assets.set(resolved.href, { url: resolved.href, type });
+    } catch (e) {
+      // Ignore references that are not valid URLs.
+    }
+  };
+
+  $('script[src]').each((_, element) => add($(element).attr('src'), 'script'));
+  $('link[rel~="stylesheet"][href]').each((_, element) => add($(element).attr('href'), 'stylesheet'));
+  $('img').each((_, element) => {
+    add($(element).attr('src') || firstSrcsetCandidate($(element).attr('srcset')), 'image');
+  });
+  $('video[poster]').each((_, element) => add($(element).attr('poster'), 'image'));
+  $('input[type="image"][src]').each((_, element) => add($(element).attr('src'), 'image'));
+  $('link[rel~="icon"][href], link[rel="apple-touch-icon"][href]').each((_, element) => add($(element).attr('href'), 'image'));
+  $('link[rel="preload"][as="font"][href]').each((_, element) => add($(element).attr('href'), 'font'));
+  $('style').each((_, element) => {
+    extractFontUrls($(element).html() || '', baseUrl).forEach(url => add(url, 'font'));
+  });
+
+  return { assets: Array.from(assets.values()), dataUris };
+}
+
+function measureInline($) {
+  const inline = {
+    scripts: { count: 0, bytes: 0 },
+    styles: { count: 0, bytes: 0 },
+    styleAttributes: { count: 0, bytes: 0 }
+  };
+
+  $('script:not([src])').each((_, element) => {
+    const content = $(element).html() || '';
+    if (!content.trim()) return;
+    inline.scripts.count++;
+    inline.scripts.bytes += Buffer.byteLength(content);
+  });
+
+  $('style').each((_, element) => {
+    inline.styles.count++;
+    inline.styles.bytes += Buffer.byteLength($(element).html() || '');
+  });
+
+  $('[style]').each((_, element) => {
+    inline.styleAttributes.count++;
+    inline.styleAttributes.bytes += Buffer.byteLength($(element).attr('style'));
+  });
+
+  return inline;
+}
+
+function parseCacheHeaders(headers) {
+  const cacheControl = headers['cache-control'] || null;
+  const directives = String(cacheControl || '').toLowerCase();
+  const maxAgeMatch = /(?:^|[,\s])max-age=(\d+)/.exec(directives);
+  const maxAge = maxAgeMatch ? parseInt(maxAgeMatch[1], 10) : null;
+  const noStore = directives.includes('no-store');
+
+  return {
+    cacheControl,
+    expires: headers.expires || null,
+    etag: headers.etag || null,
+    lastModified: headers['last-modified'] || null,
+    maxAge,
+    cacheable: !noStore && (maxAge > 0 || !!headers.expires || !!headers.etag || !!headers['last-modified'])
+  };
+}
+
+function readBody(stream, keepBody) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (keepBody) chunks.push(chunk);
+
+      if (size > MAX_RESPONSE_BYTES) {
+        stream.destroy();
+        resolve({ size, body: null, truncated: true });
+      }
+    });
+    stream.on('end', () => resolve({ size, body: keepBody ? Buffer.concat(chunks) : null, truncated: false }));
+    stream.on('error', reject);
+  });
+}
+
+function decodeBody(body, encoding) {
+  try {
+    if (encoding === 'gzip') return zlib.gunzipSync(body).toString('utf8');
+    if (encoding === 'deflate') return zlib.inflateSync(body).toString('utf8');
+    if (encoding === 'br') return zlib.brotliDecompressSync(body).toString('utf8');
+    return body.toString('utf8');
+  } catch (e) {
+    return '';
+  }
+}
+
+async function requestAsset(url, method, userAgent) {
+  return safeRequest(url, {
+    method,
+    headers: {
+      'User-Agent': userAgent,
+      'Accept': '*/*',
+      'Accept-Encoding': 'gzip, deflate, br'
+    },
+    timeout: ASSET_TIMEOUT,
+    maxRedirects: 5,
+    // Keep the body compressed so the size is what actually went over the wire.
+    decompress: false,
+    responseType: method === 'get' ? 'stream' : 'text',
+    validateStatus: () => true
+  });
+}
+
+async function inspectAsset(asset, pageSite, userAgent) {
+  const result = {
+    url: asset.url,
+    type: asset.type,
+    firstParty: getSiteDomain(new URL(asset.url).hostname) === pageSite,
+    method: 'HEAD',
+    statusCode: null,
+    ok: false,
+    finalUrl: asset.url,
+    redirects: 0,
+    contentType: null,
+    transferSize: null,
+    compression: null,
+    cache: null,
+    error: null
+  };
+  let css = null;
+
+  try {
+    // Stylesheets are always fetched in full because their @font-face rules are needed.
+    let response = asset.type === 'stylesheet' ? null : await requestAsset(asset.url, 'head', userAgent);
+    let size = response ? parseInt(response.headers['content-length'], 10) : NaN;
+
+    if (!response || HEAD_FALLBACK_STATUSES.includes(response.status) || (response.status < 400 && Number.isNaN(size))) {
+      response = await requestAsset(asset.url, 'get', userAgent);
+      result.method = 'GET';
+
+      const encoding = String(response.headers['content-encoding'] || '').toLowerCase();
+      const keepBody = asset.type === 'stylesheet' && response.status < 400;
+      const { size: bodySize, body, truncated } = await readBody(response.data, keepBody);
+
+      size = bodySize;
+      result.sizeTruncated = truncated || undefined;
+      if (body) css = decodeBody(body, encoding);
+    }
+
+    result.statusCode = response.status;
+    result.ok = response.status < 400;
+    result.finalUrl = response.finalUrl;
+    result.redirects = response.redirectChain.length;
+    result.contentType = String(response.headers['content-type'] || '').split(';')[0].trim() || null;
+    result.transferSize = Number.isNaN(size) ? null : size;
+    result.compression = response.headers['content-encoding'] || 'none';
+    result.cache = parseCacheHeaders(response.headers);
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return {
+    result,
+    fontUrls: css ? extractFontUrls(css, result.finalUrl) : []
+  };
+}
+
+function summarize(results, documentSize, inline, dataUris) {
+  const byType = {};
+  const firstParty = { count: 0, bytes: 0 };
+  const thirdParty = { count: 0, bytes: 0, hosts: {} };
+
+  results.forEach(asset => {
+    const bytes = asset.transferSize || 0;
+    byType[asset.type] = byType[asset.type] || { count: 0, bytes: 0 };
+    byType[asset.type].count++;
+    byType[asset.type].bytes += bytes;
+
+    if (asset.firstParty) {
+      firstParty.count++;
+      firstParty.bytes += bytes;
+    } else {
+      const host = new URL(asset.url).hostname;
+      thirdParty.count++;
+      thirdParty.bytes += bytes;
+      thirdParty.hosts[host] = thirdParty.hosts[host] || { host, count: 0, bytes: 0 };
+      thirdParty.hosts[host].count++;
+      thirdParty.hosts[host].bytes += bytes;
+    }
+  });
+
+  const inlineBytes = inline.scripts.bytes + inline.styles.bytes + inline.styleAttributes.bytes + dataUris.bytes;
+  const assetBytes = results.reduce((sum, asset) => sum + (asset.transferSize || 0), 0);
+
+  return {
+    totalBytes: documentSize + assetBytes,
+    documentBytes: documentSize,
+    assetBytes,
+    inlineBytes,
+    requestCount: results.length + 1,
+    unknownSizeCount: results.filter(asset => asset.transferSize === null).length,
+    byType,
+    firstParty,
+    thirdParty: {
+      count: thirdParty.count,
+      bytes: thirdParty.bytes,
+      hosts: Object.values(thirdParty.hosts).sort((a, b) => b.bytes - a.bytes)
+    }
+  };
+}
+
+/**
+ * Fetches every external asset referenced by the page and reports sizes,
+ * compression, caching and broken references. Fonts referenced from external
+ * stylesheets are discovered in a second pass.
+ */
+async function analyzeAssets($, page, { userAgent } = {}) {
+  const pageSite = getSiteDomain(new URL(page.url).hostname);
+  const { assets, dataUris } = collectAssets($, page.url);
+  const inline = measureInline($);
+
+  const seen = new Set(assets.map(asset => asset.url));
+  const pending = assets.slice(0, MAX_ASSETS);
+  let truncated = assets.length > MAX_ASSETS;
+  const results = [];
+
+  while (pending.length > 0) {
+    const batch = pending.splice(0, pending.length);
+    const inspected = await mapWithConcurrency(batch, ASSET_CONCURRENCY, asset => inspectAsset(asset, pageSite, userAgent));
+
+    inspected.forEach(({ result }) => results.push(result));
+    inspected.forEach(({ fontUrls }) => {
+      fontUrls.forEach(url => {
+        if (seen.has(url)) return;
+        seen.add(url);
+        if (results.length + pending.length >= MAX_ASSETS) {
+          truncated = true;
+          return;
+        }
+        pending.push({ url, type: 'font' });
+      });
+    });
+  }
+
+  const contentLength = parseInt(page.headers && page.headers['content-length'], 10);
+  const documentSize = Number.isNaN(contentLength) ? page.byteLength || Buffer.byteLength(page.html || '') : contentLength;
+
+  return {
+    summary: summarize(results, documentSize, inline, dataUris),
+    inline: { ...inline, dataUris },
+    broken: results
+      .filter(asset => !asset.ok)
+      .map(asset => ({ url: asset.url, type: asset.type, statusCode: asset.statusCode, error: asset.error })),
+    truncated,
+    items: results
+  };
+}
+
+module.exports = {
+  getSiteDomain,
+  collectAssets,
+  analyzeAssets
+};
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const axios = require('axios');
+const ytdl = require('ytdl-core');
+const ffmpeg = require('fluent-ffmpeg');
+const { writeFfmetadata } = require('./ffmetadata');
+const { clipInputOptions, clipOutputOptions, clipProgressPercent } = require('./clip');
+
+const COVER_TIMEOUT = 15000;
+const MAX_COVER_BYTES = 10 * 1024 * 1024;
+
+/**
+ * `cover` is how the thumbnail gets embedded: as an attached picture stream,
+ * as a base64 METADATA_BLOCK_PICTURE comment (ffmpeg's Ogg muxer drops
+ * picture streams), or not at all. Formats that aren't `streamable` need a
+ * seekable output to finish their header.
+ */
+const AUDIO_FORMATS = {
+  mp3: {
+    extension: 'mp3',
+    mimeType: 'audio/mpeg',
+    muxer: 'mp3',
+    codec: 'libmp3lame',
+    bitrate: [32, 320],
+    quality: [0, 9],
+    qualityOption: '-q:a',
+    defaultOptions: ['-q:a 2'],
+    cover: 'stream',
+    streamable: true
+  },
+  opus: {
+    extension: 'opus',
+    mimeType: 'audio/ogg',
+    muxer: 'opus',
+    codec: 'libopus',
+    bitrate: [16, 510],
+    defaultOptions: ['-b:a 160k'],
+    cover: 'picture-block',
+    streamable: true
+  },
+  flac: {
+    extension: 'flac',
+    mimeType: 'audio/flac',
+    muxer: 'flac',
+    codec: 'flac',
+    quality: [0, 12],
+    qualityOption: '-compression_level',
+    defaultOptions: [],
+    cover: 'stream',
+    streamable: true
+  },
+  m4a: {
+    extension: 'm4a',
+    mimeType: 'audio/mp4',
+    muxer: 'ipod',
+    codec: 'aac',
+    bitrate: [32, 512],
+    defaultOptions: ['-b:a 192k'],
+    cover: 'stream',
+    streamable: false
+  },
+  wav: {
+    extension: 'wav',
+    mimeType: 'audio/wav',
+    muxer: 'wav',
+    codec: 'pcm_s16le',
+    defaultOptions: [],
+    cover: null,
+    streamable: false
+  }
+};
+
+const AUDIO_ALIASES = {
+  aac: 'm4a',
+  ogg: 'opus'
+};
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return Number(value);
+}
+
+/**
+ * Reads `audio`, `bitrate` (kbps, "192" or "192k"), `quality` and `album`
+ * from a query or body. Returns `{ audio: null }` when audio mode wasn't
+ * asked for, `{ audio }` or `{ error }`.
+ */
+function parseAudioOptions(source = {}) {
+  if (!source.audio) return { audio: null };
+
+  const name = String(source.audio).toLowerCase();
+  const format = AUDIO_ALIASES[name] || name;
+  const target = AUDIO_FORMATS[format];
+  if (!target) {
+    return { error: `audio must be one of ${Object.keys(AUDIO_FORMATS).join(', ')}` };
+  }
+
+  const bitrate = parseNumber(String(source.bitrate ?? '').replace(/k$/i, ''));
+  const quality = parseNumber(source.quality);
+
+  if (bitrate !== null && quality !== null) {
+    return { error: 'Use either bitrate or quality, not both' };
+  }
+  if (bitrate !== null) {
+    if (!target.bitrate) return { error: `${format} does not take a bitrate` };
+    const [min, max] = target.bitrate;
+    if (!Number.isInteger(bitrate) || bitrate < min || bitrate > max) {
+      return { error: `bitrate for ${format} must be between ${min} and ${max} kbps` };
+    }
+  }
+  if (quality !== null) {
+    if (!target.quality) return { error: `${format} does not take a quality setting` };
+    const [min, max] = target.quality;
+    if (!Number.isInteger(quality) || quality < min || quality > max) {
+      return { error: `quality for ${format} must be between ${min} and ${max}` };
+    }
+  }
+
+  const album = typeof source.album === 'string' ? source.album.trim().slice(0, 200) : '';
+
+  return { audio: { format, bitrate, quality, album: album || null } };
+}
+
+function audioTarget(audio) {
+  return AUDIO_FORMATS[audio.format];
+}
+
+// Audio mode extracts from the chosen itag when it carries audio, otherwise from the best audio-only stream.
+function chooseAudioSource(info, format) {
+  if (format && format.hasAudio) return format;
+  return ytdl.chooseFormat(info.formats, { quality: 'highestaudio', filter: 'audioonly' });
+}
+
+function encodeOptions(audio) {
+  const target = audioTarget(audio);
+  const options = [`-c:a ${target.codec}`];
+
+  if (audio.bitrate !== null) {
+    options.push(`-b:a ${audio.bitrate}k`);
+  } else if (audio.quality !== null) {
+    options.push(`${target.qualityOption} ${audio.quality}`);
+  } else {
+    options.push(...target.defaultOptions);
+  }
+  return options;
+}
+
+function audioTags(info, audio) {
+  const details = info.videoDetails;
+  const date = details.publishDate || details.uploadDate;
+
+  return {
+    title: details.title,
+    artist: details.author?.name || details.ownerChannelName,
+    album: audio.album,
+    date: date ? String(date).slice(0, 10) : null,
+    comment: details.video_url || `https://www.youtube.com/watch?v=${details.videoId}`
+  };
+}
+
+function imageMimeType(data) {
+  if (data[0] === 0xff && data[1] === 0xd8) return 'image/jpeg';
+  if (data.toString('latin1', 1, 4) === 'PNG') return 'image/png';
+  if (data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  return null;
+}
+
+// Cover art is a nice-to-have: a missing or broken thumbnail shouldn't fail the download.
+async function fetchCover(info) {
+  const thumbnails = [...(info.videoDetails.thumbnails || [])].sort((a, b) => (b.width || 0) - (a.width || 0));
+  if (thumbnails.length === 0) return null;
+
+  try {
+    const response = await axios.get(thumbnails[0].url, {
+      responseType: 'arraybuffer',
+      timeout: COVER_TIMEOUT,
+      maxContentLength: MAX_COVER_BYTES
+    });
+    const data = Buffer.from(response.data);
+    const mimeType = imageMimeType(data);
+    if (!mimeType) return null;
+
+    return { data, mimeType, width: thumbnails[0].width || 0, height: thumbnails[0].height || 0 };
+  } catch (error) {
+    console.error('Could not fetch cover art:', error.message);
+    return null;
+  }
+}
+
+// The FLAC picture block that Vorbis comments carry base64-encoded; type 3 is the front cover.
+function pictureBlock(cover) {
+  const mimeType = Buffer.from(cover.mimeType, 'latin1');
+  const block = Buffer.alloc(32 + mimeType.length + cover.data.length);
+  let offset = 0;
+
+  offset = block.writeUInt32BE(3, offset);
+  offset = block.writeUInt32BE(mimeType.length, offset);
+  offset += mimeType.copy(block, offset);
+  offset = block.writeUInt32BE(0, offset); // description length
+  offset = block.writeUInt32BE(cover.width, offset);
+  offset = block.writeUInt32BE(cover.height, offset);
+  offset = block.writeUInt32BE(24, offset); // colour depth
+  offset = block.writeUInt32BE(0, offset); // palette size
+  offset = block.writeUInt32BE(cover.data.length, offset);
+  cover.data.copy(block, offset);
+
+  return block;
+}
+
+/**
+ * Transcodes `input` (a file path or readable stream) into the requested
+ * audio format, tagged and with the thumbnail as cover art where the
+ * container supports it. `output` is a file path, or a writable stream for
+ * `streamable` formats. `chapters` ([{ title, start, end }]) are embedded
+ * when given. `workPath` prefixes the temporary metadata and cover files.
+ * `onProgress` receives a 0-100 percentage.
+ */
+async function transcodeAudio({ info, input, output, audio, clip = null, timeOffset = 0, chapters = [], workPath, onProgress }) {
+  const target = audioTarget(audio);
+  const cover = target.cover ? await fetchCover(info) : null;
+  const tags = audioTags(info, audio);
+  const metadataPath = `${workPath}-metadata.txt`;
+  const coverPath = `${workPath}-cover`;
+  const embedCover = cover && target.cover === 'stream';
+
+  if (cover && target.cover === 'picture-block') {
+    tags.METADATA_BLOCK_PICTURE = pictureBlock(cover).toString('base64');
+  }
+
+  await writeFfmetadata(metadataPath, tags, chapters);
+  if (embedCover) await fs.promises.writeFile(coverPath, cover.data);
+
+  try {
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg()
+        .input(input)
+        .inputOptions(clipInputOptions(clip, timeOffset))
+        .input(metadataPath)
+        .inputOptions('-f ffmetadata');
+
+      const outputOptions = ['-map 0:a:0', '-map_metadata 1', ...encodeOptions(audio), ...clipOutputOptions(clip)];
+      if (chapters.length > 0) outputOptions.push('-map_chapters 1');
+      if (embedCover) {
+        command.input(coverPath);
+        outputOptions.push('-map 2:v:0', '-c:v mjpeg', '-disposition:v attached_pic');
+      }
+      if (target.extension === 'mp3') outputOptions.push('-id3v2_version 3');
+
+      command.outputOptions(outputOptions);
+      // Picture type for ID3 and FLAC; passed as separate arguments because the value has spaces.
+      if (embedCover) command.outputOptions('-metadata:s:v', 'comment=Cover (front)');
+
+      command
+        .on('progress', (progress) => {
+          if (onProgress) onProgress(clipProgressPercent(progress, clip));
+        })
+        .on('end', resolve)
+        .on('error', reject);
+
+      if (typeof output === 'string') {
+        command.save(output);
+      } else {
+        command.format(target.muxer).pipe(output, { end: true });
+      }
+    });
+  } finally {
+    [metadataPath, coverPath].forEach(filePath => fs.promises.unlink(filePath).catch(() => {}));
+  }
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  parseAudioOptions,
+  audioTarget,
+  chooseAudioSource,
+  transcodeAudio
+};
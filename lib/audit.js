@@ -0,0 +1,314 @@
+const { countIds, getSelector } = require('./selector');
+
+const MAX_FINDINGS_PER_RULE = 50;
+
+const TITLE_LENGTH = { min: 10, max: 60 };
+const DESCRIPTION_LENGTH = { min: 50, max: 160 };
+
+const HREFLANG_PATTERN = /^(x-default|[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?)$/i;
+const LANG_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// Robots directives that carry their own "name: value" syntax and are not user-agent prefixes.
+const VALUED_ROBOTS_DIRECTIVES = ['unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'];
+
+// `target` is a selector string or an element; element selectors are only built for findings that are kept.
+function createCollector($) {
+  const findings = [];
+  const counts = {};
+  const severities = { high: 0, medium: 0, low: 0, info: 0 };
+  let idCounts = null;
+
+  const selectorFor = (target) => {
+    if (!target || typeof target === 'string') return target || null;
+    if (!idCounts) idCounts = countIds($);
+    return getSelector($, target, idCounts);
+  };
+
+  return {
+    findings,
+    counts,
+    severities,
+    add(ruleId, severity, message, target = null) {
+      counts[ruleId] = (counts[ruleId] || 0) + 1;
+      severities[severity]++;
+      if (counts[ruleId] <= MAX_FINDINGS_PER_RULE) {
+        findings.push({ ruleId, severity, message, selector: selectorFor(target) });
+      }
+    }
+  };
+}
+
+function normalizeUrl(value, baseUrl) {
+  try {
+    const parsed = new URL(value, baseUrl);
+    parsed.hash = '';
+    return parsed.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+function checkHeadings($, audit) {
+  const headings = $('h1, h2, h3, h4, h5, h6').toArray();
+  const h1s = headings.filter(element => element.tagName.toLowerCase() === 'h1');
+
+  if (h1s.length === 0) {
+    audit.add('heading-h1-missing', 'medium', 'Page has no h1 heading', 'body');
+  }
+  h1s.slice(1).forEach(element => {
+    audit.add('heading-h1-multiple', 'low', `Page has ${h1s.length} h1 headings`, element);
+  });
+
+  let previousLevel = 0;
+  headings.forEach(element => {
+    const level = parseInt(element.tagName.slice(1), 10);
+    const hasText = $(element).text().trim() || $(element).find('img[alt]').filter((_, img) => $(img).attr('alt').trim()).length > 0;
+
+    if (!hasText) {
+      audit.add('heading-empty', 'low', `Empty h${level} heading`, element);
+    }
+    if (previousLevel > 0 && level > previousLevel + 1) {
+      audit.add('heading-level-skipped', 'low', `Heading level skips from h${previousLevel} to h${level}`, element);
+    }
+    previousLevel = level;
+  });
+}
+
+function checkImages($, audit) {
+  $('img, input[type="image"]').each((_, element) => {
+    const $element = $(element);
+    if ($element.attr('aria-hidden') === 'true' || ['presentation', 'none'].includes($element.attr('role'))) return;
+    if ($element.attr('aria-label') || $element.attr('aria-labelledby')) return;
+
+    const alt = $element.attr('alt');
+    const source = $element.attr('src') || '';
+
+    if (alt === undefined) {
+      audit.add('img-alt-missing', 'medium', `Image has no alt attribute: ${source.slice(0, 100)}`, element);
+    } else if (/\.(png|jpe?g|gif|webp|svg|avif)$/i.test(alt.trim())) {
+      audit.add('img-alt-filename', 'low', `Image alt text looks like a file name: ${alt.trim()}`, element);
+    }
+  });
+}
+
+function checkTitleAndDescription($, audit) {
+  const titles = $('head title').length > 0 ? $('head title') : $('title');
+  const title = titles.first().text().trim();
+
+  if (!title) {
+    audit.add('title-missing', 'high', 'Page has no title', titles.length > 0 ? titles[0] : 'head');
+  } else if (title.length < TITLE_LENGTH.min) {
+    audit.add('title-too-short', 'low', `Title is ${title.length} characters (recommended ${TITLE_LENGTH.min}-${TITLE_LENGTH.max})`, titles[0]);
+  } else if (title.length > TITLE_LENGTH.max) {
+    audit.add('title-too-long', 'low', `Title is ${title.length} characters (recommended ${TITLE_LENGTH.min}-${TITLE_LENGTH.max})`, titles[0]);
+  }
+  titles.slice(1).each((_, element) => {
+    audit.add('title-multiple', 'medium', `Page has ${titles.length} title elements`, element);
+  });
+
+  const descriptions = $('meta[name="description" i]');
+  const description = (descriptions.first().attr('content') || '').trim();
+
+  if (!description) {
+    audit.add('meta-description-missing', 'medium', 'Page has no meta description',
+      descriptions.length > 0 ? descriptions[0] : 'head');
+  } else if (description.length < DESCRIPTION_LENGTH.min) {
+    audit.add('meta-description-too-short', 'low', `Meta description is ${description.length} characters (recommended ${DESCRIPTION_LENGTH.min}-${DESCRIPTION_LENGTH.max})`, descriptions[0]);
+  } else if (description.length > DESCRIPTION_LENGTH.max) {
+    audit.add('meta-description-too-long', 'low', `Meta description is ${description.length} characters (recommended ${DESCRIPTION_LENGTH.min}-${DESCRIPTION_LENGTH.max})`, descriptions[0]);
+  }
+  descriptions.slice(1).each((_, element) => {
+    audit.add('meta-description-multiple', 'medium', `Page has ${descriptions.length} meta descriptions`, element);
+  });
+}
+
+function checkCanonicalAndHreflang($, pageUrl, audit) {
+  const canonicals = $('link[rel~="canonical" i]');
+  const pageHref = normalizeUrl(pageUrl);
+  let canonicalHref = null;
+
+  if (canonicals.length === 0) {
+    audit.add('canonical-missing', 'low', 'Page has no canonical link', 'head');
+  } else {
+    const element = canonicals[0];
+    const href = ($(element).attr('href') || '').trim();
+    canonicalHref = normalizeUrl(href, pageUrl);
+
+    if (!canonicalHref || !/^https?:/.test(canonicalHref)) {
+      audit.add('canonical-invalid', 'medium', `Canonical URL is not a valid http(s) URL: ${href}`, element);
+      canonicalHref = null;
+    } else {
+      if (!/^https?:\/\//i.test(href)) {
+        audit.add('canonical-relative', 'low', `Canonical URL is relative: ${href}`, element);
+      }
+      if (canonicalHref !== pageHref) {
+        audit.add('canonical-not-self', 'info', `Canonical points to another URL: ${canonicalHref}`, element);
+      }
+    }
+
+    const distinct = new Set(canonicals.toArray().map(link => normalizeUrl($(link).attr('href') || '', pageUrl)));
+    canonicals.slice(1).each((_, link) => {
+      audit.add('canonical-multiple', distinct.size > 1 ? 'high' : 'medium',
+        `Page has ${canonicals.length} canonical links${distinct.size > 1 ? ' with different URLs' : ''}`, link);
+    });
+  }
+
+  const alternates = $('link[rel~="alternate" i][hreflang]');
+  if (alternates.length === 0) return;
+
+  const seenCodes = new Map();
+  const hrefs = new Set();
+
+  alternates.each((_, element) => {
+    const code = ($(element).attr('hreflang') || '').trim();
+    const href = normalizeUrl(($(element).attr('href') || '').trim(), pageUrl);
+
+    if (!HREFLANG_PATTERN.test(code)) {
+      audit.add('hreflang-invalid-code', 'medium', `Invalid hreflang value: ${code}`, element);
+    }
+    if (!href) {
+      audit.add('hreflang-invalid-url', 'medium', `hreflang ${code} has no valid URL`, element);
+      return;
+    }
+
+    const key = code.toLowerCase();
+    if (seenCodes.has(key) && seenCodes.get(key) !== href) {
+      audit.add('hreflang-duplicate', 'medium', `hreflang ${code} is declared more than once with different URLs`, element);
+    }
+    seenCodes.set(key, href);
+    hrefs.add(href);
+  });
+
+  const selfHref = canonicalHref || pageHref;
+  if (!hrefs.has(selfHref)) {
+    audit.add('hreflang-self-missing', 'low', 'hreflang set does not reference this page itself', 'head');
+  }
+  if (!seenCodes.has('x-default')) {
+    audit.add('hreflang-x-default-missing', 'info', 'hreflang set has no x-default entry', 'head');
+  }
+  if (canonicalHref && canonicalHref !== pageHref && hrefs.has(pageHref)) {
+    audit.add('hreflang-canonical-conflict', 'medium', 'Page is listed as an hreflang alternate but canonicalizes to another URL', canonicals[0]);
+  }
+}
+
+function parseRobotsHeader(value) {
+  const groups = [];
+  let agent = '*';
+
+  String(value || '').split(',').forEach(part => {
+    let token = part.trim();
+    const prefixed = /^([a-z0-9_-]+)\s*:\s*(.*)$/i.exec(token);
+    if (prefixed && !VALUED_ROBOTS_DIRECTIVES.includes(prefixed[1].toLowerCase())) {
+      agent = prefixed[1].toLowerCase();
+      token = prefixed[2].trim();
+    }
+    if (token) groups.push({ agent, directive: token.toLowerCase() });
+  });
+
+  return groups;
+}
+
+function checkRobots($, headers, audit) {
+  const directives = [];
+
+  $('meta[name][content]').each((_, element) => {
+    const name = $(element).attr('name').toLowerCase();
+    if (name !== 'robots' && !/bot$/.test(name)) return;
+
+    $(element).attr('content').split(',').forEach(token => {
+      if (token.trim()) {
+        directives.push({ source: 'meta', agent: name === 'robots' ? '*' : name, directive: token.trim().toLowerCase(), target: element });
+      }
+    });
+  });
+
+  [].concat(headers['x-robots-tag'] || []).forEach(value => {
+    parseRobotsHeader(value).forEach(entry => directives.push({ source: 'header', target: null, ...entry }));
+  });
+
+  const describe = (entry) => `${entry.source === 'meta' ? 'robots meta tag' : 'X-Robots-Tag header'}${entry.agent === '*' ? '' : ` (${entry.agent})`}`;
+
+  directives.forEach(entry => {
+    if (entry.directive === 'noindex' || entry.directive === 'none') {
+      audit.add('robots-noindex', 'high', `Page is excluded from search indexes by the ${describe(entry)}`, entry.target);
+    }
+    if (entry.directive === 'nofollow' || entry.directive === 'none') {
+      audit.add('robots-nofollow', 'medium', `Links on this page are not followed per the ${describe(entry)}`, entry.target);
+    }
+  });
+
+  const indexStates = (source) => new Set(directives
+    .filter(entry => entry.source === source && entry.agent === '*')
+    .map(entry => (['noindex', 'none'].includes(entry.directive) ? 'noindex' : entry.directive === 'index' ? 'index' : null))
+    .filter(Boolean));
+
+  const meta = indexStates('meta');
+  const header = indexStates('header');
+  if ((meta.has('index') && header.has('noindex')) || (meta.has('noindex') && header.has('index'))) {
+    audit.add('robots-conflict', 'low', 'Robots meta tag and X-Robots-Tag header disagree about indexing', null);
+  }
+}
+
+function checkDocument($, audit) {
+  const lang = ($('html').attr('lang') || '').trim();
+  if (!lang) {
+    audit.add('html-lang-missing', 'medium', 'The html element has no lang attribute', 'html');
+  } else if (!LANG_PATTERN.test(lang)) {
+    audit.add('html-lang-invalid', 'low', `The html lang attribute is not a valid language tag: ${lang}`, 'html');
+  }
+
+  const viewport = $('meta[name="viewport" i]').first();
+  if (viewport.length === 0) {
+    audit.add('viewport-missing', 'medium', 'Page has no viewport meta tag', 'head');
+  } else {
+    const content = (viewport.attr('content') || '').toLowerCase().replace(/\s+/g, '');
+    const maximumScale = /maximum-scale=([\d.]+)/.exec(content);
+
+    if (/user-scalable=(no|0)(,|$)/.test(content) || (maximumScale && parseFloat(maximumScale[1]) < 2)) {
+      audit.add('viewport-zoom-disabled', 'medium', 'Viewport meta tag prevents users from zooming', viewport[0]);
+    }
+  }
+
+  const ids = new Map();
+  $('[id]').each((_, element) => {
+    const id = $(element).attr('id');
+    if (!id) return;
+    if (!ids.has(id)) ids.set(id, []);
+    ids.get(id).push(element);
+  });
+
+  ids.forEach((elements, id) => {
+    elements.slice(1).forEach(element => {
+      audit.add('duplicate-id', 'medium', `id "${id}" is used by ${elements.length} elements`, element);
+    });
+  });
+}
+
+/**
+ * SEO and accessibility checks on the parsed page. Findings carry a stable
+ * ruleId and a CSS selector so results can be compared between runs.
+ */
+function auditPage({ url, headers = {}, $ }) {
+  const audit = createCollector($);
+
+  checkHeadings($, audit);
+  checkImages($, audit);
+  checkTitleAndDescription($, audit);
+  checkCanonicalAndHreflang($, url, audit);
+  checkRobots($, headers, audit);
+  checkDocument($, audit);
+
+  return {
+    summary: {
+      total: Object.values(audit.counts).reduce((sum, count) => sum + count, 0),
+      ...audit.severities,
+      rules: audit.counts
+    },
+    truncated: Object.values(audit.counts).some(count => count > MAX_FINDINGS_PER_RULE),
+    findings: audit.findings
+  };
+}
+
+module.exports = {
+  auditPage
+};
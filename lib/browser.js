@@ -0,0 +1,382 @@
+const puppeteer = require('puppeteer');
+const { createHarRecorder } = require('./har');
+
+const { KnownDevices } = puppeteer;
+
+const WAIT_UNTIL_OPTIONS = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+const PDF_FORMATS = ['letter', 'legal', 'tabloid', 'ledger', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5', 'a6'];
+const DEFAULT_VIEWPORT = { width: 1366, height: 768 };
+const DEFAULT_TIMEOUT = 30000;
+const MAX_TIMEOUT = 120000;
+
+let browserPromise = null;
+
+// One shared Chromium instance; pages are opened and closed per request.
+function getBrowser() {
+  if (!browserPromise) {
+    browserPromise = puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    })
+      .then(browser => {
+        browser.on('disconnected', () => {
+          browserPromise = null;
+        });
+        return browser;
+      })
+      .catch(error => {
+        browserPromise = null;
+        throw error;
+      });
+  }
+
+  return browserPromise;
+}
+
+async function withPage(fn) {
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+
+  try {
+    return await fn(page);
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+function parseViewport(value) {
+  if (!value) return { ...DEFAULT_VIEWPORT };
+
+  const match = /^(\d{2,5})x(\d{2,5})$/i.exec(String(value).trim());
+  if (!match) return null;
+
+  const width = parseInt(match[1], 10);
+  const height = parseInt(match[2], 10);
+  if (width > 7680 || height > 7680) return null;
+
+  return { width, height };
+}
+
+function parseTimeout(value) {
+  if (value === undefined || value === '') return DEFAULT_TIMEOUT;
+
+  const timeout = parseInt(value, 10);
+  if (Number.isNaN(timeout) || timeout <= 0) return null;
+
+  return Math.min(timeout, MAX_TIMEOUT);
+}
+
+// Lets a caller veto individual network requests (e.g. SSRF checks); verdicts are cached per origin.
+// `scopedHeaders` ({ origin, headers }) are only added to requests for that origin, so credentials
+// never reach third-party subresources or cross-origin redirects.
+async function applyRequestFilter(page, requestFilter, scopedHeaders = null) {
+  if (!requestFilter) return;
+
+  const verdicts = new Map();
+  await page.setRequestInterception(true);
+
+  page.on('request', request => {
+    const requestUrl = request.url();
+    if (/^(data|blob|about):/i.test(requestUrl)) {
+      request.continue();
+      return;
+    }
+
+    let origin;
+    try {
+      origin = new URL(requestUrl).origin;
+    } catch (e) {
+      request.abort('blockedbyclient');
+      return;
+    }
+
+    if (!verdicts.has(origin)) verdicts.set(origin, Promise.resolve(requestFilter(requestUrl)));
+
+    const overrides = scopedHeaders && origin === scopedHeaders.origin
+      ? { headers: { ...request.headers(), ...scopedHeaders.headers } }
+      : undefined;
+
+    verdicts.get(origin)
+      .then(allowed => (allowed ? request.continue(overrides) : request.abort('blockedbyclient')))
+      .catch(() => request.abort('blockedbyclient').catch(() => {}));
+  });
+}
+
+async function renderPage(targetUrl, options = {}) {
+  const {
+    timeout = DEFAULT_TIMEOUT,
+    viewport = DEFAULT_VIEWPORT,
+    userAgent,
+    waitUntil = 'networkidle2',
+    waitForSelector,
+    globals = [],
+    requestFilter,
+    headers = {},
+    cookies = []
+  } = options;
+
+  return withPage(async (page) => {
+    page.setDefaultTimeout(timeout);
+    await page.setViewport(viewport);
+    if (userAgent) await page.setUserAgent(userAgent);
+    if (cookies.length > 0) {
+      await page.setCookie(...cookies.map(({ name, value }) => ({ name, value, url: targetUrl })));
+    }
+    await applyRequestFilter(page, requestFilter, Object.keys(headers).length > 0
+      ? { origin: new URL(targetUrl).origin, headers }
+      : null);
+
+    const response = await page.goto(targetUrl, { waitUntil, timeout });
+    const hops = response ? [...response.request().redirectChain().map(request => request.response()), response] : [];
+
+    if (waitForSelector) {
+      await page.waitForSelector(waitForSelector, { timeout });
+    }
+
+    // Only values that are strings or numbers are returned, anything else just marks presence.
+    const foundGlobals = await page.evaluate((paths) => {
+      const found = {};
+      paths.forEach(globalPath => {
+        try {
+          let value = window;
+          for (const key of globalPath.split('.')) {
+            if (value === null || value === undefined) break;
+            value = value[key];
+          }
+          if (value !== undefined && value !== null) {
+            found[globalPath] = ['string', 'number'].includes(typeof value) ? String(value) : '';
+          }
+        } catch (e) {
+          // Getters on some globals throw; treat them as absent.
+        }
+      });
+      return found;
+    }, globals);
+
+    return {
+      url: page.url(),
+      html: await page.content(),
+      statusCode: response ? response.status() : null,
+      headers: response ? response.headers() : {},
+      cookies: (await page.cookies()).map(cookie => cookie.name),
+      globals: foundGlobals,
+      // Chromium has already sniffed and decoded the document.
+      charset: (await page.evaluate(() => document.characterSet)).toLowerCase(),
+      charsetSource: 'browser',
+      redirectChain: hops.slice(0, -1).filter(Boolean).map(hop => ({
+        url: hop.url(),
+        statusCode: hop.status(),
+        location: hop.headers().location ? new URL(hop.headers().location, hop.url()).href : null
+      })),
+      // Puppeteer joins repeated Set-Cookie headers with newlines.
+      setCookies: hops.filter(Boolean).flatMap(hop => (hop.headers()['set-cookie'] || '').split('\n').filter(Boolean))
+    };
+  });
+}
+
+// Installed before any page script runs; LCP and layout shifts are only observable from inside the page.
+function observeWebVitals() {
+  const vitals = { lcp: null, lcpElement: null, cls: 0 };
+  let sessionValue = 0;
+  let sessionStart = 0;
+  let lastShift = 0;
+
+  window.__siteAnalyzerVitals = vitals;
+
+  try {
+    new PerformanceObserver(list => {
+      const entries = list.getEntries();
+      const last = entries[entries.length - 1];
+      if (!last) return;
+      vitals.lcp = last.renderTime || last.loadTime || last.startTime;
+      vitals.lcpElement = last.element ? last.element.tagName.toLowerCase() : null;
+    }).observe({ type: 'largest-contentful-paint', buffered: true });
+
+    // CLS is the largest session window: shifts less than 1s apart, at most 5s long.
+    new PerformanceObserver(list => {
+      list.getEntries().forEach(entry => {
+        if (entry.hadRecentInput) return;
+        if (sessionValue && (entry.startTime - lastShift > 1000 || entry.startTime - sessionStart > 5000)) {
+          sessionValue = 0;
+        }
+        if (!sessionValue) sessionStart = entry.startTime;
+        sessionValue += entry.value;
+        lastShift = entry.startTime;
+        vitals.cls = Math.max(vitals.cls, sessionValue);
+      });
+    }).observe({ type: 'layout-shift', buffered: true });
+  } catch (e) {
+    // Older engines without these entry types simply report null metrics.
+  }
+}
+
+function readPerformanceMetrics() {
+  const navigation = performance.getEntriesByType('navigation')[0];
+  const paint = (name) => {
+    const entry = performance.getEntriesByName(name)[0];
+    return entry ? entry.startTime : null;
+  };
+  const vitals = window.__siteAnalyzerVitals || {};
+  const round = (value) => (typeof value === 'number' ? Math.round(value * 10) / 10 : null);
+
+  return {
+    navigation: navigation ? {
+      redirect: round(navigation.redirectEnd - navigation.redirectStart),
+      dns: round(navigation.domainLookupEnd - navigation.domainLookupStart),
+      connect: round(navigation.connectEnd - navigation.connectStart),
+      tls: navigation.secureConnectionStart > 0 ? round(navigation.connectEnd - navigation.secureConnectionStart) : null,
+      ttfb: round(navigation.responseStart),
+      responseEnd: round(navigation.responseEnd),
+      domInteractive: round(navigation.domInteractive),
+      domContentLoaded: round(navigation.domContentLoadedEventEnd),
+      load: round(navigation.loadEventEnd),
+      transferSize: navigation.transferSize,
+      encodedBodySize: navigation.encodedBodySize,
+      decodedBodySize: navigation.decodedBodySize
+    } : null,
+    paint: {
+      firstPaint: round(paint('first-paint')),
+      firstContentfulPaint: round(paint('first-contentful-paint')),
+      largestContentfulPaint: round(vitals.lcp),
+      largestContentfulPaintElement: vitals.lcpElement || null
+    },
+    cumulativeLayoutShift: typeof vitals.cls === 'number' ? Math.round(vitals.cls * 10000) / 10000 : null
+  };
+}
+
+/**
+ * Loads the page while recording every request into a HAR and returns
+ * Navigation Timing, paint and layout-shift metrics measured in the page.
+ */
+async function measurePage(targetUrl, options = {}) {
+  const {
+    timeout = DEFAULT_TIMEOUT,
+    viewport = DEFAULT_VIEWPORT,
+    userAgent,
+    waitUntil = 'load',
+    requestFilter
+  } = options;
+
+  return withPage(async (page) => {
+    page.setDefaultTimeout(timeout);
+    await page.setViewport(viewport);
+    if (userAgent) await page.setUserAgent(userAgent);
+
+    const session = await page.createCDPSession();
+    const recorder = createHarRecorder(session);
+    await recorder.start();
+    await applyRequestFilter(page, requestFilter);
+    await page.evaluateOnNewDocument(observeWebVitals);
+
+    const startedDateTime = new Date().toISOString();
+    const response = await page.goto(targetUrl, { waitUntil, timeout });
+
+    // loadEventEnd is only set once the load handlers have returned.
+    await page.waitForFunction(() => {
+      const navigation = performance.getEntriesByType('navigation')[0];
+      return !navigation || navigation.loadEventEnd > 0;
+    }, { timeout }).catch(() => {});
+
+    const metrics = await page.evaluate(readPerformanceMetrics);
+    const title = await page.title();
+    recorder.stop();
+
+    const navigation = metrics.navigation || {};
+    return {
+      url: page.url(),
+      statusCode: response ? response.status() : null,
+      title,
+      metrics,
+      har: recorder.toHar({
+        title,
+        startedDateTime,
+        pageTimings: {
+          onContentLoad: navigation.domContentLoaded,
+          onLoad: navigation.load
+        }
+      })
+    };
+  });
+}
+
+function getDevice(name) {
+  if (!name) return null;
+
+  const wanted = String(name).toLowerCase();
+  const match = Object.keys(KnownDevices).find(key => key.toLowerCase() === wanted);
+  return match ? KnownDevices[match] : null;
+}
+
+function listDevices() {
+  return Object.keys(KnownDevices);
+}
+
+async function capturePage(targetUrl, options = {}) {
+  const {
+    type = 'png',
+    timeout = DEFAULT_TIMEOUT,
+    viewport = DEFAULT_VIEWPORT,
+    device,
+    userAgent,
+    waitUntil = 'networkidle2',
+    fullPage = false,
+    clip,
+    hideSelectors = [],
+    delay = 0,
+    quality,
+    pdf = {},
+    requestFilter
+  } = options;
+
+  return withPage(async (page) => {
+    page.setDefaultTimeout(timeout);
+
+    if (device) {
+      await page.emulate(device);
+    } else {
+      await page.setViewport(viewport);
+      if (userAgent) await page.setUserAgent(userAgent);
+    }
+    await applyRequestFilter(page, requestFilter);
+
+    await page.goto(targetUrl, { waitUntil, timeout });
+
+    if (hideSelectors.length > 0) {
+      await page.addStyleTag({
+        content: hideSelectors.map(selector => `${selector} { visibility: hidden !important; }`).join('\n')
+      });
+    }
+
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (type === 'pdf') {
+      return Buffer.from(await page.pdf({
+        format: pdf.format || 'A4',
+        landscape: !!pdf.landscape,
+        printBackground: true
+      }));
+    }
+
+    const screenshotOptions = { type, fullPage };
+    if (clip) screenshotOptions.clip = clip;
+    if (quality !== undefined && type !== 'png') screenshotOptions.quality = quality;
+
+    return Buffer.from(await page.screenshot(screenshotOptions));
+  });
+}
+
+module.exports = {
+  WAIT_UNTIL_OPTIONS,
+  PDF_FORMATS,
+  getBrowser,
+  withPage,
+  parseViewport,
+  parseTimeout,
+  renderPage,
+  measurePage,
+  getDevice,
+  listDevices,
+  capturePage
+};
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+const TIMED_TEXT_TIMEOUT = 15000;
+
+const CAPTION_FORMATS = {
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+  txt: { extension: 'txt', mimeType: 'text/plain' }
+};
+
+// Subtitle codec each output container takes for soft subtitles.
+const SUBTITLE_CODECS = {
+  mp4: 'mov_text',
+  mov: 'mov_text',
+  mkv: 'srt',
+  webm: 'webvtt'
+};
+
+// Containers tag streams with ISO 639-2 codes; YouTube uses two-letter ones.
+const ISO_639_2 = {
+  ar: 'ara', cs: 'cze', da: 'dan', de: 'ger', el: 'gre', en: 'eng', es: 'spa', fi: 'fin',
+  fr: 'fre', he: 'heb', hi: 'hin', hu: 'hun', id: 'ind', it: 'ita', ja: 'jpn', ko: 'kor',
+  nl: 'dut', no: 'nor', pl: 'pol', pt: 'por', ro: 'rum', ru: 'rus', sv: 'swe', th: 'tha',
+  tr: 'tur', uk: 'ukr', vi: 'vie', zh: 'chi'
+};
+
+function trackList(info) {
+  return info.player_response?.captions?.playerCaptionsTracklistRenderer || {};
+}
+
+function textOf(name) {
+  if (!name) return '';
+  return name.simpleText || (name.runs || []).map(run => run.text).join('');
+}
+
+/**
+ * Caption tracks as listed by /info. `id` is YouTube's vssId: ".en" for an
+ * uploaded English track, "a.en" for the auto-generated one.
+ */
+function listCaptionTracks(info) {
+  return (trackList(info).captionTracks || []).map(track => ({
+    id: track.vssId,
+    languageCode: track.languageCode,
+    name: textOf(track.name),
+    autoGenerated: track.kind === 'asr',
+    translatable: !!track.isTranslatable
+  }));
+}
+
+/**
+ * Resolves a track id or language code to a caption track. Uploaded tracks
+ * win over auto-generated ones; a language without a track of its own is
+ * machine-translated from a translatable one when YouTube offers that.
+ */
+function findCaptionTrack(info, selector) {
+  const { captionTracks = [], translationLanguages = [] } = trackList(info);
+  const wanted = String(selector || '').toLowerCase();
+  if (!wanted) return null;
+
+  const byId = captionTracks.find(track => String(track.vssId).toLowerCase() === wanted);
+  if (byId) return { track: byId, translateTo: null };
+
+  const ranked = [...captionTracks].sort((a, b) => (a.kind === 'asr') - (b.kind === 'asr'));
+  for (const autoGenerated of [false, true]) {
+    const tracks = ranked.filter(track => (track.kind === 'asr') === autoGenerated);
+    const match = tracks.find(track => track.languageCode.toLowerCase() === wanted)
+      || tracks.find(track => track.languageCode.toLowerCase().split('-')[0] === wanted);
+    if (match) return { track: match, translateTo: null };
+  }
+
+  const translation = translationLanguages.find(language => language.languageCode.toLowerCase() === wanted);
+  const source = ranked.find(track => track.isTranslatable);
+  if (translation && source) return { track: source, translateTo: translation.languageCode };
+
+  return null;
+}
+
+function captionName(caption) {
+  const name = textOf(caption.track.name) || caption.track.languageCode;
+  return caption.translateTo ? `${name} >> ${caption.translateTo}` : name;
+}
+
+function captionLanguage(caption) {
+  return caption.translateTo || caption.track.languageCode;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Cue text is sometimes escaped twice and auto-generated tracks wrap words in <font> tags.
+function cleanCueText(text) {
+  return decodeEntities(text).replace(/<[^>]+>/g, '').replace(/[ \t]+\n/g, '\n').trim();
+}
+
+/**
+ * Parses YouTube's timed-text XML into `[{ start, end, text }]` in seconds.
+ * Handles the default format (`<text start dur>`) and srv3 (`<p t d>` in ms).
+ */
+function parseTimedText(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const cues = [];
+
+  $('text').each((i, element) => {
+    const start = parseFloat($(element).attr('start'));
+    const duration = parseFloat($(element).attr('dur')) || 0;
+    cues.push({ start, end: start + duration, text: cleanCueText($(element).text()) });
+  });
+
+  $('body > p').each((i, element) => {
+    const start = parseInt($(element).attr('t'), 10) / 1000;
+    const duration = (parseInt($(element).attr('d'), 10) || 0) / 1000;
+    cues.push({ start, end: start + duration, text: cleanCueText($(element).text()) });
+  });
+
+  const sorted = cues.filter(cue => !Number.isNaN(cue.start) && cue.text).sort((a, b) => a.start - b.start);
+
+  // Auto-generated tracks roll: each cue runs on under the next one, which players then show stacked.
+  return sorted.map((cue, index) => {
+    const next = sorted[index + 1];
+    return next && next.start > cue.start && next.start < cue.end ? { ...cue, end: next.start } : cue;
+  });
+}
+
+async function fetchCaptionCues(caption) {
+  const url = new URL(caption.track.baseUrl);
+  url.searchParams.delete('fmt');
+  if (caption.translateTo) url.searchParams.set('tlang', caption.translateTo);
+
+  const response = await axios.get(url.toString(), { responseType: 'text', timeout: TIMED_TEXT_TIMEOUT });
+  return parseTimedText(String(response.data || ''));
+}
+
+// Keeps the cues inside the clip, moved so the clip starts at zero.
+function shiftCues(cues, clip) {
+  if (!clip) return cues;
+
+  const end = clip.end === null ? Infinity : clip.end;
+  return cues
+    .filter(cue => cue.end > clip.start && cue.start < end)
+    .map(cue => ({
+      ...cue,
+      start: Math.max(cue.start, clip.start) - clip.start,
+      end: Math.min(cue.end, end) - clip.start
+    }));
+}
+
+function timestamp(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+function formatCaptions(cues, format) {
+  if (format === 'txt') {
+    return `${cues.map(cue => cue.text).join('\n')}\n`;
+  }
+  if (format === 'vtt') {
+    const blocks = cues.map(cue => `${timestamp(cue.start, '.')} --> ${timestamp(cue.end, '.')}\n${cue.text}`);
+    return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+  }
+
+  const blocks = cues.map((cue, index) => `${index + 1}\n${timestamp(cue.start, ',')} --> ${timestamp(cue.end, ',')}\n${cue.text}`);
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Reads `subtitles` (comma-separated track ids or language codes) and
+ * `subtitleMode` (soft or burn) from a query or body. Returns
+ * `{ subtitles: null }`, `{ subtitles: { selectors, mode } }` or `{ error }`.
+ */
+function parseSubtitleOptions(source = {}) {
+  const raw = Array.isArray(source.subtitles) ? source.subtitles.join(',') : String(source.subtitles || '');
+  const selectors = [...new Set(raw.split(',').map(value => value.trim()).filter(Boolean))];
+  if (selectors.length === 0) return { subtitles: null };
+
+  const mode = source.subtitleMode ? String(source.subtitleMode).toLowerCase() : 'soft';
+  if (!['soft', 'burn'].includes(mode)) {
+    return { error: 'subtitleMode must be soft or burn' };
+  }
+  if (mode === 'burn' && selectors.length > 1) {
+    return { error: 'Only one subtitle track can be burned in' };
+  }
+
+  return { subtitles: { selectors, mode } };
+}
+
+// Matches the requested tracks against what the video has. Returns `{ captions }` or `{ error }`.
+function resolveSubtitles(info, subtitles) {
+  const captions = [];
+  for (const selector of subtitles.selectors) {
+    const caption = findCaptionTrack(info, selector);
+    if (!caption) return { error: `No caption track for ${selector}` };
+    captions.push(caption);
+  }
+  return { captions };
+}
+
+/**
+ * Fetches the resolved tracks and writes them as SRT files under `workPath`,
+ * cut to the clip. Returns `[{ path, caption }]` for applySubtitles.
+ */
+async function writeSubtitleFiles(captions, workPath, clip) {
+  return Promise.all(captions.map(async (caption, index) => {
+    const cues = shiftCues(await fetchCaptionCues(caption), clip);
+    const filePath = `${workPath}-subtitles-${index}.srt`;
+    await fs.promises.writeFile(filePath, formatCaptions(cues, 'srt'));
+    return { path: filePath, caption };
+  }));
+}
+
+// Filter arguments are unescaped twice: once as an option value, then as part of the filter graph.
+function escapeFilterPath(filePath) {
+  return filePath
+    .replace(/[\\':]/g, char => `\\${char}`)
+    .replace(/[\\'[\],;]/g, char => `\\${char}`);
+}
+
+/**
+ * Adds subtitle files to an ffmpeg command: burned into the video (which
+ * then has to be re-encoded) or muxed as soft tracks. The command has to map
+ * its audio and video explicitly, since extra inputs turn off ffmpeg's
+ * default stream selection; `inputCount` is how many inputs it already has.
+ */
+function applySubtitles(command, files, { mode, container, inputCount }) {
+  if (!files || files.length === 0) return;
+
+  if (mode === 'burn') {
+    command.videoFilters(`subtitles=${escapeFilterPath(files[0].path)}`);
+    return;
+  }
+
+  files.forEach(file => command.input(file.path));
+  command.outputOptions([
+    ...files.map((file, index) => `-map ${inputCount + index}:0`),
+    `-c:s ${SUBTITLE_CODECS[container]}`
+  ]);
+
+  files.forEach((file, index) => {
+    const language = captionLanguage(file.caption).split('-')[0].toLowerCase();
+    command.outputOptions(`-metadata:s:s:${index}`, `language=${ISO_639_2[language] || 'und'}`);
+    command.outputOptions(`-metadata:s:s:${index}`, `title=${captionName(file.caption)}`);
+  });
+}
+
+module.exports = {
+  CAPTION_FORMATS,
+  listCaptionTracks,
+  findCaptionTrack,
+  captionLanguage,
+  fetchCaptionCues,
+  parseTimedText,
+  formatCaptions,
+  parseSubtitleOptions,
+  resolveSubtitles,
+  writeSubtitleFiles,
+  applySubtitles
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const { parseTimestamp } = require('./clip');
+const { writeFfmetadata } = require('./ffmetadata');
+
+const CHAPTER_MODES = ['embed', 'split'];
+
+// YouTube only turns a description into chapters when it has at least three
+// timestamps, starting at 0:00, each chapter at least ten seconds long.
+const MIN_DESCRIPTION_CHAPTERS = 3;
+const MIN_CHAPTER_SECONDS = 10;
+
+const TIMESTAMP = '((?:\\d{1,2}:)?\\d{1,2}:\\d{2})';
+const TIMESTAMP_FIRST = new RegExp(`^\\s*(?:[-*•▶►]\\s*)?[\\[(]?${TIMESTAMP}[\\])]?\\s*[-–—:|.)]*\\s*(.+?)\\s*$`);
+const TITLE_FIRST = new RegExp(`^\\s*(?:[-*•▶►]\\s*)?(.+?)\\s*[-–—:|]*\\s*[\\[(]?${TIMESTAMP}[\\])]?\\s*$`);
+
+function descriptionChapters(description) {
+  const starts = [];
+  String(description || '').split('\n').forEach(line => {
+    const timestampFirst = TIMESTAMP_FIRST.exec(line);
+    const titleFirst = !timestampFirst && TITLE_FIRST.exec(line);
+    if (timestampFirst) starts.push({ start: parseTimestamp(timestampFirst[1]), title: timestampFirst[2] });
+    if (titleFirst) starts.push({ start: parseTimestamp(titleFirst[2]), title: titleFirst[1] });
+  });
+
+  const valid = starts.length >= MIN_DESCRIPTION_CHAPTERS
+    && starts[0].start === 0
+    && starts.every((chapter, index) => index === 0 || chapter.start - starts[index - 1].start >= MIN_CHAPTER_SECONDS);
+  return valid ? starts : [];
+}
+
+/**
+ * Chapters from the player data, falling back to timestamps in the
+ * description. Returns `[{ title, start, end }]` in seconds.
+ */
+function parseChapters(info) {
+  const details = info.videoDetails;
+  const length = parseFloat(details.lengthSeconds) || 0;
+
+  const fromPlayer = (details.chapters || []).map(chapter => ({ start: chapter.start_time, title: chapter.title }));
+  const starts = fromPlayer.length > 0 ? fromPlayer : descriptionChapters(details.description);
+
+  return starts.map((chapter, index) => ({
+    title: String(chapter.title || '').trim() || `Chapter ${index + 1}`,
+    start: chapter.start,
+    end: index + 1 < starts.length ? starts[index + 1].start : length
+  }));
+}
+
+// Reads `chapters` (embed or split) from a query or body. Returns `{ chapters: null }`, `{ chapters }` or `{ error }`.
+function parseChapterOptions(source = {}) {
+  if (!source.chapters) return { chapters: null };
+
+  const mode = String(source.chapters).toLowerCase();
+  if (!CHAPTER_MODES.includes(mode)) {
+    return { error: `chapters must be one of ${CHAPTER_MODES.join(', ')}` };
+  }
+  return { chapters: mode };
+}
+
+// Keeps the chapters inside the clip, moved so the clip starts at zero.
+function clipChapters(chapters, clip) {
+  if (!clip) return chapters;
+
+  const end = clip.end === null ? Infinity : clip.end;
+  return chapters
+    .filter(chapter => chapter.end > clip.start && chapter.start < end)
+    .map(chapter => ({
+      ...chapter,
+      start: Math.max(chapter.start, clip.start) - clip.start,
+      end: Math.min(chapter.end, end) - clip.start
+    }));
+}
+
+function writeChapterMetadata(filePath, chapters) {
+  return writeFfmetadata(filePath, {}, chapters);
+}
+
+// Adds a chapter metadata file as input `inputIndex` of an ffmpeg command and takes the chapters from it.
+function applyChapters(command, metadataPath, inputIndex) {
+  command
+    .input(metadataPath)
+    .inputOptions('-f ffmetadata')
+    .outputOptions(`-map_chapters ${inputIndex}`);
+}
+
+function chapterFileName(chapter, index, extension) {
+  const title = chapter.title.replace(/[^\w\s]/gi, '').trim() || `Chapter ${index + 1}`;
+  return `${String(index + 1).padStart(2, '0')} - ${title}.${extension}`;
+}
+
+/**
+ * Cuts `inputPath` into one file per chapter with stream copy, so cuts land
+ * on the nearest keyframe. Files are written next to `workPath`; resolves
+ * with `[{ path, name }]` ready for createZip. `onProgress` receives 0-1.
+ */
+async function splitByChapters(inputPath, chapters, { workPath, extension, onProgress }) {
+  const files = [];
+
+  try {
+    for (const [index, chapter] of chapters.entries()) {
+      const filePath = `${workPath}-chapter-${index + 1}.${extension}`;
+
+      await new Promise((resolve, reject) => {
+        ffmpeg()
+          .input(inputPath)
+          .inputOptions(`-ss ${chapter.start.toFixed(3)}`)
+          .outputOptions([
+            '-map 0',
+            '-c copy',
+            `-t ${(chapter.end - chapter.start).toFixed(3)}`,
+            '-map_chapters -1',
+            '-avoid_negative_ts make_zero',
+            `-metadata track=${index + 1}/${chapters.length}`
+          ])
+          .outputOptions('-metadata', `title=${chapter.title}`)
+          .on('end', resolve)
+          .on('error', reject)
+          .save(filePath);
+      });
+
+      files.push({ path: filePath, name: chapterFileName(chapter, index, extension) });
+      if (onProgress) onProgress((index + 1) / chapters.length);
+    }
+  } catch (error) {
+    files.forEach(file => fs.promises.unlink(file.path).catch(() => {}));
+    throw error;
+  }
+
+  return files;
+}
+
+module.exports = {
+  parseChapters,
+  parseChapterOptions,
+  clipChapters,
+  writeChapterMetadata,
+  applyChapters,
+  splitByChapters
+};
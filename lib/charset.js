@@ -0,0 +1,96 @@
+// Follows the HTML spec's encoding sniffing order: BOM, then Content-Type, then a <meta> prescan.
+
+const PRESCAN_BYTES = 1024;
+const DEFAULT_CHARSET = 'utf-8';
+
+const BOMS = [
+  [[0xef, 0xbb, 0xbf], 'utf-8'],
+  [[0xfe, 0xff], 'utf-16be'],
+  [[0xff, 0xfe], 'utf-16le']
+];
+
+// Labels that are valid in the wild but that the decoder either lacks or that the spec remaps.
+const LABEL_OVERRIDES = {
+  'x-user-defined': 'windows-1252',
+  'x-sjis': 'shift_jis',
+  'ms932': 'shift_jis',
+  'cp932': 'shift_jis',
+  'gb2312': 'gbk',
+  'cp1251': 'windows-1251'
+};
+
+function normalizeCharset(label) {
+  if (!label) return null;
+
+  const cleaned = String(label).trim().replace(/^["']|["']$/g, '').toLowerCase();
+  const candidate = LABEL_OVERRIDES[cleaned] || cleaned;
+
+  try {
+    return new TextDecoder(candidate).encoding;
+  } catch (e) {
+    return null;
+  }
+}
+
+function charsetFromContentType(contentType) {
+  const match = /charset\s*=\s*("?)([^";,\s]+)\1/i.exec(String(contentType || ''));
+  return match ? normalizeCharset(match[2]) : null;
+}
+
+function charsetFromBom(buffer) {
+  const match = BOMS.find(([bytes]) => bytes.every((byte, index) => buffer[index] === byte));
+  return match ? { charset: match[1], bomLength: match[0].length } : null;
+}
+
+function charsetFromMeta(buffer) {
+  // Latin-1 maps bytes 1:1, so ASCII markup survives whatever the real encoding is.
+  const head = buffer.subarray(0, PRESCAN_BYTES).toString('latin1');
+  const metaPattern = /<meta\b[^>]*>/gi;
+  let tag;
+
+  while ((tag = metaPattern.exec(head))) {
+    const charset = /\bcharset\s*=\s*["']?([^"'\s/>;]+)/i.exec(tag[0]);
+    if (!charset) continue;
+
+    // A <meta> can't declare UTF-16: the page could not have been parsed this far if it were.
+    const normalized = normalizeCharset(charset[1]);
+    if (normalized) return normalized.startsWith('utf-16') ? DEFAULT_CHARSET : normalized;
+  }
+
+  return null;
+}
+
+/**
+ * Works out the character encoding of an HTML response body.
+ * Returns `{ charset, source }` where source is bom, header, meta or default.
+ */
+function detectCharset(buffer, contentType) {
+  const bom = charsetFromBom(buffer);
+  if (bom) return { charset: bom.charset, source: 'bom' };
+
+  const header = charsetFromContentType(contentType);
+  if (header) return { charset: header, source: 'header' };
+
+  const meta = charsetFromMeta(buffer);
+  if (meta) return { charset: meta, source: 'meta' };
+
+  return { charset: DEFAULT_CHARSET, source: 'default' };
+}
+
+function decodeHtml(body, contentType) {
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body || '');
+  const { charset, source } = detectCharset(buffer, contentType);
+
+  // TextDecoder strips a matching BOM itself.
+  return {
+    html: new TextDecoder(charset).decode(buffer),
+    charset,
+    charsetSource: source
+  };
+}
+
+module.exports = {
+  normalizeCharset,
+  detectCharset,
+  decodeHtml
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const ytdl = require('ytdl-core');
+const { mapWithConcurrency } = require('./pool');
+
+const DEFAULT_CONNECTIONS = parseInt(process.env.DOWNLOAD_CONNECTIONS, 10) || 4;
+const MAX_CONNECTIONS = 16;
+// YouTube throttles single requests past about 10 MB, which is also ytdl-core's own chunk size.
+const CHUNK_SIZE = 10 * 1024 * 1024;
+const CHUNK_RETRIES = 3;
+const RETRY_DELAY_MS = 1000;
+
+// Reads `connections` (parallel requests per stream) from a query or body. Returns `{ connections }` or `{ error }`.
+function parseConnectionOptions(source = {}) {
+  if (source.connections === undefined || source.connections === null || source.connections === '') {
+    return { connections: DEFAULT_CONNECTIONS };
+  }
+
+  const connections = Number(source.connections);
+  if (!Number.isInteger(connections) || connections < 1 || connections > MAX_CONNECTIONS) {
+    return { error: `connections must be between 1 and ${MAX_CONNECTIONS}` };
+  }
+  return { connections };
+}
+
+function splitRange(start, end, chunkSize = CHUNK_SIZE) {
+  const chunks = [];
+  for (let chunkStart = start; chunkStart <= end; chunkStart += chunkSize) {
+    chunks.push({ start: chunkStart, end: Math.min(chunkStart + chunkSize - 1, end) });
+  }
+  return chunks;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Streams one byte range straight to its place in `file`, so only the
+ * stream's own buffer is held in memory. A dropped connection resumes from
+ * the last byte written rather than starting the chunk over, so `onBytes`
+ * never has to take progress back. Gives up without retrying once `signal`
+ * aborts.
+ */
+async function fetchChunk(info, format, chunk, file, position, onBytes, signal) {
+  const length = chunk.end - chunk.start + 1;
+  let written = 0;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if (signal.aborted) throw new Error('Download cancelled');
+
+      await new Promise((resolve, reject) => {
+        // dlChunkSize 0 stops ytdl-core from splitting the range into requests of its own.
+        const stream = ytdl.downloadFromInfo(info, { format, range: { start: chunk.start + written, end: chunk.end }, dlChunkSize: 0 });
+
+        // ytdl-core's destroy() emits nothing, so failures settle the promise here.
+        const finish = (error) => {
+          signal.removeEventListener('abort', cancel);
+          if (error) {
+            stream.destroy();
+            reject(error);
+          } else {
+            resolve();
+          }
+        };
+        const cancel = () => finish(new Error('Download cancelled'));
+        signal.addEventListener('abort', cancel, { once: true });
+
+        // Paused while each write lands, so writes stay in order and 'end' only fires after the last one.
+        stream.on('data', (data) => {
+          if (written + data.length > length) {
+            finish(new RangeError(`Format ${format.itag} returned more bytes than requested`));
+            return;
+          }
+          stream.pause();
+          file.write(data, 0, data.length, position + written).then(() => {
+            written += data.length;
+            onBytes(data.length);
+            stream.resume();
+          }, finish);
+        });
+        stream.on('end', () => finish());
+        stream.on('error', finish);
+      });
+
+      if (written < length) {
+        throw new Error(`Connection closed after ${written} of ${length} bytes`);
+      }
+      return;
+    } catch (error) {
+      if (error instanceof RangeError || signal.aborted || attempt >= CHUNK_RETRIES) throw error;
+      console.error(`Retrying bytes ${chunk.start + written}-${chunk.end} of format ${format.itag}:`, error.message);
+      await delay(RETRY_DELAY_MS * (attempt + 1));
+    }
+  }
+}
+
+/**
+ * Downloads bytes `start`-`end` of a format to `filePath` as chunks fetched
+ * over `connections` parallel requests, each written at its own offset.
+ * `prefix` (an init segment) goes at the start of the file, before the range.
+ * The first chunk to fail for good, or an abort of `signal`, stops the rest.
+ */
+async function downloadChunked(info, format, filePath, { start, end, prefix = null, connections = DEFAULT_CONNECTIONS, onBytes = () => {}, signal = null }) {
+  const file = await fs.promises.open(filePath, 'w');
+  const offset = prefix ? prefix.length : 0;
+
+  try {
+    if (prefix) await file.write(prefix, 0, prefix.length, 0);
+
+    await mapWithConcurrency(splitRange(start, end), connections, (chunk, index, chunkSignal) => (
+      fetchChunk(info, format, chunk, file, offset + chunk.start - start, onBytes, chunkSignal)
+    ), { signal });
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Sums the byte progress of several concurrent downloads into one 0-1
+ * fraction. Returns one callback per download, each taking
+ * `(fraction, downloadedBytes, totalBytes)`; while a size is still unknown
+ * the fractions are averaged instead.
+ */
+function combineProgress(count, onProgress) {
+  const streams = Array.from({ length: count }, () => ({ fraction: 0, downloaded: 0, total: 0 }));
+
+  return streams.map(stream => (fraction, downloaded = 0, total = 0) => {
+    Object.assign(stream, { fraction, downloaded, total });
+
+    const knownSizes = streams.every(entry => entry.total > 0);
+    const combined = knownSizes
+      ? streams.reduce((sum, entry) => sum + entry.downloaded, 0) / streams.reduce((sum, entry) => sum + entry.total, 0)
+      : streams.reduce((sum, entry) => sum + entry.fraction, 0) / streams.length;
+    onProgress(Math.min(combined, 1));
+  });
+}
+
+module.exports = {
+  DEFAULT_CONNECTIONS,
+  parseConnectionOptions,
+  splitRange,
+  downloadChunked,
+  combineProgress
+};
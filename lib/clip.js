@@ -0,0 +1,265 @@
+const fs = require('fs');
+const ytdl = require('ytdl-core');
+const { parseWebmInit, parseWebmCues, parseSidx, findSegmentRange } = require('./mediaIndex');
+const { DEFAULT_CONNECTIONS, downloadChunked, combineProgress } = require('./chunkedDownload');
+
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?(?:(\d+):)?(\d+(?:\.\d+)?)$/;
+
+// Accepts plain seconds ("90", "90.5") or [hh:]mm:ss[.ms]; returns null when empty and NaN when invalid.
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value >= 0 ? value : NaN;
+
+  const match = TIMESTAMP_PATTERN.exec(String(value).trim());
+  if (!match) return NaN;
+
+  const [, first, second, seconds] = match;
+  const hours = second !== undefined ? parseInt(first, 10) : 0;
+  const minutes = second !== undefined ? parseInt(second, 10) : first !== undefined ? parseInt(first, 10) : 0;
+
+  if ((first !== undefined || second !== undefined) && parseFloat(seconds) >= 60) return NaN;
+  if (second !== undefined && minutes >= 60) return NaN;
+
+  return hours * 3600 + minutes * 60 + parseFloat(seconds);
+}
+
+/**
+ * Reads `start`, `end` and `accurate` from a query or body. Returns
+ * `{ clip: null }` when no clip was asked for, `{ clip }` or `{ error }`.
+ */
+function parseClipOptions(source = {}) {
+  const start = parseTimestamp(source.start);
+  const end = parseTimestamp(source.end);
+
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    return { error: 'start and end must be seconds or hh:mm:ss' };
+  }
+  if (start === null && end === null) {
+    return { clip: null };
+  }
+  if (end !== null && end <= (start || 0)) {
+    return { error: 'end must be after start' };
+  }
+
+  return {
+    clip: {
+      start: start || 0,
+      end,
+      accurate: source.accurate === true || source.accurate === 'true'
+    }
+  };
+}
+
+// Checks the clip against the video length and clamps an end past it.
+function fitClipToDuration(clip, lengthSeconds) {
+  const length = parseFloat(lengthSeconds);
+  if (!clip || !length) return { clip };
+
+  if (clip.start >= length) {
+    return { error: `start is beyond the end of the video (${length}s)` };
+  }
+  return { clip: { ...clip, end: clip.end !== null && clip.end >= length ? null : clip.end } };
+}
+
+function formatClipTime(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = total % 60;
+  return hours > 0
+    ? `${hours}h${String(minutes).padStart(2, '0')}m${String(rest).padStart(2, '0')}s`
+    : `${minutes}m${String(rest).padStart(2, '0')}s`;
+}
+
+// Appended to download filenames, e.g. "1m30s-2m00s".
+function clipLabel(clip) {
+  if (!clip) return '';
+  return `${formatClipTime(clip.start)}-${clip.end !== null ? formatClipTime(clip.end) : 'end'}`;
+}
+
+/**
+ * Input seeking: ffmpeg jumps straight to the nearest keyframe instead of
+ * decoding from the beginning. `timeOffset` is where a partially downloaded
+ * file starts on the original timeline.
+ */
+function clipInputOptions(clip, timeOffset = 0) {
+  if (!clip) return [];
+  return [`-ss ${Math.max(clip.start - timeOffset, 0).toFixed(3)}`];
+}
+
+function clipOutputOptions(clip) {
+  if (!clip) return [];
+
+  const options = [];
+  if (clip.end !== null) options.push(`-t ${(clip.end - clip.start).toFixed(3)}`);
+  // With stream copy the cut starts at the previous keyframe; keep its timestamps from going negative.
+  if (!clip.accurate) options.push('-avoid_negative_ts make_zero');
+  return options;
+}
+
+// fluent-ffmpeg's percent is relative to the whole input, which is wrong once only a clip is encoded.
+function clipProgressPercent(progress, clip) {
+  if (!clip || clip.end === null) return progress.percent || 0;
+
+  const [hours, minutes, seconds] = String(progress.timemark || '0:0:0').split(':').map(parseFloat);
+  const encoded = (hours || 0) * 3600 + (minutes || 0) * 60 + (seconds || 0);
+  return Math.min((encoded / (clip.end - clip.start)) * 100, 100);
+}
+
+function readRange(info, format, start, end) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    ytdl.downloadFromInfo(info, { format, range: { start, end } })
+      .on('data', chunk => chunks.push(chunk))
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Works out which bytes of an adaptive format cover the clip, using the
+ * format's segment index. Returns null when the format has no usable index
+ * (muxed formats, live streams), in which case the whole file is needed.
+ */
+async function planClipRange(info, format, clip) {
+  if (!clip || !format.initRange || !format.indexRange || !format.contentLength) return null;
+
+  const initRange = { start: parseInt(format.initRange.start, 10), end: parseInt(format.initRange.end, 10) };
+  const indexRange = { start: parseInt(format.indexRange.start, 10), end: parseInt(format.indexRange.end, 10) };
+  const contentLength = parseInt(format.contentLength, 10);
+  const durationSeconds = parseInt(format.approxDurationMs, 10) / 1000 || parseFloat(info.videoDetails.lengthSeconds);
+
+  const init = await readRange(info, format, initRange.start, initRange.end);
+  const index = await readRange(info, format, indexRange.start, indexRange.end);
+
+  let segments = null;
+  if (format.container === 'mp4') {
+    segments = parseSidx(index, indexRange.start);
+  } else if (format.container === 'webm') {
+    const webmInit = parseWebmInit(init);
+    segments = webmInit && parseWebmCues(index, webmInit, { contentLength, durationSeconds });
+  }
+  if (!segments) return null;
+
+  const range = findSegmentRange(segments, clip);
+  // Media segments must follow the init segment, or the file would be written out of order.
+  if (range.start <= initRange.end) return null;
+
+  return { init, start: range.start, end: range.end, timeOffset: range.timeOffset };
+}
+
+/**
+ * Downloads a format to `filePath`, fetching only the segments that cover
+ * `clip` when the format allows it. Formats of known size are fetched in
+ * byte-range chunks over `connections` parallel requests. Resolves with
+ * `{ timeOffset, partial }` for the ffmpeg input seek; `onProgress` receives
+ * a 0-1 fraction plus the downloaded and total bytes. Aborting `signal`
+ * stops the download.
+ */
+async function downloadFormat(info, format, filePath, { clip = null, connections = DEFAULT_CONNECTIONS, onProgress, signal = null } = {}) {
+  let plan = null;
+  try {
+    plan = await planClipRange(info, format, clip);
+  } catch (error) {
+    console.error(`Could not read the segment index of format ${format.itag}:`, error.message);
+  }
+
+  const contentLength = parseInt(format.contentLength, 10) || 0;
+  const range = plan ? { start: plan.start, end: plan.end } : contentLength ? { start: 0, end: contentLength - 1 } : null;
+  let totalBytes = range ? range.end - range.start + 1 : 0;
+  let downloadedBytes = 0;
+  let lastUpdate = 0;
+
+  const countBytes = (length) => {
+    downloadedBytes += length;
+    const now = Date.now();
+    if (onProgress && totalBytes > 0 && now - lastUpdate >= 100) {
+      onProgress(Math.min(downloadedBytes / totalBytes, 1), downloadedBytes, totalBytes);
+      lastUpdate = now;
+    }
+  };
+
+  if (range) {
+    await downloadChunked(info, format, filePath, {
+      ...range,
+      prefix: plan && plan.init,
+      connections,
+      onBytes: countBytes,
+      signal
+    });
+  } else {
+    // Without a size there is nothing to split, so the format streams over one connection.
+    const writer = fs.createWriteStream(filePath);
+    const stream = ytdl.downloadFromInfo(info, { format });
+
+    stream.on('response', (res) => {
+      totalBytes = parseInt(res.headers['content-length'], 10) || 0;
+    });
+    stream.on('data', chunk => countBytes(chunk.length));
+    stream.pipe(writer);
+
+    let cancel;
+    try {
+      await new Promise((resolve, reject) => {
+        // ytdl-core's destroy() emits nothing, so the abort rejects here.
+        cancel = () => {
+          stream.destroy();
+          writer.destroy();
+          reject(new Error('Download cancelled'));
+        };
+        if (signal) signal.addEventListener('abort', cancel, { once: true });
+
+        writer.on('finish', resolve);
+        writer.on('error', reject);
+        stream.on('error', reject);
+      });
+    } finally {
+      if (signal) signal.removeEventListener('abort', cancel);
+    }
+  }
+
+  if (onProgress && totalBytes > 0) onProgress(1, totalBytes, totalBytes);
+  return { timeOffset: plan ? plan.timeOffset : 0, partial: !!plan };
+}
+
+/**
+ * Downloads several formats at once (`downloads` is `[{ format, filePath }]`)
+ * with their progress reported as one fraction of the combined bytes. Each
+ * format opens up to `connections` requests of its own, so that many times
+ * the number of formats run per item. The first failure cancels the other
+ * downloads, and every download settles before this rejects, so no file is
+ * still being written when the caller cleans up. Resolves with
+ * downloadFormat's results in order.
+ */
+async function downloadFormats(info, downloads, { clip = null, connections = DEFAULT_CONNECTIONS, onProgress = () => {} } = {}) {
+  const progress = combineProgress(downloads.length, onProgress);
+  const controller = new AbortController();
+  let firstError = null;
+  const results = await Promise.allSettled(downloads.map((download, index) => (
+    downloadFormat(info, download.format, download.filePath, {
+      clip,
+      connections,
+      onProgress: progress[index],
+      signal: controller.signal
+    }).catch((error) => {
+      if (!firstError) firstError = error;
+      controller.abort();
+      throw error;
+    })
+  )));
+
+  if (firstError) throw firstError;
+  return results.map(result => result.value);
+}
+
+module.exports = {
+  parseTimestamp,
+  parseClipOptions,
+  fitClipToDuration,
+  clipLabel,
+  clipInputOptions,
+  clipOutputOptions,
+  clipProgressPercent,
+  downloadFormat,
+  downloadFormats
+};
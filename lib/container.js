@@ -0,0 +1,162 @@
+const ytdl = require('ytdl-core');
+
+// Output containers for video downloads and the codecs each one can carry as-is.
+const CONTAINERS = {
+  mp4: {
+    extension: 'mp4',
+    mimeType: 'video/mp4',
+    video: ['h264', 'hevc', 'av1', 'vp9'],
+    audio: ['aac', 'mp3'],
+    faststart: true
+  },
+  mkv: {
+    extension: 'mkv',
+    mimeType: 'video/x-matroska',
+    video: ['h264', 'hevc', 'av1', 'vp9', 'vp8'],
+    audio: ['aac', 'opus', 'vorbis', 'mp3', 'flac']
+  },
+  webm: {
+    extension: 'webm',
+    mimeType: 'video/webm',
+    video: ['vp9', 'av1', 'vp8'],
+    audio: ['opus', 'vorbis']
+  },
+  mov: {
+    extension: 'mov',
+    mimeType: 'video/quicktime',
+    video: ['h264', 'hevc'],
+    audio: ['aac', 'mp3'],
+    faststart: true
+  }
+};
+
+// Compatibility profiles narrow the codecs a container may hold, for players that only decode some of them.
+const PROFILES = {
+  'h264-aac': { video: ['h264'], audio: ['aac'], container: 'mp4' },
+  'vp9-opus': { video: ['vp9'], audio: ['opus'], container: 'webm' }
+};
+
+const PROFILE_ALIASES = {
+  compat: 'h264-aac'
+};
+
+// Used when the source codec can't be copied; listed in order of preference.
+const ENCODERS = {
+  video: {
+    h264: ['-c:v libx264', '-preset veryfast', '-crf 18', '-pix_fmt yuv420p'],
+    vp9: ['-c:v libvpx-vp9', '-crf 31', '-b:v 0', '-row-mt 1', '-deadline good', '-cpu-used 4']
+  },
+  audio: {
+    aac: ['-c:a aac', '-b:a 192k'],
+    opus: ['-c:a libopus', '-b:a 160k']
+  }
+};
+
+const CODEC_FAMILIES = [
+  [/^(avc1|avc3)/, 'h264'],
+  [/^(hev1|hvc1)/, 'hevc'],
+  [/^(vp9|vp09)/, 'vp9'],
+  [/^vp8/, 'vp8'],
+  [/^av01/, 'av1'],
+  [/^(mp3|mp4a\.6b|mp4a\.69)/, 'mp3'],
+  [/^mp4a/, 'aac'],
+  [/^opus/, 'opus'],
+  [/^vorbis/, 'vorbis']
+];
+
+const VIDEO_CODECS = new Set(['h264', 'hevc', 'vp9', 'vp8', 'av1']);
+
+function formatCodecs(format) {
+  const codecs = format.codecs || (/codecs="([^"]+)"/.exec(format.mimeType || '') || [])[1] || '';
+  return codecs
+    .split(',')
+    .map(codec => codec.trim().toLowerCase())
+    .map(codec => (CODEC_FAMILIES.find(([pattern]) => pattern.test(codec)) || [])[1])
+    .filter(Boolean);
+}
+
+function sourceCodec(format, kind) {
+  return formatCodecs(format).find(codec => VIDEO_CODECS.has(codec) === (kind === 'video')) || null;
+}
+
+function allowedCodecs(output, kind) {
+  const codecs = CONTAINERS[output.container][kind];
+  const profile = output.profile && PROFILES[output.profile];
+  return profile ? codecs.filter(codec => profile[kind].includes(codec)) : codecs;
+}
+
+/**
+ * Reads `container` and `profile` from a query or body. Without a container
+ * the profile's own is used, otherwise mp4. Returns `{ output }` or `{ error }`.
+ */
+function parseOutputOptions(source = {}) {
+  const profileName = source.profile ? String(source.profile).toLowerCase() : null;
+  const profile = profileName ? PROFILE_ALIASES[profileName] || profileName : null;
+  if (profile && !PROFILES[profile]) {
+    return { error: `profile must be one of ${Object.keys(PROFILES).join(', ')}` };
+  }
+
+  const container = source.container ? String(source.container).toLowerCase() : (profile ? PROFILES[profile].container : 'mp4');
+  if (!CONTAINERS[container]) {
+    return { error: `container must be one of ${Object.keys(CONTAINERS).join(', ')}` };
+  }
+  if (profile && ['video', 'audio'].some(kind => allowedCodecs({ container, profile }, kind).length === 0)) {
+    return { error: `profile ${profile} can't be written to ${container}` };
+  }
+
+  return { output: { container, profile } };
+}
+
+function outputTarget(output) {
+  return CONTAINERS[output.container];
+}
+
+function planStream(kind, format, allowed, forceEncode) {
+  const codec = sourceCodec(format, kind);
+  if (!forceEncode && allowed.includes(codec)) {
+    return { codec, copy: true, options: [`-c:${kind[0]} copy`] };
+  }
+
+  const target = allowed.find(candidate => ENCODERS[kind][candidate]);
+  return { codec: target, copy: false, options: ENCODERS[kind][target] };
+}
+
+/**
+ * Decides per stream whether the source can be copied into the output or
+ * has to be re-encoded. Frame-accurate clips always re-encode the video,
+ * since stream copy can only cut on keyframes.
+ */
+function planStreams(output, videoFormat, audioFormat, { reencodeVideo = false } = {}) {
+  const video = planStream('video', videoFormat, allowedCodecs(output, 'video'), reencodeVideo);
+  const audio = planStream('audio', audioFormat, allowedCodecs(output, 'audio'), false);
+  const options = [...video.options, ...audio.options];
+
+  if (outputTarget(output).faststart) options.push('-movflags +faststart');
+
+  return {
+    video: { codec: video.codec, copy: video.copy },
+    audio: { codec: audio.codec, copy: audio.copy },
+    copy: video.copy && audio.copy,
+    options
+  };
+}
+
+// Prefers the best audio stream the output can take as-is, so the merge doesn't have to transcode it.
+function chooseMergeAudio(info, output) {
+  const allowed = allowedCodecs(output, 'audio');
+  const candidates = info.formats
+    .filter(format => format.hasAudio && !format.hasVideo)
+    .sort((a, b) => (b.audioBitrate || 0) - (a.audioBitrate || 0));
+
+  return candidates.find(format => allowed.includes(sourceCodec(format, 'audio')))
+    || ytdl.chooseFormat(info.formats, { quality: 'highestaudio' });
+}
+
+module.exports = {
+  CONTAINERS,
+  PROFILES,
+  parseOutputOptions,
+  outputTarget,
+  planStreams,
+  chooseMergeAudio
+};
@@ -0,0 +1,321 @@
+const cheerio = require('cheerio');
+const { getBaseUrl } = require('./links');
+const { detectLanguage } = require('./language');
+
+const WORDS_PER_MINUTE = 230;
+const MAX_TEXT_CHARS = 200000;
+const MIN_PARAGRAPH_CHARS = 25;
+const MAX_EXCERPT_CHARS = 300;
+
+// Scoring follows Mozilla Readability: paragraphs vote for their ancestors, class/id names and link density adjust the vote.
+const REMOVE_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg', 'canvas',
+  'form', 'button', 'input', 'select', 'textarea', 'nav', 'aside', 'footer', 'dialog',
+  '[hidden]', '[aria-hidden="true"]', '[role="navigation"]', '[role="banner"]',
+  '[role="contentinfo"]', '[role="complementary"]', '[role="dialog"]'
+].join(', ');
+
+const UNLIKELY = /-ad-|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|cookie|newsletter|share/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/i;
+
+const TAG_SCORES = {
+  div: 5, pre: 3, td: 3, blockquote: 3,
+  address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3,
+  h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5
+};
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'ol', 'p', 'pre',
+  'section', 'table', 'ul'
+]);
+
+const normalizeSpace = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+
+function classWeight(element) {
+  let weight = 0;
+  [element.attribs.class, element.attribs.id].forEach(value => {
+    if (!value) return;
+    if (NEGATIVE.test(value)) weight -= 25;
+    if (POSITIVE.test(value)) weight += 25;
+  });
+  return weight;
+}
+
+function linkDensity($, element) {
+  const textLength = normalizeSpace($(element).text()).length;
+  if (textLength === 0) return 0;
+
+  let linkLength = 0;
+  $(element).find('a').each((_, link) => {
+    linkLength += normalizeSpace($(link).text()).length;
+  });
+  return linkLength / textLength;
+}
+
+function removeUnlikelyCandidates($) {
+  $('body *').each((_, element) => {
+    if (['a', 'article', 'main'].includes(element.tagName)) return;
+
+    const match = `${element.attribs.class || ''} ${element.attribs.id || ''}`;
+    if (!UNLIKELY.test(match) || MAYBE_CANDIDATE.test(match)) return;
+    if ($(element).closest('article, main').length > 0 || $(element).find('article, main').length > 0) return;
+
+    $(element).remove();
+  });
+}
+
+function scoreCandidates($) {
+  const scores = new Map();
+  const addScore = (element, amount) => {
+    if (!element || element.type !== 'tag' || element.tagName === 'html') return;
+    if (!scores.has(element)) scores.set(element, (TAG_SCORES[element.tagName] || 0) + classWeight(element));
+    scores.set(element, scores.get(element) + amount);
+  };
+
+  $('p, pre, td, blockquote, div').each((_, element) => {
+    // Divs only count as paragraphs when they hold text rather than other blocks.
+    if (element.tagName === 'div' && $(element).children().filter((__, child) => BLOCK_TAGS.has(child.tagName)).length > 0) return;
+
+    const text = normalizeSpace($(element).text());
+    if (text.length < MIN_PARAGRAPH_CHARS) return;
+
+    const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = element.parent;
+    const grandparent = parent && parent.parent;
+
+    addScore(parent, score);
+    addScore(grandparent, score / 2);
+    addScore(grandparent && grandparent.parent, score / 3);
+  });
+
+  scores.forEach((score, element) => scores.set(element, score * (1 - linkDensity($, element))));
+  return scores;
+}
+
+function pickContent($) {
+  const scores = scoreCandidates($);
+  let top = null;
+  let topScore = 0;
+
+  scores.forEach((score, element) => {
+    if (score > topScore) {
+      top = element;
+      topScore = score;
+    }
+  });
+
+  if (!top || top.tagName === 'body') {
+    return $('body').length > 0 ? [$('body').get(0)] : [$.root().get(0)];
+  }
+
+  // Related blocks often sit next to the best candidate rather than inside it.
+  const threshold = Math.max(10, topScore * 0.2);
+  const parts = [];
+
+  $(top).parent().children().each((_, sibling) => {
+    if (sibling === top || (scores.get(sibling) || 0) >= threshold) {
+      parts.push(sibling);
+      return;
+    }
+    if (sibling.tagName === 'p') {
+      const text = normalizeSpace($(sibling).text());
+      const density = linkDensity($, sibling);
+      if ((text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text))) {
+        parts.push(sibling);
+      }
+    }
+  });
+
+  return parts;
+}
+
+function cleanContent($, parts) {
+  parts.forEach(part => {
+    $(part).find('div, section, ul, ol, table').each((_, element) => {
+      if (classWeight(element) < 0) {
+        $(element).remove();
+        return;
+      }
+      if ($(element).find('img').length === 0 && linkDensity($, element) > 0.5) {
+        $(element).remove();
+      }
+    });
+  });
+}
+
+function resolveUrl(value, baseUrl) {
+  if (!value || /^(javascript|data):/i.test(value.trim())) return null;
+  try {
+    return new URL(value.trim(), baseUrl).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+// Walks the DOM once per output; `markdown: false` yields plain text with the same block structure.
+function render(node, context) {
+  if (node.type === 'text') {
+    if (context.pre) return node.data;
+    const text = node.data.replace(/\s+/g, ' ');
+    return context.markdown ? escapeMarkdown(text) : text;
+  }
+  if (node.type !== 'tag' && node.type !== 'root') return '';
+
+  const { markdown, baseUrl, $ } = context;
+  const tag = node.tagName;
+  const inner = (overrides = {}) => (node.children || []).map(child => render(child, { ...context, ...overrides })).join('');
+  const block = (content) => `\n\n${content.trim()}\n\n`;
+
+  if (/^h[1-6]$/.test(tag)) {
+    const text = normalizeSpace(inner());
+    return text ? block(markdown ? `${'#'.repeat(Number(tag[1]))} ${text}` : text) : '';
+  }
+
+  switch (tag) {
+    case 'br':
+      return '\n';
+    case 'hr':
+      return markdown ? block('---') : '\n\n';
+    case 'img': {
+      const src = resolveUrl(node.attribs.src, baseUrl);
+      return markdown && src ? `![${escapeMarkdown(normalizeSpace(node.attribs.alt))}](${src})` : '';
+    }
+    case 'a': {
+      const text = inner().trim();
+      const href = resolveUrl(node.attribs.href, baseUrl);
+      return markdown && text && href ? `[${text}](${href})` : text;
+    }
+    case 'strong':
+    case 'b': {
+      const text = inner().trim();
+      return markdown && text ? `**${text}**` : text;
+    }
+    case 'em':
+    case 'i': {
+      const text = inner().trim();
+      return markdown && text ? `_${text}_` : text;
+    }
+    case 'code':
+      return context.pre || !markdown ? inner({ pre: context.pre }) : `\`${normalizeSpace($(node).text())}\``;
+    case 'pre': {
+      const code = inner({ pre: true, markdown: false }).replace(/\n+$/, '');
+      return markdown ? `\n\n\`\`\`\n${code}\n\`\`\`\n\n` : `\n\n${code}\n\n`;
+    }
+    case 'blockquote': {
+      const content = inner().replace(/\n{3,}/g, '\n\n').trim();
+      return block(markdown ? content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n') : content);
+    }
+    case 'ul':
+    case 'ol': {
+      const items = (node.children || []).filter(child => child.tagName === 'li').map((item, index) => {
+        const marker = markdown ? (tag === 'ol' ? `${index + 1}. ` : '- ') : '';
+        const content = render(item, context).replace(/\n{2,}/g, '\n').trim();
+        const indent = ' '.repeat(marker.length);
+        return marker + content.split('\n').map((line, lineIndex) => (lineIndex === 0 || !line ? line : indent + line)).join('\n');
+      });
+      return block(items.filter(Boolean).join('\n'));
+    }
+    case 'li':
+      return context.markdown ? inner() : block(inner());
+    case 'table': {
+      const rows = [];
+      $(node).find('tr').each((_, row) => {
+        rows.push((row.children || [])
+          .filter(cell => cell.tagName === 'td' || cell.tagName === 'th')
+          .map(cell => normalizeSpace(render(cell, context)).replace(/\|/g, '\\|')));
+      });
+      if (rows.length === 0) return '';
+      if (!markdown) return block(rows.map(cells => cells.join('\t')).join('\n'));
+
+      const width = Math.max(...rows.map(cells => cells.length));
+      const line = (cells) => `| ${Array.from({ length: width }, (_, index) => cells[index] || '').join(' | ')} |`;
+      return block([line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n'));
+    }
+    default:
+      return BLOCK_TAGS.has(tag) || ['figcaption', 'caption', 'summary', 'details'].includes(tag) ? block(inner()) : inner();
+  }
+}
+
+function renderParts(parts, context) {
+  return parts.map(part => render(part, context)).join('\n\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function countWords(text) {
+  let count = 0;
+  for (const segment of segmenter.segment(text)) {
+    if (segment.isWordLike) count++;
+  }
+  return count;
+}
+
+function extractMetadata($, text) {
+  const meta = (selector) => normalizeSpace($(selector).first().attr('content')) || null;
+  const firstText = (selector) => normalizeSpace($(selector).first().text()) || null;
+
+  const excerpt = meta('meta[name="description"]') || meta('meta[property="og:description"]') || text.split('\n\n')[0] || '';
+
+  return {
+    title: meta('meta[property="og:title"]') || firstText('h1') || normalizeSpace($('title').text()) || null,
+    byline: meta('meta[name="author"]') || firstText('[rel="author"]') || firstText('[itemprop="author"]') || firstText('.byline') || null,
+    publishedTime: meta('meta[property="article:published_time"]') || $('time[datetime]').first().attr('datetime') || null,
+    excerpt: excerpt.length > MAX_EXCERPT_CHARS ? `${excerpt.slice(0, MAX_EXCERPT_CHARS - 1)}…` : excerpt || null
+  };
+}
+
+function resolveLanguage($, headers, text) {
+  const contentLanguage = headers ? [].concat(headers['content-language'] || [])[0] : null;
+  const declared = normalizeSpace($('html').attr('lang')) || normalizeSpace(contentLanguage) || null;
+  const detected = detectLanguage(text);
+
+  if (detected) {
+    return { code: detected.code, source: 'text', declared, confidence: detected.confidence };
+  }
+  return { code: declared ? declared.split(/[-_,]/)[0].toLowerCase() : null, source: declared ? 'declared' : null, declared, confidence: null };
+}
+
+/**
+ * Pulls the main article out of the page, Readability-style, and returns it
+ * as plain text and Markdown with word count, reading time and language.
+ * `$` is only read; scoring works on its own copy of the document.
+ */
+function extractContent(html, { url, headers, $ }) {
+  const doc = cheerio.load(html || '');
+  const baseUrl = getBaseUrl(doc, url);
+
+  doc(REMOVE_SELECTOR).remove();
+  removeUnlikelyCandidates(doc);
+
+  const parts = pickContent(doc);
+  cleanContent(doc, parts);
+
+  const fullText = renderParts(parts, { markdown: false, baseUrl, $: doc });
+  const fullMarkdown = renderParts(parts, { markdown: true, baseUrl, $: doc });
+  const wordCount = countWords(fullText);
+  const truncated = fullText.length > MAX_TEXT_CHARS || fullMarkdown.length > MAX_TEXT_CHARS;
+
+  return {
+    ...extractMetadata($, fullText),
+    language: resolveLanguage($, headers, fullText),
+    wordCount,
+    characterCount: fullText.length,
+    readingTimeMinutes: wordCount === 0 ? 0 : Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)),
+    truncated,
+    text: fullText.slice(0, MAX_TEXT_CHARS),
+    markdown: fullMarkdown.slice(0, MAX_TEXT_CHARS)
+  };
+}
+
+module.exports = {
+  extractContent
+};
@@ -0,0 +1,109 @@
+// Minimal RFC 6265 cookie jar so cookies set during a redirect chain (e.g. a login hop) are sent on later hops.
+
+function defaultPath(pathname) {
+  if (!pathname || !pathname.startsWith('/')) return '/';
+  const lastSlash = pathname.lastIndexOf('/');
+  return lastSlash <= 0 ? '/' : pathname.slice(0, lastSlash);
+}
+
+function domainMatches(hostname, cookie) {
+  if (cookie.hostOnly) return hostname === cookie.domain;
+  return hostname === cookie.domain || hostname.endsWith(`.${cookie.domain}`);
+}
+
+function pathMatches(pathname, cookiePath) {
+  if (pathname === cookiePath) return true;
+  if (!pathname.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || pathname[cookiePath.length] === '/';
+}
+
+function parseSetCookie(header, requestUrl) {
+  const [pair, ...attributes] = String(header).split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) return null;
+
+  const url = new URL(requestUrl);
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain: url.hostname.toLowerCase(),
+    hostOnly: true,
+    path: defaultPath(url.pathname),
+    secure: false,
+    expiresAt: null
+  };
+
+  for (const attribute of attributes) {
+    const [rawKey, ...rest] = attribute.split('=');
+    const key = rawKey.trim().toLowerCase();
+    const value = rest.join('=').trim();
+
+    if (key === 'domain' && value) {
+      const domain = value.replace(/^\./, '').toLowerCase();
+      // A server may only set cookies for its own domain or a parent of it.
+      if (cookie.domain !== domain && !cookie.domain.endsWith(`.${domain}`)) return null;
+      cookie.domain = domain;
+      cookie.hostOnly = false;
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+      cookie.expiresAt = Date.now() + parseInt(value, 10) * 1000;
+    } else if (key === 'expires' && cookie.expiresAt === null) {
+      const expires = Date.parse(value);
+      if (!Number.isNaN(expires)) cookie.expiresAt = expires;
+    }
+  }
+
+  return cookie;
+}
+
+/**
+ * Starts with the caller's cookies scoped to the target host, then follows
+ * Set-Cookie headers the way a browser would.
+ */
+function createCookieJar(initialCookies = [], targetUrl) {
+  const { hostname } = new URL(targetUrl);
+  let cookies = initialCookies.map(({ name, value }) => ({
+    name,
+    value,
+    domain: hostname.toLowerCase(),
+    hostOnly: true,
+    path: '/',
+    secure: false,
+    expiresAt: null
+  }));
+
+  return {
+    getCookieHeader(requestUrl) {
+      const url = new URL(requestUrl);
+      const now = Date.now();
+      cookies = cookies.filter(cookie => cookie.expiresAt === null || cookie.expiresAt > now);
+
+      const matching = cookies
+        .filter(cookie => domainMatches(url.hostname.toLowerCase(), cookie))
+        .filter(cookie => pathMatches(url.pathname || '/', cookie.path))
+        .filter(cookie => !cookie.secure || url.protocol === 'https:')
+        .sort((a, b) => b.path.length - a.path.length);
+
+      return matching.length > 0 ? matching.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') : null;
+    },
+
+    store(requestUrl, setCookieHeaders = []) {
+      [].concat(setCookieHeaders).forEach(header => {
+        const cookie = parseSetCookie(header, requestUrl);
+        if (!cookie) return;
+
+        cookies = cookies.filter(existing => !(
+          existing.name === cookie.name && existing.domain === cookie.domain && existing.path === cookie.path
+        ));
+        if (cookie.expiresAt === null || cookie.expiresAt > Date.now()) cookies.push(cookie);
+      });
+    }
+  };
+}
+
+module.exports = {
+  createCookieJar
+};
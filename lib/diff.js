@@ -0,0 +1,196 @@
+const MAX_LCS_CELLS = 4000000;
+
+// Headers that change on every response and would make every snapshot look different.
+const VOLATILE_HEADERS = [
+  'date', 'age', 'expires', 'set-cookie', 'etag', 'last-modified', 'cf-ray', 'x-request-id',
+  'x-amz-cf-id', 'x-amz-request-id', 'x-served-by', 'x-cache', 'x-cache-hits', 'x-timer',
+  'server-timing', 'report-to', 'nel', 'x-vercel-id', 'x-nf-request-id', 'fly-request-id',
+  'x-github-request-id', 'content-length', 'connection', 'keep-alive', 'transfer-encoding'
+];
+
+const SECTION_WEIGHTS = {
+  text: 0.5,
+  scripts: 0.15,
+  stylesheets: 0.1,
+  metaTags: 0.1,
+  headers: 0.05,
+  title: 0.05,
+  statusCode: 0.05
+};
+
+function multisetDiff(oldLines, newLines) {
+  const counts = new Map();
+  oldLines.forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+
+  const added = [];
+  newLines.forEach((line, index) => {
+    if (counts.get(line) > 0) {
+      counts.set(line, counts.get(line) - 1);
+    } else {
+      added.push({ line: index + 1, text: line });
+    }
+  });
+
+  const removed = [];
+  const remaining = new Map(counts);
+  oldLines.forEach((line, index) => {
+    if (remaining.get(line) > 0) {
+      remaining.set(line, remaining.get(line) - 1);
+      removed.push({ line: index + 1, text: line });
+    }
+  });
+
+  return { added, removed };
+}
+
+function lcsDiff(oldLines, newLines) {
+  const rows = oldLines.length;
+  const cols = newLines.length;
+  const table = new Uint32Array((rows + 1) * (cols + 1));
+  const at = (i, j) => i * (cols + 1) + j;
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      table[at(i, j)] = oldLines[i] === newLines[j]
+        ? table[at(i + 1, j + 1)] + 1
+        : Math.max(table[at(i + 1, j)], table[at(i, j + 1)]);
+    }
+  }
+
+  const added = [];
+  const removed = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < rows && j < cols) {
+    if (oldLines[i] === newLines[j]) {
+      i++;
+      j++;
+    } else if (table[at(i + 1, j)] >= table[at(i, j + 1)]) {
+      removed.push({ line: i + 1, text: oldLines[i] });
+      i++;
+    } else {
+      added.push({ line: j + 1, text: newLines[j] });
+      j++;
+    }
+  }
+
+  for (; i < rows; i++) removed.push({ line: i + 1, text: oldLines[i] });
+  for (; j < cols; j++) added.push({ line: j + 1, text: newLines[j] });
+
+  return { added, removed };
+}
+
+function diffLines(oldLines = [], newLines = []) {
+  const result = (oldLines.length + 1) * (newLines.length + 1) <= MAX_LCS_CELLS
+    ? lcsDiff(oldLines, newLines)
+    : multisetDiff(oldLines, newLines);
+
+  const total = Math.max(oldLines.length, newLines.length, 1);
+
+  return {
+    ...result,
+    changeRatio: Math.min(1, (result.added.length + result.removed.length) / (2 * total))
+  };
+}
+
+function diffSets(oldValues = [], newValues = []) {
+  const oldSet = new Set(oldValues);
+  const newSet = new Set(newValues);
+  const added = [...newSet].filter(value => !oldSet.has(value));
+  const removed = [...oldSet].filter(value => !newSet.has(value));
+  const union = new Set([...oldSet, ...newSet]).size;
+
+  return {
+    added,
+    removed,
+    changeRatio: union > 0 ? (added.length + removed.length) / union : 0
+  };
+}
+
+function diffMaps(oldMap = {}, newMap = {}, ignoredKeys = []) {
+  const added = {};
+  const removed = {};
+  const changed = {};
+  const keys = new Set([...Object.keys(oldMap), ...Object.keys(newMap)]);
+
+  ignoredKeys.forEach(key => keys.delete(key));
+
+  keys.forEach(key => {
+    const oldValue = oldMap[key];
+    const newValue = newMap[key];
+
+    if (oldValue === undefined) {
+      added[key] = newValue;
+    } else if (newValue === undefined) {
+      removed[key] = oldValue;
+    } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changed[key] = { from: oldValue, to: newValue };
+    }
+  });
+
+  const changeCount = Object.keys(added).length + Object.keys(removed).length + Object.keys(changed).length;
+
+  return {
+    added,
+    removed,
+    changed,
+    changeRatio: keys.size > 0 ? changeCount / keys.size : 0
+  };
+}
+
+function diffSnapshots(from, to) {
+  const sections = {
+    text: diffLines(from.text, to.text),
+    scripts: diffSets(from.scripts, to.scripts),
+    stylesheets: diffSets(from.stylesheets, to.stylesheets),
+    metaTags: diffMaps(from.metaTags, to.metaTags),
+    headers: diffMaps(from.headers, to.headers, VOLATILE_HEADERS),
+    title: from.title === to.title ? null : { from: from.title, to: to.title },
+    statusCode: from.statusCode === to.statusCode ? null : { from: from.statusCode, to: to.statusCode }
+  };
+
+  const ratios = {
+    text: sections.text.changeRatio,
+    scripts: sections.scripts.changeRatio,
+    stylesheets: sections.stylesheets.changeRatio,
+    metaTags: sections.metaTags.changeRatio,
+    headers: sections.headers.changeRatio,
+    title: sections.title ? 1 : 0,
+    statusCode: sections.statusCode ? 1 : 0
+  };
+
+  const changeScore = Object.entries(SECTION_WEIGHTS)
+    .reduce((sum, [section, weight]) => sum + ratios[section] * weight * 100, 0);
+
+  return {
+    fromSnapshotId: from.id,
+    toSnapshotId: to.id,
+    changed: changeScore > 0,
+    changeScore: Math.round(changeScore * 100) / 100,
+    summary: {
+      textLinesAdded: sections.text.added.length,
+      textLinesRemoved: sections.text.removed.length,
+      scriptsAdded: sections.scripts.added.length,
+      scriptsRemoved: sections.scripts.removed.length,
+      stylesheetsAdded: sections.stylesheets.added.length,
+      stylesheetsRemoved: sections.stylesheets.removed.length,
+      metaTagsChanged: Object.keys(sections.metaTags.added).length
+        + Object.keys(sections.metaTags.removed).length
+        + Object.keys(sections.metaTags.changed).length,
+      headersChanged: Object.keys(sections.headers.added).length
+        + Object.keys(sections.headers.removed).length
+        + Object.keys(sections.headers.changed).length,
+      titleChanged: !!sections.title,
+      statusCodeChanged: !!sections.statusCode
+    },
+    ...sections
+  };
+}
+
+module.exports = {
+  diffLines,
+  diffSets,
+  diffMaps,
+  diffSnapshots
+};
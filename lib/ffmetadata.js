@@ -0,0 +1,38 @@
+const fs = require('fs');
+
+// ffmpeg's FFMETADATA1 text format, passed as an extra input and picked up with -map_metadata / -map_chapters.
+// Going through a file keeps long or awkward tag values off the command line.
+
+function escapeValue(value) {
+  return String(value).replace(/[=;#\\\n]/g, char => `\\${char}`);
+}
+
+function tagLines(tags) {
+  return Object.entries(tags)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${escapeValue(key)}=${escapeValue(value)}`);
+}
+
+// `chapters` are `[{ title, start, end }]` in seconds.
+function formatFfmetadata(tags = {}, chapters = []) {
+  const lines = [';FFMETADATA1', ...tagLines(tags)];
+  chapters.forEach(chapter => {
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.start * 1000)}`,
+      `END=${Math.round(chapter.end * 1000)}`,
+      ...tagLines({ title: chapter.title })
+    );
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function writeFfmetadata(filePath, tags, chapters) {
+  return fs.promises.writeFile(filePath, formatFfmetadata(tags, chapters));
+}
+
+module.exports = {
+  formatFfmetadata,
+  writeFfmetadata
+};
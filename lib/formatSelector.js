@@ -0,0 +1,273 @@
+// Format selection expressions, a subset of yt-dlp's -f syntax:
+//
+//   bestvideo[height<=1080][vcodec^=avc1]+bestaudio/best
+//
+// `/` separates fallbacks tried left to right, `+` merges a video and an audio
+// format, and each format is an itag or one of the names below followed by
+// any number of [field op value] filters. A plain itag is still a valid expression.
+
+const DEFAULT_FORMAT = 'bestvideo+bestaudio/best';
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+const TYPES = {
+  merged: format => format.hasVideo && format.hasAudio,
+  video: format => format.hasVideo && !format.hasAudio,
+  audio: format => format.hasAudio && !format.hasVideo,
+  withVideo: format => format.hasVideo,
+  withAudio: format => format.hasAudio,
+  any: format => format.hasVideo || format.hasAudio
+};
+
+const NAMES = {
+  best: { order: 'best', type: 'merged' },
+  worst: { order: 'worst', type: 'merged' },
+  bestvideo: { order: 'best', type: 'video' },
+  worstvideo: { order: 'worst', type: 'video' },
+  bestaudio: { order: 'best', type: 'audio' },
+  worstaudio: { order: 'worst', type: 'audio' },
+  b: { order: 'best', type: 'merged' },
+  w: { order: 'worst', type: 'merged' },
+  bv: { order: 'best', type: 'video' },
+  wv: { order: 'worst', type: 'video' },
+  ba: { order: 'best', type: 'audio' },
+  wa: { order: 'worst', type: 'audio' },
+  // A trailing * also accepts formats that carry the other kind of stream.
+  'b*': { order: 'best', type: 'any' },
+  'w*': { order: 'worst', type: 'any' },
+  'bv*': { order: 'best', type: 'withVideo' },
+  'wv*': { order: 'worst', type: 'withVideo' },
+  'ba*': { order: 'best', type: 'withAudio' },
+  'wa*': { order: 'worst', type: 'withAudio' }
+};
+
+// tbr and abr are in kbps, filesize in bytes.
+const NUMERIC_FIELDS = {
+  height: format => format.height,
+  width: format => format.width,
+  fps: format => format.fps,
+  tbr: format => format.bitrate && format.bitrate / 1000,
+  abr: format => format.audioBitrate,
+  asr: format => Number(format.audioSampleRate),
+  filesize: format => Number(format.contentLength),
+  itag: format => format.itag
+};
+
+const STRING_FIELDS = {
+  vcodec: format => format.videoCodec,
+  acodec: format => format.audioCodec,
+  ext: format => format.container,
+  container: format => format.container
+};
+
+const FIELD_ALIASES = {
+  bitrate: 'tbr',
+  size: 'filesize'
+};
+
+const NUMERIC_OPS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const STRING_OPS = {
+  '=': (a, b) => a === b,
+  '^=': (a, b) => a.startsWith(b),
+  '$=': (a, b) => a.endsWith(b),
+  '*=': (a, b) => a.includes(b)
+};
+
+const FILTER = /^([a-z_]+)\s*(<=|>=|<|>|!=|!?[\^$*]?=)(\?)?\s*(.+)$/i;
+const SIZE = /^(\d+(?:\.\d+)?)\s*(?:([kmgt])(i)?)?b?$/i;
+const SIZE_POWERS = { k: 1, m: 2, g: 3, t: 4 };
+
+// Splits on `separator` outside of [...] filters.
+function splitTopLevel(text, separator) {
+  const parts = [''];
+  let depth = 0;
+  for (const char of text) {
+    if (char === '[') depth++;
+    if (char === ']') depth = Math.max(0, depth - 1);
+    if (char === separator && depth === 0) {
+      parts.push('');
+    } else {
+      parts[parts.length - 1] += char;
+    }
+  }
+  return parts.map(part => part.trim());
+}
+
+// Numbers take an optional k/M/G/T suffix, decimal or binary ("50M", "1.5GiB").
+function parseFilterNumber(value) {
+  const match = SIZE.exec(value);
+  if (!match) return NaN;
+  const base = match[3] ? 1024 : 1000;
+  return parseFloat(match[1]) * base ** (match[2] ? SIZE_POWERS[match[2].toLowerCase()] : 0);
+}
+
+function parseFilter(text) {
+  const match = FILTER.exec(text.trim());
+  if (!match) return { error: `Invalid filter [${text}]` };
+
+  const [, rawField, op, optional, rawValue] = match;
+  const field = FIELD_ALIASES[rawField.toLowerCase()] || rawField.toLowerCase();
+  const value = rawValue.trim();
+
+  if (NUMERIC_FIELDS[field]) {
+    const number = parseFilterNumber(value);
+    if (!NUMERIC_OPS[op]) return { error: `${op} can't be used with ${field}` };
+    if (Number.isNaN(number)) return { error: `${field} must be compared with a number` };
+    return { filter: { get: NUMERIC_FIELDS[field], test: NUMERIC_OPS[op], value: number, optional: !!optional } };
+  }
+
+  if (STRING_FIELDS[field]) {
+    const negate = op.startsWith('!');
+    const test = STRING_OPS[negate ? op.slice(1) : op];
+    if (!test) return { error: `${op} can't be used with ${field}` };
+    return {
+      filter: {
+        get: STRING_FIELDS[field],
+        test: (a, b) => test(a.toLowerCase(), b) !== negate,
+        value: value.toLowerCase(),
+        optional: !!optional
+      }
+    };
+  }
+
+  return { error: `Unknown field ${rawField}` };
+}
+
+function parseAtom(text) {
+  const match = /^([a-z0-9]+\*?)((?:\[[^\]]*\])*)$/i.exec(text);
+  if (!match) return { error: `Invalid format ${text || '(empty)'}` };
+
+  const [, name, filterText] = match;
+  const atom = /^\d+$/.test(name)
+    ? { order: 'best', type: 'any', itag: parseInt(name, 10) }
+    : NAMES[name.toLowerCase()] && { ...NAMES[name.toLowerCase()] };
+  if (!atom) return { error: `Unknown format ${name}` };
+
+  atom.filters = [];
+  for (const [, filterBody] of filterText.matchAll(/\[([^\]]*)\]/g)) {
+    const { filter, error } = parseFilter(filterBody);
+    if (error) return { error };
+    atom.filters.push(filter);
+  }
+  return { atom };
+}
+
+/**
+ * Parses a selector expression into its fallbacks, each `{ video, audio }`
+ * for a merge or `{ single }`. Returns `{ selector }` or `{ error }`, so a
+ * bad expression can be rejected before any video info is fetched. A `?`
+ * after the operator (`[filesize<?50M]`) also lets through formats that
+ * don't report the field.
+ */
+function parseFormatSelector(expression) {
+  const text = String(expression ?? '').trim();
+  if (!text) return { error: 'format is required' };
+  if (text.length > MAX_EXPRESSION_LENGTH) return { error: 'format expression is too long' };
+
+  const selector = [];
+  for (const alternative of splitTopLevel(text, '/')) {
+    const parts = splitTopLevel(alternative, '+');
+    if (parts.length > 2) return { error: 'Only a video and an audio format can be merged' };
+
+    const atoms = [];
+    for (const part of parts) {
+      const { atom, error } = parseAtom(part);
+      if (error) return { error };
+      atoms.push(atom);
+    }
+    selector.push(atoms.length === 2 ? { video: atoms[0], audio: atoms[1] } : { single: atoms[0] });
+  }
+  return { selector };
+}
+
+// Reads `format` from a query or body. Returns `{ format: null }`, `{ format }` with the expression or `{ error }`.
+function parseFormatOption(source = {}) {
+  if (source.format === undefined || source.format === null || source.format === '') return { format: null };
+
+  const format = String(source.format).trim();
+  const { error } = parseFormatSelector(format);
+  return error ? { error } : { format };
+}
+
+function passesFilter(format, filter) {
+  const actual = filter.get(format);
+  if (actual === undefined || actual === null || actual === '' || Number.isNaN(actual)) return filter.optional;
+  return filter.test(actual, filter.value);
+}
+
+function rankKey(format, type) {
+  if (type === 'audio' || type === 'withAudio') {
+    return [format.audioBitrate || 0, format.bitrate || 0, Number(format.audioSampleRate) || 0];
+  }
+  return [format.height || 0, format.fps || 0, format.bitrate || 0, format.audioBitrate || 0];
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+function pickFormat(formats, atom) {
+  const candidates = formats
+    .filter(TYPES[atom.type])
+    .filter(format => atom.itag === undefined || format.itag === atom.itag)
+    .filter(format => atom.filters.every(filter => passesFilter(format, filter)));
+  if (candidates.length === 0) return null;
+
+  const sign = atom.order === 'best' ? -1 : 1;
+  return candidates.sort((a, b) => sign * compareKeys(rankKey(a, atom.type), rankKey(b, atom.type)))[0];
+}
+
+/**
+ * Tries each fallback against `formats` and returns the first that matches
+ * as `{ format, audioFormat }`; `audioFormat` is only set for merges. Returns
+ * null when nothing matches.
+ */
+function resolveFormatSelector(formats, selector) {
+  for (const alternative of selector) {
+    if (alternative.single) {
+      const format = pickFormat(formats, alternative.single);
+      if (format) return { format, audioFormat: null };
+      continue;
+    }
+
+    const format = pickFormat(formats, alternative.video);
+    const audioFormat = pickFormat(formats, alternative.audio);
+    if (format && audioFormat && format.hasVideo && audioFormat.hasAudio && format !== audioFormat) {
+      return { format, audioFormat };
+    }
+  }
+  return null;
+}
+
+// Parses and resolves in one go. Returns `{ selection }` or `{ error }`.
+function selectFormats(formats, expression) {
+  const { selector, error } = parseFormatSelector(expression);
+  if (error) return { error };
+
+  const selection = resolveFormatSelector(formats, selector);
+  return selection ? { selection } : { error: `No format matches ${expression}` };
+}
+
+function selectionItags(selection) {
+  return [selection.format, selection.audioFormat].filter(Boolean).map(format => format.itag);
+}
+
+module.exports = {
+  DEFAULT_FORMAT,
+  parseFormatSelector,
+  parseFormatOption,
+  resolveFormatSelector,
+  selectFormats,
+  selectionItags
+};
@@ -0,0 +1,251 @@
+const { version } = require('../package.json');
+
+// Builds HAR 1.2 (http://www.softwareishard.com/blog/har-12-spec/) from Chrome DevTools Protocol Network events.
+
+const HTTP_VERSIONS = {
+  'http/0.9': 'HTTP/0.9',
+  'http/1.0': 'HTTP/1.0',
+  'http/1.1': 'HTTP/1.1',
+  h2: 'HTTP/2',
+  h3: 'HTTP/3',
+  'h3-29': 'HTTP/3'
+};
+
+function toNameValueList(headers = {}) {
+  const list = [];
+  Object.entries(headers).forEach(([name, value]) => {
+    // CDP joins repeated headers with newlines.
+    String(value).split('\n').forEach(item => list.push({ name, value: item }));
+  });
+  return list;
+}
+
+function headerValue(headers = {}, name) {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? String(headers[key]) : null;
+}
+
+function parseRequestCookies(headers) {
+  const header = headerValue(headers, 'cookie');
+  if (!header) return [];
+
+  return header.split(';').map(pair => {
+    const separator = pair.indexOf('=');
+    return separator === -1
+      ? { name: pair.trim(), value: '' }
+      : { name: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim() };
+  }).filter(cookie => cookie.name);
+}
+
+function parseResponseCookies(headers) {
+  const header = headerValue(headers, 'set-cookie');
+  if (!header) return [];
+
+  return header.split('\n').map(line => {
+    const [pair, ...attributes] = line.split(';');
+    const separator = pair.indexOf('=');
+    const cookie = {
+      name: (separator === -1 ? pair : pair.slice(0, separator)).trim(),
+      value: separator === -1 ? '' : pair.slice(separator + 1).trim()
+    };
+
+    attributes.forEach(attribute => {
+      const [key, ...rest] = attribute.split('=');
+      const name = key.trim().toLowerCase();
+      const value = rest.join('=').trim();
+      if (name === 'path') cookie.path = value;
+      if (name === 'domain') cookie.domain = value;
+      if (name === 'expires') cookie.expires = value;
+      if (name === 'httponly') cookie.httpOnly = true;
+      if (name === 'secure') cookie.secure = true;
+    });
+
+    return cookie;
+  }).filter(cookie => cookie.name);
+}
+
+function queryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+  } catch (e) {
+    return [];
+  }
+}
+
+// Mirrors how Chrome DevTools converts ResourceTiming into HAR timings.
+function buildTimings(timing, startedAt, finishedAt) {
+  // Requests that never got a response only have event timestamps; the whole span counts as blocked.
+  if (!timing) {
+    const blocked = startedAt && finishedAt ? Math.max((finishedAt - startedAt) * 1000, 0) : -1;
+    return { blocked, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: 0 };
+  }
+
+  const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0);
+  const blocked = Math.max(firstStart === undefined ? 0 : firstStart, 0);
+  const span = (start, end) => (start >= 0 && end >= 0 ? end - start : -1);
+  const receiveHeadersEnd = timing.receiveHeadersEnd >= 0 ? timing.receiveHeadersEnd : timing.sendEnd;
+  const total = finishedAt ? (finishedAt - timing.requestTime) * 1000 : receiveHeadersEnd;
+
+  return {
+    blocked,
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: Math.max(timing.sendEnd - timing.sendStart, 0),
+    wait: Math.max(receiveHeadersEnd - timing.sendEnd, 0),
+    receive: Math.max(total - receiveHeadersEnd, 0)
+  };
+}
+
+function totalTime(timings) {
+  // ssl is already part of connect in HAR, so it is not added again.
+  return ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .reduce((sum, key) => sum + Math.max(timings[key], 0), 0);
+}
+
+/**
+ * Listens to a CDP session's Network domain and turns the events into HAR
+ * entries. Call `start()` before navigating and `toHar()` once the page is done.
+ */
+function createHarRecorder(session) {
+  const pending = new Map();
+  const entries = [];
+
+  const finish = (record, { response, finishedAt, encodedDataLength, error }) => {
+    const finalResponse = response || record.response;
+    const headers = finalResponse ? finalResponse.headers : {};
+    const timings = buildTimings(finalResponse && finalResponse.timing, record.timestamp, finishedAt);
+    const transferSize = encodedDataLength !== undefined ? encodedDataLength : finalResponse ? finalResponse.encodedDataLength : -1;
+
+    entries.push({
+      pageref: 'page_1',
+      startedDateTime: new Date(record.wallTime * 1000).toISOString(),
+      time: totalTime(timings),
+      request: {
+        method: record.request.method,
+        url: record.request.url,
+        httpVersion: finalResponse ? HTTP_VERSIONS[String(finalResponse.protocol).toLowerCase()] || 'HTTP/1.1' : 'HTTP/1.1',
+        cookies: parseRequestCookies(record.request.headers),
+        headers: toNameValueList(finalResponse && finalResponse.requestHeaders ? finalResponse.requestHeaders : record.request.headers),
+        queryString: queryString(record.request.url),
+        headersSize: -1,
+        bodySize: record.request.postData ? Buffer.byteLength(record.request.postData) : 0,
+        ...(record.request.postData ? {
+          postData: {
+            mimeType: headerValue(record.request.headers, 'content-type') || '',
+            text: record.request.postData
+          }
+        } : {})
+      },
+      response: {
+        status: finalResponse ? finalResponse.status : 0,
+        statusText: finalResponse ? finalResponse.statusText || '' : '',
+        httpVersion: finalResponse ? HTTP_VERSIONS[String(finalResponse.protocol).toLowerCase()] || 'HTTP/1.1' : '',
+        cookies: parseResponseCookies(headers),
+        headers: toNameValueList(headers),
+        content: {
+          size: record.dataLength,
+          mimeType: finalResponse ? finalResponse.mimeType || 'x-unknown' : 'x-unknown'
+        },
+        redirectURL: headerValue(headers, 'location') || '',
+        headersSize: -1,
+        bodySize: transferSize >= 0 ? transferSize : -1,
+        _transferSize: transferSize,
+        ...(error ? { _error: error } : {})
+      },
+      cache: {},
+      timings,
+      serverIPAddress: finalResponse && finalResponse.remoteIPAddress ? finalResponse.remoteIPAddress.replace(/^\[|\]$/g, '') : undefined,
+      connection: finalResponse && finalResponse.connectionId ? String(finalResponse.connectionId) : undefined,
+      _resourceType: (record.type || 'other').toLowerCase(),
+      _fromCache: finalResponse ? !!(finalResponse.fromDiskCache || finalResponse.fromPrefetchCache) : false
+    });
+  };
+
+  const handlers = {
+    'Network.requestWillBeSent': (event) => {
+      const previous = pending.get(event.requestId);
+      if (previous && event.redirectResponse) {
+        finish(previous, {
+          response: event.redirectResponse,
+          finishedAt: event.timestamp,
+          encodedDataLength: event.redirectResponse.encodedDataLength
+        });
+      }
+
+      pending.set(event.requestId, {
+        request: event.request,
+        type: event.type,
+        wallTime: event.wallTime,
+        timestamp: event.timestamp,
+        response: null,
+        dataLength: 0
+      });
+    },
+    'Network.responseReceived': (event) => {
+      const record = pending.get(event.requestId);
+      if (!record) return;
+      record.response = event.response;
+      record.type = event.type || record.type;
+    },
+    'Network.dataReceived': (event) => {
+      const record = pending.get(event.requestId);
+      if (record) record.dataLength += event.dataLength;
+    },
+    'Network.loadingFinished': (event) => {
+      const record = pending.get(event.requestId);
+      if (!record) return;
+      pending.delete(event.requestId);
+      finish(record, { finishedAt: event.timestamp, encodedDataLength: event.encodedDataLength });
+    },
+    'Network.loadingFailed': (event) => {
+      const record = pending.get(event.requestId);
+      if (!record) return;
+      pending.delete(event.requestId);
+      finish(record, { finishedAt: event.timestamp, error: event.blockedReason || event.errorText });
+    }
+  };
+
+  return {
+    async start() {
+      Object.entries(handlers).forEach(([name, handler]) => session.on(name, handler));
+      await session.send('Network.enable');
+    },
+
+    stop() {
+      Object.entries(handlers).forEach(([name, handler]) => session.off(name, handler));
+    },
+
+    entries() {
+      return entries.slice().sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+    },
+
+    // Requests still in flight when the page is captured are included as unfinished entries.
+    toHar({ title = '', startedDateTime, pageTimings = {} } = {}) {
+      pending.forEach(record => finish(record, { error: 'unfinished' }));
+      pending.clear();
+
+      const sorted = this.entries();
+      return {
+        log: {
+          version: '1.2',
+          creator: { name: 'site-analyzer', version },
+          pages: [{
+            startedDateTime: startedDateTime || (sorted[0] ? sorted[0].startedDateTime : new Date().toISOString()),
+            id: 'page_1',
+            title,
+            pageTimings: {
+              onContentLoad: typeof pageTimings.onContentLoad === 'number' ? pageTimings.onContentLoad : -1,
+              onLoad: typeof pageTimings.onLoad === 'number' ? pageTimings.onLoad : -1
+            }
+          }],
+          entries: sorted
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createHarRecorder
+};
@@ -0,0 +1,105 @@
+// Lightweight language guess: the Unicode script settles most non-Latin languages,
+// Latin-script text is scored against the most frequent words of each language.
+
+const SAMPLE_CHARS = 20000;
+const MIN_STOPWORD_HITS = 5;
+
+const SCRIPTS = [
+  ['kana', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+  ['han', /\p{Script=Han}/gu],
+  ['hangul', /\p{Script=Hangul}/gu],
+  ['cyrillic', /\p{Script=Cyrillic}/gu],
+  ['arabic', /\p{Script=Arabic}/gu],
+  ['hebrew', /\p{Script=Hebrew}/gu],
+  ['greek', /\p{Script=Greek}/gu],
+  ['thai', /\p{Script=Thai}/gu],
+  ['devanagari', /\p{Script=Devanagari}/gu],
+  ['latin', /\p{Script=Latin}/gu]
+];
+
+const SCRIPT_LANGUAGES = {
+  hangul: 'ko',
+  arabic: 'ar',
+  hebrew: 'he',
+  greek: 'el',
+  thai: 'th',
+  devanagari: 'hi'
+};
+
+const STOPWORDS = {
+  en: 'the and of to in is that it for was on are with as be this by at from have or not but an they which you were his her',
+  de: 'der die und in den von zu das mit sich des auf für ist im dem nicht ein eine als auch es an werden aus er hat dass sie',
+  fr: 'le la les de des et en un une du est que pour qui dans pas sur au par plus ne se sont avec il elle ce nous vous',
+  es: 'el la de que y en los se del las un por con no una su para es al lo como más pero sus le ha este sí porque',
+  it: 'il di che la e in un per non una del le con si da sono della al lo gli ma come anche dei nel è più questo',
+  pt: 'o de que e do da em um para com não uma os no se na por mais as dos como mas ao ele das à seu sua ou',
+  nl: 'de het een van en in is dat op te zijn voor niet met die ook aan er maar om als bij dit wordt door hij ze',
+  sv: 'och i att det som en på är av för med till den har de inte om ett men var jag sig från så kan eller',
+  pl: 'i w na z się nie do to że jest o jak po co tak za od ale przez są by jego dla czy już tylko może',
+  tr: 've bir bu da de için ile çok daha gibi ne ama olan olarak en kadar sonra ya her şey değil var mı ben'
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words.split(' '))])
+);
+
+function countScripts(text) {
+  const counts = {};
+  SCRIPTS.forEach(([name, pattern]) => {
+    counts[name] = (text.match(pattern) || []).length;
+  });
+  return counts;
+}
+
+function guessLatin(text) {
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  const hits = {};
+  words.forEach(word => {
+    Object.entries(STOPWORD_SETS).forEach(([code, set]) => {
+      if (set.has(word)) hits[code] = (hits[code] || 0) + 1;
+    });
+  });
+
+  const ranked = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0 || ranked[0][1] < MIN_STOPWORD_HITS) return null;
+
+  const total = ranked.reduce((sum, [, count]) => sum + count, 0);
+  return { code: ranked[0][0], confidence: ranked[0][1] / total };
+}
+
+function guessCyrillic(text) {
+  // Letters that exist in Ukrainian but not in Russian, and vice versa.
+  const ukrainian = (text.match(/[іїєґ]/giu) || []).length;
+  const russian = (text.match(/[ыэъё]/giu) || []).length;
+  return ukrainian > russian ? 'uk' : 'ru';
+}
+
+/**
+ * Returns `{ code, confidence }` for the dominant language of the text, or
+ * null when there is too little text to tell.
+ */
+function detectLanguage(text) {
+  const sample = String(text || '').slice(0, SAMPLE_CHARS);
+  const counts = countScripts(sample);
+  const letters = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  if (letters < 20) return null;
+
+  const [script, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  const share = count / letters;
+  const round = (value) => Math.round(value * 100) / 100;
+
+  // Japanese mixes kanji with kana; Chinese has no kana at all.
+  if ((script === 'han' || script === 'kana') && counts.kana > 0.1 * (counts.han + counts.kana)) {
+    return { code: 'ja', confidence: round((counts.han + counts.kana) / letters) };
+  }
+  if (script === 'han') return { code: 'zh', confidence: round(share) };
+  if (script === 'cyrillic') return { code: guessCyrillic(sample), confidence: round(share * 0.9) };
+  if (SCRIPT_LANGUAGES[script]) return { code: SCRIPT_LANGUAGES[script], confidence: round(share) };
+
+  const latin = guessLatin(sample);
+  return latin ? { code: latin.code, confidence: round(latin.confidence * share) } : null;
+}
+
+module.exports = {
+  detectLanguage
+};
@@ -0,0 +1,238 @@
+const cheerio = require('cheerio');
+const { getBaseUrl } = require('./links');
+const { FetchRejectedError, safeRequest } = require('./safeFetch');
+const { mapWithConcurrency, createHostThrottle } = require('./pool');
+
+const MAX_LINKS = parseInt(process.env.LINK_CHECK_MAX_LINKS, 10) || 300;
+const LINK_CONCURRENCY = parseInt(process.env.LINK_CHECK_CONCURRENCY, 10) || 8;
+const LINKS_PER_HOST = 2;
+const HOST_DELAY_MS = 250;
+const LINK_TIMEOUT = 10000;
+const MAX_TEXTS = 3;
+
+const HEAD_FALLBACK_STATUSES = [403, 405, 501];
+
+function stripWww(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+function hasFragmentTarget($, fragment) {
+  if (!fragment || fragment.toLowerCase() === 'top') return true;
+
+  let decoded = fragment;
+  try {
+    decoded = decodeURIComponent(fragment);
+  } catch (e) {
+    // Keep the raw fragment when it is not valid percent-encoding.
+  }
+
+  const escaped = decoded.replace(/["\\]/g, '\\$&');
+  return $(`[id="${escaped}"], a[name="${escaped}"]`).length > 0;
+}
+
+/**
+ * Groups anchors by target URL (without fragment) so each destination is
+ * fetched once, while remembering every fragment that points into it.
+ */
+function collectLinks($, pageUrl) {
+  const baseUrl = getBaseUrl($, pageUrl);
+  const pageHref = new URL(pageUrl);
+  pageHref.hash = '';
+
+  const targets = new Map();
+  const skipped = {};
+
+  $('a[href], area[href]').each((_, element) => {
+    const href = $(element).attr('href').trim();
+    if (!href) return;
+
+    let resolved;
+    try {
+      resolved = new URL(href, baseUrl);
+    } catch (e) {
+      skipped.invalid = (skipped.invalid || 0) + 1;
+      return;
+    }
+
+    if (!['http:', 'https:'].includes(resolved.protocol)) {
+      const scheme = resolved.protocol.replace(':', '');
+      skipped[scheme] = (skipped[scheme] || 0) + 1;
+      return;
+    }
+
+    const fragment = resolved.hash.slice(1);
+    resolved.hash = '';
+
+    if (!targets.has(resolved.href)) {
+      targets.set(resolved.href, {
+        url: resolved.href,
+        internal: stripWww(resolved.hostname) === stripWww(pageHref.hostname),
+        samePage: resolved.href === pageHref.href,
+        occurrences: 0,
+        texts: [],
+        fragments: new Set()
+      });
+    }
+
+    const target = targets.get(resolved.href);
+    const text = $(element).text().replace(/\s+/g, ' ').trim() || $(element).attr('title') || $(element).attr('aria-label') || '';
+
+    target.occurrences++;
+    if (text && target.texts.length < MAX_TEXTS && !target.texts.includes(text)) target.texts.push(text);
+    if (fragment) target.fragments.add(fragment);
+  });
+
+  return { targets: Array.from(targets.values()), skipped };
+}
+
+function classifyError(error) {
+  if (error.redirectLoop) return 'redirect-loop';
+  if (error instanceof FetchRejectedError) {
+    if (error.statusCode === 403) return 'blocked';
+    if (error.redirectChain) return 'too-many-redirects';
+    return 'error';
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) return 'timeout';
+  return 'error';
+}
+
+async function requestLink(url, method, userAgent, readBody = false) {
+  return safeRequest(url, {
+    method,
+    headers: {
+      'User-Agent': userAgent,
+      'Accept': 'text/html,application/xhtml+xml,*/*;q=0.8'
+    },
+    timeout: LINK_TIMEOUT,
+    maxRedirects: 10,
+    detectRedirectLoops: true,
+    // Bodies are only read when fragments have to be looked up; other streams are destroyed once headers arrive.
+    responseType: readBody ? 'text' : 'stream',
+    validateStatus: () => true
+  });
+}
+
+async function checkTarget(target, userAgent) {
+  const fragments = Array.from(target.fragments);
+  const result = {
+    url: target.url,
+    occurrences: target.occurrences,
+    texts: target.texts,
+    fragments,
+    status: 'ok',
+    statusCode: null,
+    finalUrl: null,
+    redirectChain: [],
+    missingFragments: [],
+    method: fragments.length > 0 ? 'GET' : 'HEAD',
+    timeMs: null,
+    error: null
+  };
+
+  const startedAt = Date.now();
+
+  try {
+    let response = await requestLink(target.url, fragments.length > 0 ? 'get' : 'head', userAgent, fragments.length > 0);
+
+    if (fragments.length === 0 && HEAD_FALLBACK_STATUSES.includes(response.status)) {
+      if (response.data && response.data.destroy) response.data.destroy();
+      response = await requestLink(target.url, 'get', userAgent);
+      result.method = 'GET';
+    }
+    if (response.data && response.data.destroy) response.data.destroy();
+
+    result.statusCode = response.status;
+    result.finalUrl = response.finalUrl;
+    result.redirectChain = response.redirectChain.map(({ url, statusCode }) => ({ url, statusCode }));
+
+    if (response.status >= 400) {
+      result.status = 'broken';
+    } else if (fragments.length > 0) {
+      const contentType = String(response.headers['content-type'] || '');
+      if (contentType.includes('html')) {
+        const $ = cheerio.load(String(response.data || ''));
+        result.missingFragments = fragments.filter(fragment => !hasFragmentTarget($, fragment));
+      }
+    }
+  } catch (error) {
+    result.status = classifyError(error);
+    result.error = error.message;
+    if (error.redirectChain) {
+      result.redirectChain = error.redirectChain.map(({ url, statusCode }) => ({ url, statusCode }));
+    }
+  }
+
+  result.timeMs = Date.now() - startedAt;
+  return result;
+}
+
+// Links back to the analyzed page are checked against the DOM we already have.
+function checkSamePage(target, $, page) {
+  const fragments = Array.from(target.fragments);
+  return {
+    url: target.url,
+    occurrences: target.occurrences,
+    texts: target.texts,
+    fragments,
+    status: 'ok',
+    statusCode: page.statusCode,
+    finalUrl: page.url,
+    redirectChain: [],
+    missingFragments: fragments.filter(fragment => !hasFragmentTarget($, fragment)),
+    method: null,
+    timeMs: 0,
+    error: null
+  };
+}
+
+function summarize(results, skipped, totalTargets) {
+  const count = (predicate) => results.filter(predicate).length;
+
+  return {
+    totalLinks: totalTargets,
+    checked: results.length,
+    ok: count(link => link.status === 'ok' && link.missingFragments.length === 0),
+    broken: count(link => link.status === 'broken'),
+    redirected: count(link => link.redirectChain.length > 0),
+    redirectLoops: count(link => link.status === 'redirect-loop'),
+    tooManyRedirects: count(link => link.status === 'too-many-redirects'),
+    timeouts: count(link => link.status === 'timeout'),
+    blocked: count(link => link.status === 'blocked'),
+    errors: count(link => link.status === 'error'),
+    missingFragments: count(link => link.missingFragments.length > 0),
+    skipped
+  };
+}
+
+/**
+ * Checks every anchor target on the page with bounded concurrency and a
+ * per-host rate limit, splitting the results into internal and external links.
+ */
+async function checkLinks($, page, { userAgent } = {}) {
+  const { targets, skipped } = collectLinks($, page.url);
+  const selected = targets.slice(0, MAX_LINKS);
+  const throttle = createHostThrottle({ maxPerHost: LINKS_PER_HOST, delayMs: HOST_DELAY_MS });
+
+  const results = await mapWithConcurrency(selected, LINK_CONCURRENCY, async target => {
+    const result = target.samePage
+      ? checkSamePage(target, $, page)
+      : await throttle.run(target.url, () => checkTarget(target, userAgent));
+    return { ...result, internal: target.internal };
+  });
+
+  throttle.clear();
+
+  const strip = ({ internal, ...link }) => link;
+
+  return {
+    summary: summarize(results, skipped, targets.length),
+    truncated: targets.length > MAX_LINKS,
+    internal: results.filter(link => link.internal).map(strip),
+    external: results.filter(link => !link.internal).map(strip)
+  };
+}
+
+module.exports = {
+  collectLinks,
+  checkLinks
+};
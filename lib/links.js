@@ -0,0 +1,34 @@
+function getBaseUrl($, pageUrl) {
+  const baseHref = $('base[href]').first().attr('href');
+  if (!baseHref) return pageUrl;
+
+  try {
+    return new URL(baseHref, pageUrl).href;
+  } catch (e) {
+    return pageUrl;
+  }
+}
+
+function extractLinks($, pageUrl) {
+  const baseUrl = getBaseUrl($, pageUrl);
+  const links = new Set();
+
+  $('a[href]').each((_, element) => {
+    try {
+      const resolved = new URL($(element).attr('href').trim(), baseUrl);
+      if (!['http:', 'https:'].includes(resolved.protocol)) return;
+
+      resolved.hash = '';
+      links.add(resolved.href);
+    } catch (e) {
+      // Ignore hrefs that are not valid URLs.
+    }
+  });
+
+  return Array.from(links);
+}
+
+module.exports = {
+  getBaseUrl,
+  extractLinks
+};
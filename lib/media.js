@@ -0,0 +1,132 @@
+const ytdl = require('ytdl-core');
+
+const STREAM_URL_PATTERN = /\.(m3u8|mpd)(?:[?#]|$)/i;
+const EMBEDDED_STREAM_PATTERN = /["'(\s](https?:\/\/[^"'()\s<>]+?\.(?:m3u8|mpd)(?:\?[^"'()\s<>]*)?)["')\s]/;
+
+const MEDIA_META_KEYS = [
+  'og:video',
+  'og:video:url',
+  'og:video:secure_url',
+  'og:audio',
+  'og:audio:url',
+  'og:audio:secure_url',
+  'twitter:player',
+  'twitter:player:stream'
+];
+
+function resolveUrl(value, baseUrl) {
+  if (!value) return null;
+
+  try {
+    const resolved = new URL(value.trim(), baseUrl);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Embed, short and nocookie links all map back to a canonical watch URL.
+function toYouTubeWatchUrl(value) {
+  try {
+    const parsed = new URL(value);
+    if (/(^|\.)youtube-nocookie\.com$/i.test(parsed.hostname)) {
+      parsed.hostname = 'www.youtube.com';
+    }
+
+    const videoId = ytdl.getURLVideoID(parsed.href);
+    return `https://www.youtube.com/watch?v=${videoId}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+function classify(mediaUrl, fallbackType) {
+  const match = STREAM_URL_PATTERN.exec(mediaUrl);
+  if (match) return match[1].toLowerCase() === 'm3u8' ? 'hls' : 'dash';
+  return fallbackType;
+}
+
+function extractMedia($, baseUrl, html = '') {
+  const found = new Map();
+
+  const add = (rawUrl, source, fallbackType, extra = {}) => {
+    const mediaUrl = resolveUrl(rawUrl, baseUrl);
+    if (!mediaUrl) return;
+
+    const watchUrl = toYouTubeWatchUrl(mediaUrl);
+    const key = watchUrl || mediaUrl;
+
+    if (found.has(key)) {
+      const existing = found.get(key);
+      if (!existing.foundIn.includes(source)) existing.foundIn.push(source);
+      return;
+    }
+
+    found.set(key, {
+      type: watchUrl ? 'youtube' : classify(mediaUrl, fallbackType),
+      url: mediaUrl,
+      watchUrl,
+      mimeType: extra.mimeType || null,
+      foundIn: [source],
+      downloadable: ytdl.validateURL(key)
+    });
+  };
+
+  $('video, audio').each((_, element) => {
+    const tag = element.tagName.toLowerCase();
+    add($(element).attr('src'), tag, tag);
+
+    $(element).find('source').each((__, source) => {
+      add($(source).attr('src'), 'source', tag, { mimeType: $(source).attr('type') });
+    });
+  });
+
+  $('source[src]').each((_, element) => {
+    const parentTag = $(element).parent().prop('tagName');
+    if (parentTag && ['VIDEO', 'AUDIO', 'PICTURE'].includes(parentTag.toUpperCase())) return;
+    add($(element).attr('src'), 'source', 'video', { mimeType: $(element).attr('type') });
+  });
+
+  $('meta').each((_, element) => {
+    const key = ($(element).attr('property') || $(element).attr('name') || '').toLowerCase();
+    if (!MEDIA_META_KEYS.includes(key)) return;
+
+    const fallbackType = key.startsWith('og:audio') ? 'audio' : key === 'twitter:player' ? 'embed' : 'video';
+    add($(element).attr('content'), key, fallbackType);
+  });
+
+  $('iframe').each((_, element) => {
+    const src = $(element).attr('src') || $(element).attr('data-src');
+    const resolved = resolveUrl(src, baseUrl);
+    if (resolved && toYouTubeWatchUrl(resolved)) {
+      add(resolved, 'iframe', 'youtube');
+    }
+  });
+
+  $('a[href], link[href]').each((_, element) => {
+    const href = $(element).attr('href');
+    if (href && STREAM_URL_PATTERN.test(href)) {
+      add(href, element.tagName.toLowerCase(), 'hls');
+    }
+  });
+
+  // Player configs in inline scripts often carry JSON-escaped stream URLs.
+  const source = typeof html === 'string' ? html.replace(/\\\//g, '/') : '';
+  const embeddedStreamPattern = new RegExp(EMBEDDED_STREAM_PATTERN.source, 'gi');
+  let match;
+  while ((match = embeddedStreamPattern.exec(source)) !== null) {
+    add(match[1], 'inline', 'hls');
+  }
+
+  const items = Array.from(found.values());
+
+  return {
+    items,
+    downloadable: items.filter(item => item.downloadable).map(item => item.watchUrl || item.url)
+  };
+}
+
+module.exports = {
+  extractMedia,
+  toYouTubeWatchUrl
+};
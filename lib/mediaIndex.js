@@ -0,0 +1,201 @@
+// Parses the segment indexes of YouTube's adaptive (DASH) formats, so a time range can be mapped to a byte range:
+// MP4 formats carry a `sidx` box at indexRange, WebM formats a Matroska `Cues` element.
+
+const EBML_ID = 0x1a45dfa3;
+const SEGMENT_ID = 0x18538067;
+const INFO_ID = 0x1549a966;
+const TIMECODE_SCALE_ID = 0x2ad7b1;
+const CUES_ID = 0x1c53bb6b;
+const CUE_POINT_ID = 0xbb;
+const CUE_TIME_ID = 0xb3;
+const CUE_TRACK_POSITIONS_ID = 0xb7;
+const CUE_CLUSTER_POSITION_ID = 0xf1;
+const DEFAULT_TIMECODE_SCALE = 1000000;
+
+function readUInt(buffer, start, length) {
+  let value = 0;
+  for (let i = 0; i < length; i++) value = value * 256 + buffer[start + i];
+  return value;
+}
+
+function vintLength(byte) {
+  for (let i = 0; i < 8; i++) {
+    if (byte & (0x80 >> i)) return i + 1;
+  }
+  return null;
+}
+
+function readElement(buffer, offset) {
+  if (offset >= buffer.length) return null;
+
+  const idLength = vintLength(buffer[offset]);
+  if (!idLength || idLength > 4 || offset + idLength >= buffer.length) return null;
+
+  const sizeOffset = offset + idLength;
+  const sizeLength = vintLength(buffer[sizeOffset]);
+  if (!sizeLength || sizeOffset + sizeLength > buffer.length) return null;
+
+  let size = buffer[sizeOffset] & (0xff >> sizeLength);
+  let unknown = size === (0xff >> sizeLength);
+  for (let i = 1; i < sizeLength; i++) {
+    size = size * 256 + buffer[sizeOffset + i];
+    unknown = unknown && buffer[sizeOffset + i] === 0xff;
+  }
+
+  return {
+    id: readUInt(buffer, offset, idLength),
+    dataStart: sizeOffset + sizeLength,
+    size: unknown ? Infinity : size
+  };
+}
+
+function* children(buffer, start, end) {
+  let offset = start;
+  while (offset < Math.min(end, buffer.length)) {
+    const element = readElement(buffer, offset);
+    if (!element) return;
+    yield element;
+    if (element.size === Infinity) return;
+    offset = element.dataStart + element.size;
+  }
+}
+
+// The init segment holds the EBML header, the Segment header and Info, which Cue positions are relative to.
+function parseWebmInit(buffer) {
+  const header = readElement(buffer, 0);
+  if (!header || header.id !== EBML_ID) return null;
+
+  const segment = readElement(buffer, header.dataStart + header.size);
+  if (!segment || segment.id !== SEGMENT_ID) return null;
+
+  let timecodeScale = DEFAULT_TIMECODE_SCALE;
+  for (const element of children(buffer, segment.dataStart, segment.dataStart + segment.size)) {
+    if (element.id !== INFO_ID) continue;
+    for (const field of children(buffer, element.dataStart, element.dataStart + element.size)) {
+      if (field.id === TIMECODE_SCALE_ID) timecodeScale = readUInt(buffer, field.dataStart, field.size);
+    }
+  }
+
+  return { segmentDataStart: segment.dataStart, timecodeScale };
+}
+
+function parseWebmCues(cues, init, { contentLength, durationSeconds }) {
+  const cuesElement = readElement(cues, 0);
+  if (!cuesElement || cuesElement.id !== CUES_ID) return null;
+
+  const points = [];
+  for (const point of children(cues, cuesElement.dataStart, cuesElement.dataStart + cuesElement.size)) {
+    if (point.id !== CUE_POINT_ID) continue;
+
+    let time = null;
+    let position = null;
+    for (const field of children(cues, point.dataStart, point.dataStart + point.size)) {
+      if (field.id === CUE_TIME_ID) time = readUInt(cues, field.dataStart, field.size);
+      if (field.id === CUE_TRACK_POSITIONS_ID && position === null) {
+        for (const track of children(cues, field.dataStart, field.dataStart + field.size)) {
+          if (track.id === CUE_CLUSTER_POSITION_ID) position = readUInt(cues, track.dataStart, track.size);
+        }
+      }
+    }
+
+    if (time !== null && position !== null) {
+      points.push({ time: (time * init.timecodeScale) / 1e9, offset: init.segmentDataStart + position });
+    }
+  }
+
+  // Several cues can point into the same cluster; only cluster boundaries are usable cut points.
+  const clusters = points
+    .sort((a, b) => a.offset - b.offset)
+    .filter((point, index, sorted) => index === 0 || point.offset !== sorted[index - 1].offset);
+  if (clusters.length === 0) return null;
+
+  return clusters.map((point, index) => {
+    const next = clusters[index + 1];
+    return {
+      start: point.time,
+      end: next ? next.time : durationSeconds,
+      offset: point.offset,
+      size: (next ? next.offset : contentLength) - point.offset
+    };
+  });
+}
+
+function parseSidx(buffer, boxOffset) {
+  if (buffer.length < 8) return null;
+
+  let boxSize = buffer.readUInt32BE(0);
+  let position = 8;
+  if (buffer.toString('latin1', 4, 8) !== 'sidx') return null;
+  if (boxSize === 1) {
+    boxSize = Number(buffer.readBigUInt64BE(8));
+    position = 16;
+  }
+
+  const version = buffer[position];
+  position += 8; // version, flags, reference_ID
+  const timescale = buffer.readUInt32BE(position);
+  position += 4;
+
+  let time;
+  let firstOffset;
+  if (version === 0) {
+    time = buffer.readUInt32BE(position);
+    firstOffset = buffer.readUInt32BE(position + 4);
+    position += 8;
+  } else {
+    time = Number(buffer.readBigUInt64BE(position));
+    firstOffset = Number(buffer.readBigUInt64BE(position + 8));
+    position += 16;
+  }
+
+  const referenceCount = buffer.readUInt16BE(position + 2);
+  position += 4;
+
+  const segments = [];
+  let offset = boxOffset + boxSize + firstOffset;
+  for (let i = 0; i < referenceCount; i++) {
+    const reference = buffer.readUInt32BE(position);
+    const duration = buffer.readUInt32BE(position + 4);
+    position += 12;
+
+    // Hierarchical indexes point at further sidx boxes instead of media; YouTube doesn't use them.
+    if (reference >>> 31) return null;
+
+    const size = reference & 0x7fffffff;
+    segments.push({ start: time / timescale, end: (time + duration) / timescale, offset, size });
+    offset += size;
+    time += duration;
+  }
+
+  return segments.length > 0 ? segments : null;
+}
+
+/**
+ * Picks the run of segments covering [start, end] (end null = to the end).
+ * Returns the byte range plus the time the first segment starts at.
+ */
+function findSegmentRange(segments, { start, end }) {
+  let first = 0;
+  segments.forEach((segment, index) => {
+    if (segment.start <= start) first = index;
+  });
+
+  let last = segments.length - 1;
+  if (end !== null) {
+    const covering = segments.findIndex((segment, index) => index >= first && segment.end >= end);
+    if (covering !== -1) last = covering;
+  }
+
+  return {
+    start: segments[first].offset,
+    end: segments[last].offset + segments[last].size - 1,
+    timeOffset: segments[first].start
+  };
+}
+
+module.exports = {
+  parseWebmInit,
+  parseWebmCues,
+  parseSidx,
+  findSegmentRange
+};
@@ -0,0 +1,62 @@
+const path = require('path');
+const cache = require('persistent-cache');
+
+const dataDir = process.env.MONITOR_DATA_DIR || path.join(__dirname, '..', 'data');
+
+const monitors = cache({ base: dataDir, name: 'monitors' });
+// Snapshots can be large, so they are read from disk instead of being mirrored in memory.
+const snapshots = cache({ base: dataDir, name: 'snapshots', memory: false });
+
+const snapshotKey = (monitorId, snapshotId) => `${monitorId}_${snapshotId}`;
+
+function listMonitors() {
+  return monitors.keysSync()
+    .map(monitorId => monitors.getSync(monitorId))
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+function getMonitor(monitorId) {
+  return monitors.getSync(monitorId);
+}
+
+function saveMonitor(monitor) {
+  monitors.putSync(monitor.id, monitor);
+  return monitor;
+}
+
+function deleteMonitor(monitorId) {
+  const monitor = getMonitor(monitorId);
+  if (!monitor) return false;
+
+  monitor.snapshots.forEach(entry => deleteSnapshot(monitorId, entry.id));
+  monitors.deleteSync(monitorId);
+  return true;
+}
+
+function getSnapshot(monitorId, snapshotId) {
+  return snapshots.getSync(snapshotKey(monitorId, snapshotId));
+}
+
+function saveSnapshot(snapshot) {
+  snapshots.putSync(snapshotKey(snapshot.monitorId, snapshot.id), snapshot);
+  return snapshot;
+}
+
+function deleteSnapshot(monitorId, snapshotId) {
+  try {
+    snapshots.deleteSync(snapshotKey(monitorId, snapshotId));
+  } catch (error) {
+    console.error('Error deleting snapshot:', snapshotId, error.message);
+  }
+}
+
+module.exports = {
+  listMonitors,
+  getMonitor,
+  saveMonitor,
+  deleteMonitor,
+  getSnapshot,
+  saveSnapshot,
+  deleteSnapshot
+};
@@ -0,0 +1,78 @@
+const MAX_WATERFALL_ROWS = 300;
+const SLOWEST_COUNT = 10;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Condenses HAR entries into a request waterfall: offsets relative to the
+ * first request, per-type totals and the slowest and failed requests.
+ */
+function summarizeWaterfall(har) {
+  const entries = har.log.entries;
+  if (entries.length === 0) {
+    return { requestCount: 0, totalTransferSize: 0, durationMs: 0, byType: {}, domains: [], failed: [], slowest: [], rows: [], truncated: false };
+  }
+
+  const origin = Math.min(...entries.map(entry => Date.parse(entry.startedDateTime)));
+  const rows = entries.map(entry => {
+    const startMs = Date.parse(entry.startedDateTime) - origin;
+    return {
+      url: entry.request.url,
+      method: entry.request.method,
+      status: entry.response.status,
+      type: entry._resourceType,
+      mimeType: entry.response.content.mimeType,
+      startMs: round(startMs),
+      endMs: round(startMs + entry.time),
+      durationMs: round(entry.time),
+      transferSize: Math.max(entry.response._transferSize, 0),
+      timings: {
+        blocked: round(entry.timings.blocked),
+        dns: round(entry.timings.dns),
+        connect: round(entry.timings.connect),
+        ssl: round(entry.timings.ssl),
+        send: round(entry.timings.send),
+        wait: round(entry.timings.wait),
+        receive: round(entry.timings.receive)
+      },
+      error: entry.response._error || null
+    };
+  });
+
+  const byType = {};
+  const domains = new Map();
+  rows.forEach(row => {
+    byType[row.type] = byType[row.type] || { count: 0, transferSize: 0 };
+    byType[row.type].count++;
+    byType[row.type].transferSize += row.transferSize;
+
+    let host = null;
+    try {
+      host = new URL(row.url).host;
+    } catch (e) {
+      return;
+    }
+    const domain = domains.get(host) || { host, count: 0, transferSize: 0 };
+    domain.count++;
+    domain.transferSize += row.transferSize;
+    domains.set(host, domain);
+  });
+
+  const describe = ({ url, status, type, durationMs, error }) => ({ url, status, type, durationMs, error });
+
+  return {
+    requestCount: rows.length,
+    totalTransferSize: rows.reduce((sum, row) => sum + row.transferSize, 0),
+    durationMs: round(Math.max(...rows.map(row => row.endMs))),
+    byType,
+    domains: Array.from(domains.values()).sort((a, b) => b.count - a.count),
+    failed: rows.filter(row => row.error || row.status === 0 || row.status >= 400).map(describe),
+    slowest: rows.slice().sort((a, b) => b.durationMs - a.durationMs).slice(0, SLOWEST_COUNT).map(describe),
+    rows: rows.slice(0, MAX_WATERFALL_ROWS),
+    truncated: rows.length > MAX_WATERFALL_ROWS
+  };
+}
+
+module.exports = {
+  summarizeWaterfall
+};
@@ -0,0 +1,349 @@
+const axios = require('axios');
+const ytdl = require('ytdl-core');
+const { mapWithConcurrency } = require('./pool');
+
+const MAX_PLAYLIST_ITEMS = parseInt(process.env.BATCH_MAX_PLAYLIST_ITEMS, 10) || 500;
+const PAGE_TIMEOUT = 15000;
+const DATE_CONCURRENCY = 4;
+const DAY_MS = 86400000;
+
+const ORDERS = ['newest', 'oldest', 'reverse'];
+
+class PlaylistTooLongError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PlaylistTooLongError';
+  }
+}
+
+const YOUTUBE_HOSTS = new Set(['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com']);
+const CHANNEL_PATH = /^\/(channel\/UC[\w-]{22}|@[\w.-]+|c\/[^/]+|user\/[^/]+)(?:\/(?:videos|featured|streams|shorts))?\/?$/;
+
+const PAGE_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+  'Accept-Language': 'en-US,en;q=0.9',
+  // Skips the cookie consent interstitial served to EU visitors.
+  'Cookie': 'SOCS=CAI'
+};
+
+// Mixes (RD...) only exist as a watch page queue; RDCLAK album lists are ordinary playlists.
+function sourceForList(list, videoId) {
+  if (list.startsWith('RD') && !list.startsWith('RDCLAK')) {
+    const seed = videoId || (list.length === 13 ? list.slice(2) : null);
+    return seed ? { type: 'mix', id: list, videoId: seed } : null;
+  }
+  return { type: 'playlist', id: list };
+}
+
+/**
+ * Recognises playlist, mix and channel URLs. Returns `{ type, id, ... }` or
+ * null for anything else. A watch URL that also carries a list only counts
+ * with `expandWatch`, so existing watch links keep downloading one video.
+ */
+function parsePlaylistUrl(value, { expandWatch = false } = {}) {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch (e) {
+    return null;
+  }
+
+  const list = url.searchParams.get('list');
+  if (url.hostname === 'youtu.be') {
+    return expandWatch && list ? sourceForList(list, url.pathname.slice(1)) : null;
+  }
+  if (!YOUTUBE_HOSTS.has(url.hostname)) return null;
+
+  if (url.pathname === '/playlist' && list) return sourceForList(list, null);
+  if (url.pathname === '/watch' && list && expandWatch) return sourceForList(list, url.searchParams.get('v'));
+
+  const channel = CHANNEL_PATH.exec(url.pathname);
+  return channel ? { type: 'channel', id: channel[1] } : null;
+}
+
+// "1-10,15,20-" into [{ start, end }], with a null end running to the last item.
+function parseItemRanges(value) {
+  const ranges = [];
+  for (const part of String(value).split(',').map(entry => entry.trim()).filter(Boolean)) {
+    const match = /^(\d+)(?:\s*-\s*(\d*))?$/.exec(part);
+    if (!match) return { error: `Invalid item range ${part}` };
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] === undefined ? start : match[2] === '' ? null : parseInt(match[2], 10);
+    if (start < 1 || (end !== null && end < start)) return { error: `Invalid item range ${part}` };
+    ranges.push({ start, end });
+  }
+  return ranges.length > 0 ? { ranges } : { error: 'items must list at least one index or range' };
+}
+
+// YYYY-MM-DD or YYYYMMDD, as UTC midnight in ms.
+function parseDate(value) {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(String(value).trim());
+  if (!match) return NaN;
+  const date = Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  return new Date(date).getUTCDate() === parseInt(match[3], 10) ? date : NaN;
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Reads the playlist expansion settings from a query or body: `playlist`
+ * (also expand the list of a watch URL), `items` ("1-10,15"), `order`
+ * (newest, oldest or reverse), `dateAfter` / `dateBefore` (inclusive) and
+ * `maxCount`. Returns `{ expansion }` or `{ error }`.
+ */
+function parsePlaylistOptions(source = {}) {
+  let ranges = null;
+  if (isSet(source.items)) {
+    const parsed = parseItemRanges(source.items);
+    if (parsed.error) return { error: parsed.error };
+    ranges = parsed.ranges;
+  }
+
+  const order = isSet(source.order) ? String(source.order).toLowerCase() : null;
+  if (order && !ORDERS.includes(order)) {
+    return { error: `order must be one of ${ORDERS.join(', ')}` };
+  }
+
+  const dateAfter = isSet(source.dateAfter) ? parseDate(source.dateAfter) : null;
+  const dateBefore = isSet(source.dateBefore) ? parseDate(source.dateBefore) : null;
+  if (Number.isNaN(dateAfter) || Number.isNaN(dateBefore)) {
+    return { error: 'dateAfter and dateBefore must be YYYY-MM-DD dates' };
+  }
+  if (dateAfter !== null && dateBefore !== null && dateAfter > dateBefore) {
+    return { error: 'dateAfter must not be later than dateBefore' };
+  }
+
+  const maxCount = isSet(source.maxCount) ? Number(source.maxCount) : null;
+  if (maxCount !== null && (!Number.isInteger(maxCount) || maxCount < 1 || maxCount > MAX_PLAYLIST_ITEMS)) {
+    return { error: `maxCount must be between 1 and ${MAX_PLAYLIST_ITEMS}` };
+  }
+
+  return {
+    expansion: {
+      expandWatch: source.playlist === true || source.playlist === 'true',
+      ranges,
+      order,
+      dateAfter,
+      dateBefore,
+      maxCount
+    }
+  };
+}
+
+function textOf(text) {
+  if (!text) return '';
+  if (typeof text === 'string') return text;
+  return text.simpleText || (text.runs || []).map(run => run.text).join('');
+}
+
+// Collects every value stored under `key` anywhere in a parsed page, so small layout changes don't break the lookup.
+function collect(node, key, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collect(child, key, found));
+  } else if (node && typeof node === 'object') {
+    for (const [name, value] of Object.entries(node)) {
+      if (name === key) {
+        found.push(value);
+      } else {
+        collect(value, key, found);
+      }
+    }
+  }
+  return found;
+}
+
+async function fetchPage(url) {
+  const response = await axios.get(url, { headers: PAGE_HEADERS, responseType: 'text', timeout: PAGE_TIMEOUT });
+  const html = String(response.data || '');
+
+  const data = /ytInitialData"?\]?\s*=\s*(\{.+?\});\s*<\/script>/s.exec(html);
+  if (!data) throw new Error('Could not read the YouTube page');
+
+  return {
+    data: JSON.parse(data[1]),
+    apiKey: (/"INNERTUBE_API_KEY":"([^"]+)"/.exec(html) || [])[1],
+    clientVersion: (/"INNERTUBE_CLIENT_VERSION":"([^"]+)"/.exec(html) || [])[1]
+  };
+}
+
+async function fetchContinuation(page, token) {
+  const response = await axios.post(`https://www.youtube.com/youtubei/v1/browse?key=${page.apiKey}`, {
+    context: { client: { clientName: 'WEB', clientVersion: page.clientVersion, hl: 'en', gl: 'US' } },
+    continuation: token
+  }, { headers: PAGE_HEADERS, timeout: PAGE_TIMEOUT });
+  return collect(response.data, 'continuationItems')[0] || [];
+}
+
+function toEntry(renderer, index) {
+  return {
+    videoId: renderer.videoId,
+    url: `https://www.youtube.com/watch?v=${renderer.videoId}`,
+    title: textOf(renderer.title),
+    index
+  };
+}
+
+// Private and deleted videos stay in a playlist as unplayable rows; they keep their index but are skipped.
+// Paging stops past `lastIndex` or once `maxEntries` playable videos are in; `truncated` reports rows
+// left unread because of MAX_PLAYLIST_ITEMS.
+async function fetchPlaylistEntries(listId, { lastIndex, maxEntries }) {
+  const page = await fetchPage(`https://www.youtube.com/playlist?list=${encodeURIComponent(listId)}`);
+  const list = collect(page.data, 'playlistVideoListRenderer')[0];
+  if (!list) throw new Error('Playlist not found or private');
+
+  const title = page.data.metadata?.playlistMetadataRenderer?.title
+    || page.data.microformat?.microformatDataRenderer?.title
+    || listId;
+  const entries = [];
+  let contents = list.contents || [];
+  let position = 0;
+  let unread = false;
+
+  const full = () => position >= lastIndex || entries.length >= maxEntries;
+
+  while (contents.length > 0) {
+    for (const renderer of contents.map(item => item.playlistVideoRenderer).filter(Boolean)) {
+      if (full()) {
+        unread = true;
+        break;
+      }
+      position++;
+      if (renderer.videoId && renderer.isPlayable !== false) {
+        entries.push(toEntry(renderer, position));
+      }
+    }
+
+    const token = contents
+      .map(item => item.continuationItemRenderer?.continuationEndpoint?.continuationCommand?.token)
+      .find(Boolean);
+    if (!token || !page.apiKey) break;
+    if (full()) {
+      unread = true;
+      break;
+    }
+    contents = await fetchContinuation(page, token);
+  }
+
+  return { title, entries, truncated: unread && position >= MAX_PLAYLIST_ITEMS };
+}
+
+// A mix is generated per seed video and has no page of its own; the watch page carries its first batch of items.
+async function fetchMixEntries(source, { lastIndex, maxEntries }) {
+  const page = await fetchPage(`https://www.youtube.com/watch?v=${encodeURIComponent(source.videoId)}&list=${encodeURIComponent(source.id)}`);
+  const playlist = page.data.contents?.twoColumnWatchNextResults?.playlist?.playlist;
+  if (!playlist) throw new Error('Mix not found');
+
+  const entries = collect(playlist.contents || [], 'playlistPanelVideoRenderer')
+    .filter(renderer => renderer.videoId)
+    .slice(0, Math.min(lastIndex, maxEntries))
+    .map((renderer, index) => toEntry(renderer, index + 1));
+  return { title: textOf(playlist.title) || source.id, entries };
+}
+
+// Channels are read through their uploads playlist, which is the channel id with UU in place of UC.
+async function fetchChannelEntries(source, limits) {
+  const page = await fetchPage(`https://www.youtube.com/${source.id}`);
+  const channel = page.data.metadata?.channelMetadataRenderer;
+  if (!channel || !channel.externalId) throw new Error('Channel not found');
+
+  const uploads = await fetchPlaylistEntries(`UU${channel.externalId.slice(2)}`, limits);
+  return { title: channel.title || uploads.title, entries: uploads.entries, truncated: uploads.truncated };
+}
+
+// Channel uploads are already newest first; every other order needs the whole list.
+function keepsSourceOrder(source, order) {
+  return !order || (order === 'newest' && source.type === 'channel');
+}
+
+function fetchLimits(source, expansion) {
+  const { ranges, order, dateAfter, dateBefore, maxCount } = expansion;
+  const lastIndex = ranges && ranges.every(range => range.end !== null)
+    ? Math.max(...ranges.map(range => range.end))
+    : Infinity;
+  const firstOnly = !ranges && dateAfter === null && dateBefore === null && keepsSourceOrder(source, order) && maxCount;
+  return {
+    lastIndex: Math.min(lastIndex, MAX_PLAYLIST_ITEMS),
+    maxEntries: firstOnly ? maxCount : Infinity
+  };
+}
+
+// Entries whose date can't be read come back in `skipped` with the reason, rather than vanishing.
+async function addPublishDates(entries) {
+  const dated = await mapWithConcurrency(entries, DATE_CONCURRENCY, async (entry) => {
+    try {
+      const info = await ytdl.getBasicInfo(entry.url);
+      const published = Date.parse(info.videoDetails.publishDate || info.videoDetails.uploadDate);
+      return Number.isNaN(published)
+        ? { ...entry, error: 'YouTube reports no publish date' }
+        : { ...entry, published };
+    } catch (error) {
+      console.error(`Could not read the publish date of ${entry.url}:`, error.message);
+      return { ...entry, error: `Could not read the publish date: ${error.message}` };
+    }
+  });
+  return {
+    entries: dated.filter(entry => !entry.error),
+    skipped: dated.filter(entry => entry.error)
+  };
+}
+
+/**
+ * Lists a playlist, mix or channel as `{ type, id, title, entries, skipped }`
+ * with the expansion settings applied in order: item ranges (against the
+ * playlist's own numbering), date filters, ordering, then maxCount. Each
+ * entry keeps its original `index`. Date filters, and date ordering outside
+ * channels, need a lookup per video; videos whose date can't be read go to
+ * `skipped` with an `error`. Throws PlaylistTooLongError when an
+ * order would be taken from a list cut off at MAX_PLAYLIST_ITEMS.
+ */
+async function expandPlaylist(source, expansion) {
+  const limits = fetchLimits(source, expansion);
+  const list = source.type === 'mix' ? await fetchMixEntries(source, limits)
+    : source.type === 'channel' ? await fetchChannelEntries(source, limits)
+      : await fetchPlaylistEntries(source.id, limits);
+
+  const { ranges, order, dateAfter, dateBefore, maxCount } = expansion;
+  if (list.truncated && !keepsSourceOrder(source, order)) {
+    throw new PlaylistTooLongError(
+      `${list.title} has more than ${MAX_PLAYLIST_ITEMS} videos, too many to put in ${order} order; narrow it down with items`
+    );
+  }
+  let entries = ranges
+    ? list.entries.filter(entry => ranges.some(range => entry.index >= range.start && (range.end === null || entry.index <= range.end)))
+    : list.entries;
+
+  let skipped = [];
+  const byDate = ['newest', 'oldest'].includes(order) && source.type !== 'channel';
+  if (dateAfter !== null || dateBefore !== null || byDate) {
+    const dated = await addPublishDates(entries);
+    skipped = dated.skipped;
+    entries = dated.entries.filter(entry => (
+      (dateAfter === null || entry.published >= dateAfter) && (dateBefore === null || entry.published < dateBefore + DAY_MS)
+    ));
+  }
+
+  if (order === 'reverse' || (order === 'oldest' && !byDate)) {
+    entries = [...entries].reverse();
+  } else if (byDate) {
+    entries = [...entries].sort((a, b) => (order === 'newest' ? b.published - a.published : a.published - b.published));
+  }
+
+  return {
+    type: source.type,
+    id: source.id,
+    title: list.title,
+    entries: maxCount ? entries.slice(0, maxCount) : entries,
+    skipped
+  };
+}
+
+module.exports = {
+  MAX_PLAYLIST_ITEMS,
+  PlaylistTooLongError,
+  parsePlaylistUrl,
+  parsePlaylistOptions,
+  expandPlaylist
+};
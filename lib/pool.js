@@ -0,0 +1,103 @@
+/**
+ * Runs fn over items with at most `limit` calls in flight, keeping result
+ * order. fn gets `(item, index, signal)`. After the first failure, or once
+ * the caller's `signal` aborts, no further items start and `signal` tells
+ * the calls in flight to give up; the first error is thrown once they have
+ * all settled.
+ */
+async function mapWithConcurrency(items, limit, fn, { signal = null } = {}) {
+  const results = new Array(items.length);
+  const controller = new AbortController();
+  let next = 0;
+  let failure = null;
+
+  const stop = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) stop();
+    signal.addEventListener('abort', stop, { once: true });
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length && !controller.signal.aborted) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index, controller.signal);
+      } catch (error) {
+        if (!failure) failure = { error };
+        stop();
+      }
+    }
+  });
+
+  try {
+    await Promise.all(workers);
+  } finally {
+    if (signal) signal.removeEventListener('abort', stop);
+  }
+
+  if (failure) throw failure.error;
+  if (controller.signal.aborted) throw new Error('Cancelled');
+  return results;
+}
+
+/**
+ * Per-host politeness: at most `maxPerHost` calls in flight per host, and at
+ * least `delayMs` between the starts of two calls to the same host.
+ */
+function createHostThrottle({ maxPerHost = 1, delayMs = 0 } = {}) {
+  const hosts = new Map();
+
+  const pump = (entry) => {
+    if (entry.timer || entry.active >= maxPerHost || entry.waiters.length === 0) return;
+
+    const wait = entry.lastStart + delayMs - Date.now();
+    if (wait > 0) {
+      entry.timer = setTimeout(() => {
+        entry.timer = null;
+        pump(entry);
+      }, wait);
+      return;
+    }
+
+    entry.active++;
+    entry.lastStart = Date.now();
+    entry.waiters.shift()();
+    pump(entry);
+  };
+
+  return {
+    async run(url, fn) {
+      let host;
+      try {
+        host = new URL(url).host;
+      } catch (e) {
+        return fn();
+      }
+
+      if (!hosts.has(host)) hosts.set(host, { active: 0, lastStart: 0, waiters: [], timer: null });
+      const entry = hosts.get(host);
+
+      await new Promise(resolve => {
+        entry.waiters.push(resolve);
+        pump(entry);
+      });
+
+      try {
+        return await fn();
+      } finally {
+        entry.active--;
+        pump(entry);
+      }
+    },
+
+    clear() {
+      hosts.forEach(entry => clearTimeout(entry.timer));
+      hosts.clear();
+    }
+  };
+}
+
+module.exports = {
+  mapWithConcurrency,
+  createHostThrottle
+};
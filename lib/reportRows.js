@@ -0,0 +1,87 @@
+// Flat, export-friendly views of analyzer reports for CSV and JSON Lines output.
+
+const REPORT_COLUMNS = {
+  url: ({ item }) => item.url,
+  finalUrl: ({ report }) => (report ? report.finalUrl : null),
+  status: ({ item }) => item.status,
+  statusCode: ({ item, report }) => (report ? report.statusCode : item.statusCode),
+  error: ({ item }) => item.error,
+  title: ({ report }) => (report ? report.title.trim() : null),
+  metaDescription: ({ report }) => (report ? report.metaTags.description || null : null),
+  canonical: ({ $ }) => ($ ? $('link[rel="canonical"]').first().attr('href') || null : null),
+  robots: ({ report }) => (report ? report.metaTags.robots || null : null),
+  lang: ({ $ }) => ($ ? $('html').attr('lang') || null : null),
+  h1: ({ $ }) => ($ ? $('h1').first().text().replace(/\s+/g, ' ').trim() || null : null),
+  h1Count: ({ $ }) => ($ ? $('h1').length : null),
+  scriptCount: ({ report }) => (report ? report.scripts.length : null),
+  stylesheetCount: ({ report }) => (report ? report.stylesheets.length : null),
+  imageCount: ({ $ }) => ($ ? $('img').length : null),
+  linkCount: ({ $ }) => ($ ? $('a[href]').length : null),
+  technologies: ({ report }) => (report ? report.technologies.map(tech => tech.name).join('; ') : null),
+  securityGrade: ({ report }) => (report && report.security ? report.security.grade : null),
+  pageWeight: ({ report }) => (report && report.assets ? report.assets.summary.totalBytes : null),
+  durationMs: ({ item }) => (item.finishedAt && item.startedAt ? item.finishedAt - item.startedAt : null)
+};
+
+const DEFAULT_COLUMNS = ['url', 'status', 'statusCode', 'title', 'metaDescription', 'canonical', 'scriptCount', 'error'];
+
+function parseColumns(value) {
+  if (!value) return { columns: DEFAULT_COLUMNS };
+
+  const columns = String(value).split(',').map(column => column.trim()).filter(Boolean);
+  const unknown = columns.filter(column => !REPORT_COLUMNS[column]);
+
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ') || '(none)'}. Available: ${Object.keys(REPORT_COLUMNS).join(', ')}` };
+  }
+
+  return { columns };
+}
+
+// Computes every column up front, since `$` is not kept once the page has been analyzed.
+function buildReportRow(item, report = null, $ = null) {
+  const row = {};
+  Object.entries(REPORT_COLUMNS).forEach(([column, extract]) => {
+    row[column] = extract({ item, report, $ });
+  });
+  return row;
+}
+
+function pickColumns(row, columns) {
+  const picked = {};
+  columns.forEach(column => {
+    picked[column] = row[column] === undefined ? null : row[column];
+  });
+  return picked;
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating scraped text as a formula.
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+function toJsonLines(rows, columns) {
+  return rows.map(row => JSON.stringify(pickColumns(row, columns))).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+module.exports = {
+  REPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseColumns,
+  buildReportRow,
+  toCsv,
+  toJsonLines
+};
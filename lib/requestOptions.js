@@ -0,0 +1,316 @@
+const ALLOWED_METHODS = ['GET', 'POST'];
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+const BODY_TYPES = ['json', 'form', 'text'];
+const MAX_HEADERS = 50;
+const MAX_COOKIES = 100;
+const MAX_BODY_BYTES = 1024 * 1024;
+const REDACTED = '[redacted]';
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const COOKIE_NAME = HEADER_NAME;
+
+// Set by the HTTP client itself; letting callers override them breaks framing or the SSRF checks.
+const FORBIDDEN_HEADERS = [
+  'host', 'content-length', 'connection', 'keep-alive', 'transfer-encoding', 'te', 'trailer',
+  'upgrade', 'expect', 'proxy-authorization', 'proxy-connection'
+];
+
+const SENSITIVE_HEADER = /^(authorization|proxy-authorization|cookie|set-cookie)$|token|secret|key|auth|session|password|signature|credential/i;
+
+function hasControlChars(value) {
+  return /[\r\n\0]/.test(value);
+}
+
+function parseHeaders(value) {
+  if (value === undefined || value === null) return { headers: {} };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'request.headers must be an object of header names to values' };
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length > MAX_HEADERS) {
+    return { error: `request.headers accepts at most ${MAX_HEADERS} headers` };
+  }
+
+  const headers = {};
+  for (const [name, headerValue] of entries) {
+    if (!HEADER_NAME.test(name)) {
+      return { error: `Invalid header name: ${name}` };
+    }
+    if (FORBIDDEN_HEADERS.includes(name.toLowerCase()) || name.toLowerCase().startsWith('proxy-')) {
+      return { error: `Header ${name} cannot be set` };
+    }
+    if (!['string', 'number'].includes(typeof headerValue) || hasControlChars(String(headerValue))) {
+      return { error: `Invalid value for header ${name}` };
+    }
+    headers[name] = String(headerValue);
+  }
+
+  return { headers };
+}
+
+// Cookies may be given as "a=1; b=2", { a: '1' } or [{ name: 'a', value: '1' }].
+function parseCookies(value) {
+  if (value === undefined || value === null || value === '') return { cookies: [] };
+
+  let pairs;
+  if (typeof value === 'string') {
+    pairs = value.split(';').map(part => part.trim()).filter(Boolean).map(part => {
+      const separator = part.indexOf('=');
+      return separator === -1 ? { name: part } : { name: part.slice(0, separator).trim(), value: part.slice(separator + 1).trim() };
+    });
+  } else if (Array.isArray(value)) {
+    pairs = value.map(cookie => ({ name: cookie && cookie.name, value: cookie && cookie.value }));
+  } else if (typeof value === 'object') {
+    pairs = Object.entries(value).map(([name, cookieValue]) => ({ name, value: cookieValue }));
+  } else {
+    return { error: 'request.cookies must be a cookie string, an object or an array of { name, value }' };
+  }
+
+  if (pairs.length > MAX_COOKIES) {
+    return { error: `request.cookies accepts at most ${MAX_COOKIES} cookies` };
+  }
+
+  const cookies = [];
+  for (const { name, value: cookieValue } of pairs) {
+    if (typeof name !== 'string' || !COOKIE_NAME.test(name)) {
+      return { error: `Invalid cookie name: ${name}` };
+    }
+    if (!['string', 'number'].includes(typeof cookieValue) || /[;\r\n\0]/.test(String(cookieValue))) {
+      return { error: `Invalid value for cookie ${name}` };
+    }
+    cookies.push({ name, value: String(cookieValue) });
+  }
+
+  return { cookies };
+}
+
+function parseAuth(value) {
+  if (value === undefined || value === null) return { auth: null };
+  if (typeof value !== 'object') {
+    return { error: 'request.auth must be an object' };
+  }
+
+  const type = String(value.type || '').toLowerCase();
+
+  if (type === 'basic') {
+    const { username, password = '' } = value;
+    if (typeof username !== 'string' || typeof password !== 'string' || username.includes(':')) {
+      return { error: 'Basic auth needs a username (without ":") and a password' };
+    }
+    return { auth: { type, username, password } };
+  }
+
+  if (type === 'bearer') {
+    const { token } = value;
+    if (typeof token !== 'string' || !token || hasControlChars(token)) {
+      return { error: 'Bearer auth needs a token' };
+    }
+    return { auth: { type, token } };
+  }
+
+  return { error: 'request.auth.type must be basic or bearer' };
+}
+
+function parseProxy(value) {
+  if (value === undefined || value === null || value === '') return { proxy: null };
+
+  let parsed;
+  try {
+    parsed = new URL(String(value));
+  } catch (e) {
+    return { error: 'Invalid proxy URL' };
+  }
+
+  if (!PROXY_PROTOCOLS.includes(parsed.protocol) || !parsed.hostname) {
+    return { error: `Proxy must be an ${PROXY_PROTOCOLS.map(protocol => protocol.replace(':', '')).join(', ')} URL` };
+  }
+
+  return { proxy: parsed.href };
+}
+
+function parseBody(value, bodyType) {
+  if (value === undefined || value === null) return { body: null };
+
+  const type = bodyType || (typeof value === 'string' ? 'text' : 'json');
+  if (!BODY_TYPES.includes(type)) {
+    return { error: `request.bodyType must be one of: ${BODY_TYPES.join(', ')}` };
+  }
+
+  let data;
+  let contentType;
+  if (type === 'json') {
+    data = typeof value === 'string' ? value : JSON.stringify(value);
+    contentType = 'application/json';
+  } else if (type === 'form') {
+    if (typeof value !== 'object' && typeof value !== 'string') {
+      return { error: 'Form bodies must be an object or an encoded string' };
+    }
+    data = typeof value === 'string' ? value : new URLSearchParams(value).toString();
+    contentType = 'application/x-www-form-urlencoded';
+  } else {
+    if (typeof value !== 'string') {
+      return { error: 'Text bodies must be a string' };
+    }
+    data = value;
+    contentType = 'text/plain; charset=utf-8';
+  }
+
+  if (Buffer.byteLength(data) > MAX_BODY_BYTES) {
+    return { error: `request.body exceeds the ${MAX_BODY_BYTES} byte limit` };
+  }
+
+  return { body: { data, contentType } };
+}
+
+function findHeader(headers, name) {
+  return Object.keys(headers).find(key => key.toLowerCase() === name);
+}
+
+/**
+ * Validates the `request` object of the analyze options: method, headers,
+ * cookies, auth, proxy and body. Returns `{ request }` or `{ error }`.
+ */
+function parseRequestOptions(source = {}) {
+  if (typeof source !== 'object' || Array.isArray(source)) {
+    return { error: 'request must be an object' };
+  }
+
+  const method = String(source.method || 'GET').toUpperCase();
+  if (!ALLOWED_METHODS.includes(method)) {
+    return { error: `request.method must be one of: ${ALLOWED_METHODS.join(', ')}` };
+  }
+
+  const parts = [
+    parseHeaders(source.headers),
+    parseCookies(source.cookies),
+    parseAuth(source.auth),
+    parseProxy(source.proxy),
+    parseBody(source.body, source.bodyType)
+  ];
+  const failed = parts.find(part => part.error);
+  if (failed) return { error: failed.error };
+
+  const [{ headers }, { cookies }, { auth }, { proxy }, { body }] = parts;
+
+  if (body && method !== 'POST') {
+    return { error: 'request.body requires method POST' };
+  }
+  if (auth && findHeader(headers, 'authorization')) {
+    return { error: 'Use either request.auth or an Authorization header, not both' };
+  }
+
+  // A raw Cookie header goes through the cookie jar too, so it is scoped to the target host.
+  const cookieHeader = findHeader(headers, 'cookie');
+  if (cookieHeader) {
+    const parsed = parseCookies(headers[cookieHeader]);
+    if (parsed.error) return { error: parsed.error };
+    delete headers[cookieHeader];
+    cookies.push(...parsed.cookies);
+  }
+
+  return { request: { method, headers, cookies, auth, proxy, body } };
+}
+
+function getAuthorizationHeader(auth) {
+  if (!auth) return null;
+  if (auth.type === 'bearer') return `Bearer ${auth.token}`;
+  return `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}`;
+}
+
+/**
+ * Applies caller headers on top of defaults, matching names case-insensitively.
+ */
+function mergeHeaders(defaults, overrides = {}) {
+  const merged = { ...defaults };
+  Object.entries(overrides).forEach(([name, value]) => {
+    const existing = findHeader(merged, name.toLowerCase());
+    if (existing) delete merged[existing];
+    merged[name] = value;
+  });
+  return merged;
+}
+
+function redactUrl(value) {
+  try {
+    const url = new URL(value);
+    if (!url.username && !url.password) return value;
+    url.username = '';
+    url.password = '';
+    return url.href;
+  } catch (e) {
+    return value;
+  }
+}
+
+// Keeps the cookie name and attributes so Secure/HttpOnly/SameSite can still be reviewed.
+function redactSetCookie(header) {
+  const [pair, ...attributes] = String(header).split(';');
+  const separator = pair.indexOf('=');
+  const name = separator === -1 ? pair.trim() : pair.slice(0, separator).trim();
+  return [`${name}=${REDACTED}`, ...attributes.map(attribute => attribute.trim())].join('; ');
+}
+
+// Response headers are kept as-is apart from Set-Cookie values.
+function redactResponseHeaders(headers = {}) {
+  const redacted = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    // Rendered pages report repeated Set-Cookie headers joined by newlines.
+    redacted[name] = name.toLowerCase() === 'set-cookie'
+      ? [].concat(value).flatMap(item => String(item).split('\n')).map(redactSetCookie)
+      : value;
+  });
+  return redacted;
+}
+
+function redactRequestHeaders(headers = {}) {
+  const redacted = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    redacted[name] = SENSITIVE_HEADER.test(name) ? REDACTED : value;
+  });
+  return redacted;
+}
+
+// True when the request carries anything describeRequest would redact.
+function hasCredentials(request) {
+  if (!request) return false;
+
+  const proxy = request.proxy ? new URL(request.proxy) : null;
+  return !!request.auth
+    || request.cookies.length > 0
+    || Object.keys(request.headers).some(name => SENSITIVE_HEADER.test(name))
+    || !!(proxy && (proxy.username || proxy.password));
+}
+
+/**
+ * What was sent, for the report: header values that look like credentials,
+ * cookie values, auth secrets and proxy credentials are never included.
+ */
+function describeRequest(request, { userAgent, acceptLanguage } = {}) {
+  const proxy = request && request.proxy ? redactUrl(request.proxy) : null;
+
+  return {
+    method: request ? request.method : 'GET',
+    userAgent: userAgent || null,
+    acceptLanguage: acceptLanguage || null,
+    headers: request ? redactRequestHeaders(request.headers) : {},
+    cookies: request ? request.cookies.map(cookie => cookie.name) : [],
+    auth: request && request.auth ? { type: request.auth.type } : null,
+    proxy,
+    body: request && request.body ? {
+      contentType: request.body.contentType,
+      bytes: Buffer.byteLength(request.body.data)
+    } : null
+  };
+}
+
+module.exports = {
+  parseRequestOptions,
+  getAuthorizationHeader,
+  mergeHeaders,
+  redactUrl,
+  redactSetCookie,
+  redactResponseHeaders,
+  describeRequest,
+  hasCredentials
+};
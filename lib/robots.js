@@ -0,0 +1,113 @@
+const { safeRequest } = require('./safeFetch');
+
+const CRAWLER_TOKEN = 'site-analyzer';
+const CRAWLER_USER_AGENT = `Mozilla/5.0 (compatible; ${CRAWLER_TOKEN}/1.0)`;
+
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    if (field === 'user-agent') {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule.
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+function selectGroup(groups, token) {
+  return groups.find(group => group.agents.some(agent => agent !== '*' && token.includes(agent)))
+    || groups.find(group => group.agents.includes('*'))
+    || null;
+}
+
+function createRobots(text, token = CRAWLER_TOKEN) {
+  const { groups, sitemaps } = parseRobots(text);
+  const group = selectGroup(groups, token.toLowerCase());
+  const rules = group
+    ? group.rules.map(rule => ({ ...rule, regexp: patternToRegExp(rule.path) }))
+    : [];
+
+  return {
+    sitemaps,
+    crawlDelay: group ? group.crawlDelay : null,
+
+    // Longest matching rule wins; Allow wins a tie.
+    isAllowed(pathWithQuery) {
+      let best = null;
+      for (const rule of rules) {
+        if (!rule.regexp.test(pathWithQuery)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+          best = rule;
+        }
+      }
+      return !best || best.allow;
+    }
+  };
+}
+
+// Rules are matched against `token`, which should name the user agent the crawl actually sends.
+async function fetchRobots(origin, userAgent, token = CRAWLER_TOKEN) {
+  try {
+    const response = await safeRequest(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': userAgent },
+      timeout: 10000,
+      maxRedirects: 5,
+      responseType: 'text',
+      validateStatus: status => status < 500
+    });
+
+    return createRobots(response.status < 400 ? response.data : '', token);
+  } catch (error) {
+    return createRobots('', token);
+  }
+}
+
+module.exports = {
+  CRAWLER_TOKEN,
+  CRAWLER_USER_AGENT,
+  createRobots,
+  fetchRobots
+};
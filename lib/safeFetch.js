@@ -0,0 +1,378 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+
+const ALLOWED_SCHEMES = ['http:', 'https:'];
+const DEFAULT_MAX_REDIRECTS = 5;
+const MAX_RESPONSE_BYTES = parseInt(process.env.ANALYZE_MAX_BYTES, 10) || 5 * 1024 * 1024;
+
+// Dropped when a redirect leaves the original origin, as browsers and curl do.
+const CROSS_ORIGIN_STRIPPED_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+const HTML_CONTENT_TYPES = [
+  'text/html',
+  'application/xhtml+xml',
+  'application/xml',
+  'text/xml',
+  'text/plain'
+];
+
+class FetchRejectedError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'FetchRejectedError';
+    this.statusCode = statusCode;
+  }
+}
+
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+  ['2001:db8::', 32], ['64:ff9b::', 96], ['100::', 64]
+].forEach(([address, prefix]) => blockedRanges.addSubnet(address, prefix, 'ipv6'));
+
+// ANALYZE_ALLOWED_HOSTS takes hostnames, *.suffix wildcards, IPs and CIDRs, comma separated.
+const allowedAddresses = new net.BlockList();
+const allowedHostnames = [];
+
+(process.env.ANALYZE_ALLOWED_HOSTS || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean).forEach(entry => {
+  const [address, prefix] = entry.split('/');
+  const family = net.isIP(address);
+
+  if (family) {
+    const type = family === 4 ? 'ipv4' : 'ipv6';
+    if (prefix) {
+      allowedAddresses.addSubnet(address, parseInt(prefix, 10), type);
+    } else {
+      allowedAddresses.addAddress(address, type);
+    }
+  } else {
+    allowedHostnames.push(entry);
+  }
+});
+
+function isAllowedHostname(hostname) {
+  const host = hostname.toLowerCase();
+  return allowedHostnames.some(entry => (
+    entry.startsWith('*.') ? host.endsWith(entry.slice(1)) : host === entry
+  ));
+}
+
+function isBlockedAddress(address) {
+  let ip = address;
+  let family = net.isIP(ip);
+  if (!family) return true;
+
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 it wraps.
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) {
+    ip = mapped[1];
+    family = 4;
+  }
+
+  const type = family === 4 ? 'ipv4' : 'ipv6';
+  if (allowedAddresses.check(ip, type)) return false;
+
+  return blockedRanges.check(ip, type) || ip === '255.255.255.255';
+}
+
+function parseTargetUrl(rawUrl) {
+  let parsed;
+  try {
+    parsed = new URL(rawUrl);
+  } catch (e) {
+    throw new FetchRejectedError('Invalid URL');
+  }
+
+  if (!ALLOWED_SCHEMES.includes(parsed.protocol)) {
+    throw new FetchRejectedError(`URL scheme ${parsed.protocol} is not allowed`);
+  }
+  if (!parsed.hostname) {
+    throw new FetchRejectedError('URL has no hostname');
+  }
+
+  return parsed;
+}
+
+async function assertSafeUrl(rawUrl) {
+  const parsed = parseTargetUrl(rawUrl);
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+
+  if (isAllowedHostname(hostname)) return parsed;
+
+  if (net.isIP(hostname)) {
+    if (isBlockedAddress(hostname)) {
+      throw new FetchRejectedError(`Requests to ${hostname} are not allowed`, 403);
+    }
+    return parsed;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw new FetchRejectedError(`Could not resolve host ${hostname}`, 422);
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new FetchRejectedError(`Requests to ${hostname} are not allowed`, 403);
+  }
+
+  return parsed;
+}
+
+// Re-checks the address the socket actually connects to, which closes the DNS-rebinding gap.
+function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const allowed = isAllowedHostname(hostname);
+    const blocked = !allowed && addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new FetchRejectedError(`Requests to ${hostname} are not allowed`, 403));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ keepAlive: true, lookup: safeLookup });
+const httpsAgent = new https.Agent({ keepAlive: true, lookup: safeLookup });
+
+// Resolves targets locally, even for socks5h/socks4a, so every address goes through safeLookup.
+class SafeSocksProxyAgent extends SocksProxyAgent {
+  constructor(proxy) {
+    super(proxy);
+    this.shouldLookup = true;
+  }
+
+  connect(req, opts) {
+    return super.connect(req, { ...opts, lookup: safeLookup });
+  }
+}
+
+// The proxy itself is subject to the same address checks as any target.
+async function createProxyAgents(proxyUrl) {
+  const proxy = new URL(proxyUrl);
+  await assertSafeUrl(`http://${proxy.host}/`);
+
+  if (proxy.protocol.startsWith('socks')) {
+    const agent = new SafeSocksProxyAgent(proxy);
+    return { httpAgent: agent, httpsAgent: agent };
+  }
+
+  return {
+    httpAgent: new HttpProxyAgent(proxy, { lookup: safeLookup }),
+    httpsAgent: new HttpsProxyAgent(proxy, { lookup: safeLookup })
+  };
+}
+
+function omitHeaders(headers = {}, names) {
+  const kept = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    if (!names.includes(name.toLowerCase())) kept[name] = value;
+  });
+  return kept;
+}
+
+function assertContentType(response, allowedContentTypes) {
+  const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType && !allowedContentTypes.includes(contentType)) {
+    const error = new FetchRejectedError(`Unsupported content type ${contentType}`, 415);
+    error.contentType = contentType;
+    throw error;
+  }
+}
+
+// Reads a streamed body up to maxBytes and converts it the way axios would for responseType.
+function readStreamBody(stream, maxBytes, responseType) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+
+    stream.on('data', chunk => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        stream.destroy();
+        reject(new FetchRejectedError(`Response exceeds the ${maxBytes} byte limit`, 413));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('error', reject);
+    stream.on('end', () => {
+      const body = Buffer.concat(chunks);
+      if (responseType === 'arraybuffer') return resolve(body);
+
+      const text = body.toString('utf8');
+      if (responseType === 'text') return resolve(text);
+      try {
+        resolve(JSON.parse(text));
+      } catch (e) {
+        resolve(text);
+      }
+    });
+  });
+}
+
+/**
+ * axios request that validates every redirect hop before connecting to it.
+ * Resolves with the final response plus `redirectChain` and the Set-Cookie
+ * headers seen on every hop (`setCookies`); non-2xx final responses reject
+ * with `error.response` set, like plain axios does.
+ *
+ * `cookieJar` (see cookieJar.js) sends and stores cookies per hop, and
+ * `proxyUrl` routes the request through an HTTP(S) or SOCKS proxy.
+ * `detectRedirectLoops` fails fast when a URL repeats in the chain; it is
+ * off by default because cookie handshakes legitimately bounce back to an earlier URL.
+ * With `allowedContentTypes` the body is streamed and the Content-Type header
+ * is checked before any of it is read.
+ */
+async function safeRequest(rawUrl, config = {}) {
+  const {
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    maxContentLength = MAX_RESPONSE_BYTES,
+    allowedContentTypes = null,
+    validateStatus = status => status >= 200 && status < 300,
+    cookieJar = null,
+    proxyUrl = null,
+    detectRedirectLoops = false,
+    ...axiosConfig
+  } = config;
+
+  const agents = proxyUrl ? await createProxyAgents(proxyUrl) : { httpAgent, httpsAgent };
+  const originalOrigin = parseTargetUrl(rawUrl).origin;
+  const redirectChain = [];
+  const setCookies = [];
+  let currentUrl = rawUrl;
+  let method = (axiosConfig.method || 'get').toLowerCase();
+  let data = axiosConfig.data;
+  let headers = axiosConfig.headers;
+  const streamBody = Boolean(allowedContentTypes) && axiosConfig.responseType !== 'stream';
+
+  for (let hop = 0; ; hop++) {
+    await assertSafeUrl(currentUrl);
+
+    if (new URL(currentUrl).origin !== originalOrigin) {
+      headers = omitHeaders(headers, CROSS_ORIGIN_STRIPPED_HEADERS);
+    }
+
+    const cookieHeader = cookieJar ? cookieJar.getCookieHeader(currentUrl) : null;
+
+    let response;
+    try {
+      response = await axios.request({
+        ...axiosConfig,
+        url: currentUrl,
+        method,
+        data,
+        headers: cookieHeader ? { ...headers, Cookie: cookieHeader } : headers,
+        maxRedirects: 0,
+        maxContentLength,
+        maxBodyLength: maxContentLength,
+        ...agents,
+        ...(proxyUrl ? { proxy: false } : {}),
+        ...(streamBody ? { responseType: 'stream' } : {}),
+        validateStatus: () => true
+      });
+    } catch (error) {
+      if (error instanceof FetchRejectedError) throw error;
+      if (error.cause instanceof FetchRejectedError) throw error.cause;
+      if (/maxContentLength/.test(error.message)) {
+        throw new FetchRejectedError(`Response exceeds the ${maxContentLength} byte limit`, 413);
+      }
+      throw error;
+    }
+
+    const hopCookies = [].concat(response.headers['set-cookie'] || []);
+    setCookies.push(...hopCookies);
+    if (cookieJar) cookieJar.store(currentUrl, hopCookies);
+
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      // Streamed redirect bodies are never read, so release the socket.
+      if (response.data && typeof response.data.destroy === 'function') response.data.destroy();
+
+      const nextUrl = new URL(location, currentUrl).href;
+      redirectChain.push({ url: currentUrl, statusCode: response.status, location: nextUrl });
+
+      if (detectRedirectLoops && redirectChain.some(hopEntry => hopEntry.url === nextUrl)) {
+        const error = new FetchRejectedError(`Redirect loop detected at ${nextUrl}`, 422);
+        error.redirectChain = redirectChain;
+        error.redirectLoop = true;
+        throw error;
+      }
+      if (hop >= maxRedirects) {
+        const error = new FetchRejectedError(`Too many redirects (more than ${maxRedirects})`, 422);
+        error.redirectChain = redirectChain;
+        throw error;
+      }
+
+      if (response.status === 303 || ([301, 302].includes(response.status) && method === 'post')) {
+        method = 'get';
+        data = undefined;
+        headers = omitHeaders(headers, ['content-type']);
+      }
+
+      currentUrl = nextUrl;
+      continue;
+    }
+
+    response.finalUrl = currentUrl;
+    response.redirectChain = redirectChain;
+    response.setCookies = setCookies;
+
+    const statusOk = validateStatus(response.status);
+
+    if (statusOk && allowedContentTypes) {
+      try {
+        assertContentType(response, allowedContentTypes);
+      } catch (error) {
+        if (streamBody) response.data.destroy();
+        throw error;
+      }
+    }
+    if (streamBody) {
+      response.data = await readStreamBody(response.data, maxContentLength, axiosConfig.responseType);
+    }
+
+    if (!statusOk) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+
+    return response;
+  }
+}
+
+function isSafeUrl(rawUrl) {
+  return assertSafeUrl(rawUrl).then(() => true, () => false);
+}
+
+module.exports = {
+  FetchRejectedError,
+  HTML_CONTENT_TYPES,
+  MAX_RESPONSE_BYTES,
+  assertSafeUrl,
+  isSafeUrl,
+  safeLookup,
+  safeRequest
+};
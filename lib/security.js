@@ -0,0 +1,438 @@
+const net = require('net');
+const tls = require('tls');
+const { assertSafeUrl, safeLookup } = require('./safeFetch');
+
+const SEVERITY_PENALTY = { high: 20, medium: 10, low: 5, info: 0 };
+const HSTS_MIN_MAX_AGE = 15552000; // 180 days
+const HSTS_PRELOAD_MAX_AGE = 31536000; // 1 year
+
+const ACTIVE_CONTENT = [
+  ['script[src]', 'src'],
+  ['link[rel~="stylesheet"][href]', 'href'],
+  ['iframe[src]', 'src'],
+  ['frame[src]', 'src'],
+  ['object[data]', 'data'],
+  ['embed[src]', 'src']
+];
+
+const PASSIVE_CONTENT = [
+  ['img[src]', 'src'],
+  ['audio[src]', 'src'],
+  ['video[src]', 'src'],
+  ['video[poster]', 'poster'],
+  ['source[src]', 'src'],
+  ['track[src]', 'src']
+];
+
+function headerValue(headers, name) {
+  const value = headers[name] !== undefined ? headers[name] : headers[name.toLowerCase()];
+  if (value === undefined || value === null) return null;
+  return [].concat(value).join(', ');
+}
+
+function parseCsp(value) {
+  const directives = {};
+
+  String(value).split(';').forEach(part => {
+    const tokens = part.trim().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return;
+
+    const name = tokens[0].toLowerCase();
+    // Per spec, only the first occurrence of a directive counts.
+    if (!(name in directives)) directives[name] = tokens.slice(1);
+  });
+
+  return directives;
+}
+
+function checkCsp(headers, findings) {
+  const enforced = headerValue(headers, 'content-security-policy');
+  const reportOnly = headerValue(headers, 'content-security-policy-report-only');
+  const result = {
+    present: !!enforced,
+    reportOnly: !enforced && !!reportOnly,
+    directives: {},
+    issues: []
+  };
+
+  if (!enforced && !reportOnly) {
+    findings.push({ id: 'csp-missing', severity: 'high', message: 'No Content-Security-Policy header' });
+    return result;
+  }
+
+  if (!enforced) {
+    findings.push({ id: 'csp-report-only', severity: 'medium', message: 'Content-Security-Policy is only sent in report-only mode' });
+  }
+
+  const directives = parseCsp(enforced || reportOnly);
+  result.directives = directives;
+
+  const addIssue = (id, severity, message) => {
+    result.issues.push({ id, severity, message });
+    findings.push({ id, severity, message });
+  };
+
+  const scriptSources = directives['script-src'] || directives['default-src'];
+  if (!scriptSources) {
+    addIssue('csp-no-script-src', 'high', 'CSP has neither script-src nor default-src, so scripts are unrestricted');
+  } else {
+    const hasNonceOrHash = scriptSources.some(source => /^'(nonce-|sha256-|sha384-|sha512-)/i.test(source));
+    const hasStrictDynamic = scriptSources.includes("'strict-dynamic'");
+
+    if (scriptSources.includes("'unsafe-inline'")) {
+      // Browsers ignore 'unsafe-inline' when a nonce or hash is also present.
+      addIssue('csp-unsafe-inline', hasNonceOrHash ? 'low' : 'high', "Script sources allow 'unsafe-inline'");
+    }
+    if (scriptSources.includes("'unsafe-eval'")) {
+      addIssue('csp-unsafe-eval', 'medium', "Script sources allow 'unsafe-eval'");
+    }
+    if (!hasStrictDynamic && scriptSources.some(source => ['*', 'http:', 'https:', 'data:'].includes(source))) {
+      addIssue('csp-wildcard-script', 'high', 'Script sources include a wildcard or a bare scheme');
+    }
+  }
+
+  const styleSources = directives['style-src'] || directives['default-src'];
+  if (styleSources && styleSources.includes("'unsafe-inline'")) {
+    addIssue('csp-unsafe-inline-style', 'low', "Style sources allow 'unsafe-inline'");
+  }
+
+  Object.entries(directives).forEach(([name, sources]) => {
+    if (name.endsWith('-src') && name !== 'script-src' && sources.includes('*')) {
+      addIssue('csp-wildcard', 'low', `${name} allows any origin (*)`);
+    }
+  });
+
+  const objectSources = directives['object-src'] || directives['default-src'];
+  if (!objectSources || !objectSources.includes("'none'")) {
+    addIssue('csp-object-src', 'low', "object-src is not restricted to 'none'");
+  }
+
+  if (!directives['base-uri']) {
+    addIssue('csp-base-uri', 'low', 'CSP does not set base-uri');
+  }
+
+  return result;
+}
+
+function checkHsts(headers, isHttps, findings) {
+  const value = headerValue(headers, 'strict-transport-security');
+  const result = {
+    present: !!value,
+    maxAge: null,
+    includeSubDomains: false,
+    preload: false,
+    preloadEligible: false
+  };
+
+  if (!isHttps) {
+    return result;
+  }
+
+  if (!value) {
+    findings.push({ id: 'hsts-missing', severity: 'high', message: 'No Strict-Transport-Security header on an HTTPS site' });
+    return result;
+  }
+
+  String(value).split(';').forEach(part => {
+    const [name, directiveValue] = part.trim().split('=');
+    const directive = (name || '').trim().toLowerCase();
+
+    if (directive === 'max-age') result.maxAge = parseInt((directiveValue || '').replace(/"/g, ''), 10);
+    if (directive === 'includesubdomains') result.includeSubDomains = true;
+    if (directive === 'preload') result.preload = true;
+  });
+
+  if (result.maxAge === null || Number.isNaN(result.maxAge)) {
+    findings.push({ id: 'hsts-invalid', severity: 'high', message: 'Strict-Transport-Security has no valid max-age' });
+  } else if (result.maxAge < HSTS_MIN_MAX_AGE) {
+    findings.push({ id: 'hsts-short-max-age', severity: 'medium', message: `HSTS max-age ${result.maxAge} is below 180 days` });
+  }
+
+  result.preloadEligible = result.maxAge >= HSTS_PRELOAD_MAX_AGE && result.includeSubDomains && result.preload;
+  if (result.preload && !result.preloadEligible) {
+    findings.push({ id: 'hsts-preload-ineligible', severity: 'low', message: 'HSTS preload flag is set but max-age or includeSubDomains does not meet preload requirements' });
+  }
+
+  return result;
+}
+
+function checkFraming(headers, csp, findings) {
+  const value = headerValue(headers, 'x-frame-options');
+  const normalized = value ? value.trim().toUpperCase() : null;
+  const result = { present: !!value, value };
+
+  if (value && !['DENY', 'SAMEORIGIN'].includes(normalized)) {
+    findings.push({ id: 'xfo-invalid', severity: 'low', message: `X-Frame-Options has an unsupported value: ${value}` });
+  }
+
+  if (!value && !csp.directives['frame-ancestors']) {
+    findings.push({ id: 'clickjacking', severity: 'medium', message: 'Neither X-Frame-Options nor CSP frame-ancestors is set' });
+  }
+
+  return result;
+}
+
+function checkSimpleHeaders(headers, findings) {
+  const contentTypeOptions = headerValue(headers, 'x-content-type-options');
+  if (!contentTypeOptions || contentTypeOptions.trim().toLowerCase() !== 'nosniff') {
+    findings.push({ id: 'nosniff-missing', severity: 'low', message: 'X-Content-Type-Options is not set to nosniff' });
+  }
+
+  const referrerPolicy = headerValue(headers, 'referrer-policy');
+  if (!referrerPolicy) {
+    findings.push({ id: 'referrer-policy-missing', severity: 'low', message: 'No Referrer-Policy header' });
+  } else if (/unsafe-url|no-referrer-when-downgrade/i.test(referrerPolicy)) {
+    findings.push({ id: 'referrer-policy-weak', severity: 'low', message: `Referrer-Policy ${referrerPolicy} leaks full URLs to other origins` });
+  }
+
+  const permissionsPolicy = headerValue(headers, 'permissions-policy');
+  const features = {};
+  if (!permissionsPolicy) {
+    findings.push({ id: 'permissions-policy-missing', severity: 'low', message: 'No Permissions-Policy header' });
+  } else {
+    permissionsPolicy.split(',').forEach(part => {
+      const [feature, allowlist] = part.split('=');
+      if (!feature || !feature.trim()) return;
+      features[feature.trim()] = (allowlist || '').trim();
+    });
+  }
+
+  const server = headerValue(headers, 'server');
+  if (server && /\d/.test(server)) {
+    findings.push({ id: 'server-version', severity: 'low', message: `Server header discloses a version: ${server}` });
+  }
+
+  const poweredBy = headerValue(headers, 'x-powered-by');
+  if (poweredBy) {
+    findings.push({ id: 'x-powered-by', severity: 'low', message: `X-Powered-By header discloses: ${poweredBy}` });
+  }
+
+  return {
+    xContentTypeOptions: { present: !!contentTypeOptions, value: contentTypeOptions },
+    referrerPolicy: { present: !!referrerPolicy, value: referrerPolicy },
+    permissionsPolicy: { present: !!permissionsPolicy, features }
+  };
+}
+
+function checkCookies(headers, isHttps, findings) {
+  const setCookie = headers['set-cookie'];
+  if (!setCookie) return [];
+
+  // Rendered pages report repeated Set-Cookie headers joined by newlines.
+  return [].concat(setCookie).flatMap(item => String(item).split('\n')).filter(Boolean).map(raw => {
+    const [pair, ...attributes] = String(raw).split(';');
+    const name = pair.split('=')[0].trim();
+    const cookie = {
+      name,
+      secure: false,
+      httpOnly: false,
+      sameSite: null,
+      domain: null,
+      path: null,
+      issues: []
+    };
+
+    attributes.forEach(attribute => {
+      const [key, ...rest] = attribute.trim().split('=');
+      const value = rest.join('=').trim();
+
+      switch (key.trim().toLowerCase()) {
+        case 'secure': cookie.secure = true; break;
+        case 'httponly': cookie.httpOnly = true; break;
+        case 'samesite': cookie.sameSite = value || null; break;
+        case 'domain': cookie.domain = value || null; break;
+        case 'path': cookie.path = value || null; break;
+        default: break;
+      }
+    });
+
+    const addIssue = (id, severity, message) => {
+      cookie.issues.push({ id, severity, message });
+      findings.push({ id, severity, message: `Cookie ${name}: ${message}` });
+    };
+
+    if (isHttps && !cookie.secure) addIssue('cookie-no-secure', 'medium', 'missing Secure flag');
+    if (!cookie.httpOnly) addIssue('cookie-no-httponly', 'low', 'missing HttpOnly flag');
+    if (!cookie.sameSite) addIssue('cookie-no-samesite', 'low', 'missing SameSite attribute');
+    if (cookie.sameSite && cookie.sameSite.toLowerCase() === 'none' && !cookie.secure) {
+      addIssue('cookie-samesite-none-insecure', 'medium', 'SameSite=None without Secure is rejected by browsers');
+    }
+    if (/^__(Secure|Host)-/.test(name) && !cookie.secure) {
+      addIssue('cookie-prefix-violation', 'medium', 'cookie prefix requires the Secure flag');
+    }
+
+    return cookie;
+  });
+}
+
+function findMixedContent($, isHttps, findings) {
+  if (!isHttps || !$) return [];
+
+  const mixedContent = [];
+  const collect = (selectors, type) => {
+    selectors.forEach(([selector, attribute]) => {
+      $(selector).each((_, element) => {
+        const value = ($(element).attr(attribute) || '').trim();
+        if (/^http:\/\//i.test(value)) {
+          mixedContent.push({ type, tag: element.tagName.toLowerCase(), attribute, url: value });
+        }
+      });
+    });
+  };
+
+  collect(ACTIVE_CONTENT, 'active');
+  collect(PASSIVE_CONTENT, 'passive');
+
+  $('img[srcset], source[srcset]').each((_, element) => {
+    ($(element).attr('srcset') || '').split(',').forEach(candidate => {
+      const value = candidate.trim().split(/\s+/)[0];
+      if (/^http:\/\//i.test(value)) {
+        mixedContent.push({ type: 'passive', tag: element.tagName.toLowerCase(), attribute: 'srcset', url: value });
+      }
+    });
+  });
+
+  $('form[action]').each((_, element) => {
+    const value = ($(element).attr('action') || '').trim();
+    if (/^http:\/\//i.test(value)) {
+      mixedContent.push({ type: 'form', tag: 'form', attribute: 'action', url: value });
+    }
+  });
+
+  const activeCount = mixedContent.filter(item => item.type !== 'passive').length;
+  const passiveCount = mixedContent.length - activeCount;
+
+  if (activeCount > 0) {
+    findings.push({ id: 'mixed-content-active', severity: 'high', message: `${activeCount} active mixed-content reference(s)` });
+  }
+  if (passiveCount > 0) {
+    findings.push({ id: 'mixed-content-passive', severity: 'low', message: `${passiveCount} passive mixed-content reference(s)` });
+  }
+
+  return mixedContent;
+}
+
+function checkTls(tlsInfo, findings) {
+  if (tlsInfo.error) {
+    findings.push({ id: 'tls-error', severity: 'medium', message: `TLS inspection failed: ${tlsInfo.error}` });
+    return;
+  }
+
+  if (!tlsInfo.authorized) {
+    findings.push({ id: 'tls-untrusted', severity: 'high', message: `Certificate is not trusted: ${tlsInfo.authorizationError}` });
+  }
+
+  const { daysRemaining } = tlsInfo.certificate;
+  if (daysRemaining !== null && daysRemaining < 0) {
+    findings.push({ id: 'tls-expired', severity: 'high', message: 'Certificate has expired' });
+  } else if (daysRemaining !== null && daysRemaining < 14) {
+    findings.push({ id: 'tls-expiring', severity: 'medium', message: `Certificate expires in ${daysRemaining} day(s)` });
+  }
+
+  if (['TLSv1', 'TLSv1.1', 'SSLv3'].includes(tlsInfo.protocol)) {
+    findings.push({ id: 'tls-legacy-protocol', severity: 'high', message: `Negotiated legacy protocol ${tlsInfo.protocol}` });
+  }
+}
+
+function gradeFor(score) {
+  if (score >= 90) return 'A';
+  if (score >= 80) return 'B';
+  if (score >= 70) return 'C';
+  if (score >= 60) return 'D';
+  return 'F';
+}
+
+function analyzeSecurity({ url, headers = {}, $, tlsInfo = null }) {
+  const isHttps = /^https:/i.test(url || '');
+  const findings = [];
+
+  if (!isHttps) {
+    findings.push({ id: 'no-https', severity: 'high', message: 'Page is not served over HTTPS' });
+  }
+
+  const contentSecurityPolicy = checkCsp(headers, findings);
+  const strictTransportSecurity = checkHsts(headers, isHttps, findings);
+  const xFrameOptions = checkFraming(headers, contentSecurityPolicy, findings);
+  const otherHeaders = checkSimpleHeaders(headers, findings);
+  const cookies = checkCookies(headers, isHttps, findings);
+  const mixedContent = findMixedContent($, isHttps, findings);
+  if (tlsInfo) checkTls(tlsInfo, findings);
+
+  const penalty = findings.reduce((sum, finding) => sum + SEVERITY_PENALTY[finding.severity], 0);
+  const score = Math.max(0, 100 - penalty);
+
+  return {
+    grade: gradeFor(score),
+    score,
+    headers: {
+      contentSecurityPolicy,
+      strictTransportSecurity,
+      xFrameOptions,
+      ...otherHeaders
+    },
+    cookies,
+    mixedContent,
+    tls: tlsInfo,
+    findings
+  };
+}
+
+// The handshake goes through the same address checks as page fetches; IP literals skip the lookup, hence assertSafeUrl.
+async function getTlsInfo(hostname, port = 443, timeout = 10000) {
+  try {
+    await assertSafeUrl(`https://${hostname}:${port}/`);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  // URL hostnames keep IPv6 brackets, and SNI only carries DNS names (RFC 6066).
+  const host = hostname.replace(/^\[|\]$/g, '');
+
+  return new Promise((resolve) => {
+    const socket = tls.connect({
+      host,
+      port,
+      ...(net.isIP(host) ? {} : { servername: host }),
+      rejectUnauthorized: false,
+      lookup: safeLookup
+    });
+
+    const finish = (result) => {
+      socket.destroy();
+      resolve(result);
+    };
+
+    socket.setTimeout(timeout, () => finish({ error: 'TLS handshake timed out' }));
+    socket.on('error', error => finish({ error: error.message }));
+
+    socket.on('secureConnect', () => {
+      const certificate = socket.getPeerCertificate();
+      const cipher = socket.getCipher();
+      const validTo = certificate.valid_to ? new Date(certificate.valid_to) : null;
+
+      finish({
+        protocol: socket.getProtocol(),
+        cipher: cipher ? cipher.name : null,
+        authorized: socket.authorized,
+        authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+        certificate: {
+          subject: certificate.subject ? certificate.subject.CN || null : null,
+          issuer: certificate.issuer ? certificate.issuer.O || certificate.issuer.CN || null : null,
+          validFrom: certificate.valid_from ? new Date(certificate.valid_from).toISOString() : null,
+          validTo: validTo ? validTo.toISOString() : null,
+          daysRemaining: validTo ? Math.floor((validTo.getTime() - Date.now()) / 86400000) : null,
+          subjectAltNames: certificate.subjectaltname
+            ? certificate.subjectaltname.split(',').map(name => name.trim().replace(/^DNS:/, ''))
+            : [],
+          fingerprint256: certificate.fingerprint256 || null
+        }
+      });
+    });
+  });
+}
+
+module.exports = {
+  parseCsp,
+  analyzeSecurity,
+  getTlsInfo
+};
@@ -0,0 +1,62 @@
+// Builds short, stable CSS selectors for cheerio elements, for pointing findings at markup.
+
+function cssEscape(value) {
+  return String(value).replace(/[^\w-]/g, char => `\\${char}`)
+    .replace(/^(-?)(\d)/, (_, dash, digit) => `${dash}\\3${digit} `);
+}
+
+// Counting every id once up front keeps getSelector from querying the whole document per ancestor.
+function countIds($) {
+  const counts = new Map();
+  $('[id]').each((_, element) => {
+    const id = element.attribs.id;
+    counts.set(id, (counts.get(id) || 0) + 1);
+  });
+  return counts;
+}
+
+function stepFor(element) {
+  const tag = element.tagName.toLowerCase();
+  const parent = element.parent;
+  if (!parent || !parent.children) return tag;
+
+  const sameTag = parent.children.filter(child => child.type === 'tag' && child.tagName === element.tagName);
+  if (sameTag.length === 1) return tag;
+
+  return `${tag}:nth-of-type(${sameTag.indexOf(element) + 1})`;
+}
+
+/**
+ * Walks up from the element until it reaches the root or an ancestor with a
+ * unique id, so selectors stay short without depending on duplicated ids.
+ * Callers building many selectors should pass `idCounts` from countIds.
+ */
+function getSelector($, element, idCounts = countIds($)) {
+  const node = element && element.type === 'tag' ? element : element && element[0];
+  if (!node || node.type !== 'tag') return null;
+
+  const steps = [];
+  let current = node;
+
+  while (current && current.type === 'tag') {
+    const id = current.attribs && current.attribs.id;
+    if (id && idCounts.get(id) === 1) {
+      steps.unshift(`#${cssEscape(id)}`);
+      break;
+    }
+
+    const tag = current.tagName.toLowerCase();
+    steps.unshift(tag === 'html' || tag === 'head' || tag === 'body' ? tag : stepFor(current));
+    if (tag === 'html') break;
+
+    current = current.parent;
+  }
+
+  return steps.join(' > ');
+}
+
+module.exports = {
+  cssEscape,
+  countIds,
+  getSelector
+};
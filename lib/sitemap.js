@@ -0,0 +1,43 @@
+const cheerio = require('cheerio');
+const { safeRequest } = require('./safeFetch');
+
+const MAX_SITEMAP_FILES = 10;
+
+async function fetchSitemapUrls(sitemapUrls, userAgent, limit) {
+  const pending = [...sitemapUrls];
+  const visited = new Set();
+  const pageUrls = [];
+
+  while (pending.length > 0 && visited.size < MAX_SITEMAP_FILES && pageUrls.length < limit) {
+    const sitemapUrl = pending.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    try {
+      const response = await safeRequest(sitemapUrl, {
+        headers: { 'User-Agent': userAgent },
+        timeout: 10000,
+        maxRedirects: 5,
+        responseType: 'text'
+      });
+
+      const $ = cheerio.load(response.data, { xmlMode: true });
+
+      $('sitemapindex > sitemap > loc').each((_, element) => {
+        pending.push($(element).text().trim());
+      });
+
+      $('urlset > url > loc').each((_, element) => {
+        if (pageUrls.length < limit) pageUrls.push($(element).text().trim());
+      });
+    } catch (error) {
+      console.error('Error fetching sitemap:', sitemapUrl, error.message);
+    }
+  }
+
+  return pageUrls;
+}
+
+module.exports = {
+  fetchSitemapUrls
+};
@@ -0,0 +1,244 @@
+const OG_MEDIA_KEYS = ['image', 'video', 'audio'];
+const OG_NAMESPACES = ['article', 'book', 'profile', 'music', 'video'];
+
+// Keeps a single value until a key repeats, then switches to an array. Keys come from the page, so names
+// like "constructor" or "__proto__" must not hit Object.prototype.
+function appendValue(target, key, value) {
+  if (!Object.prototype.hasOwnProperty.call(target, key)) {
+    Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+  } else if (Array.isArray(target[key])) {
+    target[key].push(value);
+  } else {
+    target[key] = [target[key], value];
+  }
+}
+
+function cleanText(value) {
+  return (value || '').replace(/\s+/g, ' ').trim();
+}
+
+function parseJsonLd($) {
+  const jsonLd = [];
+  const errors = [];
+
+  $('script').each((_, element) => {
+    const type = ($(element).attr('type') || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/ld+json') return;
+
+    const raw = $(element).html() || '';
+    const source = raw
+      .trim()
+      .replace(/^<!--/, '')
+      .replace(/-->$/, '')
+      .replace(/^\/\/\s*<!\[CDATA\[/, '')
+      .replace(/\/\/\s*\]\]>$/, '')
+      .trim();
+
+    if (!source) {
+      errors.push({ index: jsonLd.length + errors.length, error: 'Empty JSON-LD block', snippet: '' });
+      return;
+    }
+
+    try {
+      jsonLd.push(JSON.parse(source));
+    } catch (error) {
+      errors.push({
+        index: jsonLd.length + errors.length,
+        error: error.message,
+        snippet: source.slice(0, 200)
+      });
+    }
+  });
+
+  return { jsonLd, errors };
+}
+
+function microdataValue($, element) {
+  const $element = $(element);
+  const tag = element.tagName.toLowerCase();
+
+  if (tag === 'meta') return $element.attr('content') || '';
+  if (['audio', 'embed', 'iframe', 'img', 'source', 'track', 'video'].includes(tag)) return $element.attr('src') || '';
+  if (['a', 'area', 'link'].includes(tag)) return $element.attr('href') || '';
+  if (tag === 'object') return $element.attr('data') || '';
+  if (['data', 'meter'].includes(tag)) return $element.attr('value') || '';
+  if (tag === 'time') return $element.attr('datetime') || cleanText($element.text());
+
+  return cleanText($element.text());
+}
+
+function parseMicrodataItem($, element) {
+  const $element = $(element);
+  const item = {
+    type: ($element.attr('itemtype') || '').split(/\s+/).filter(Boolean),
+    id: $element.attr('itemid') || null,
+    properties: {}
+  };
+
+  const walk = (parent) => {
+    $(parent).children().each((_, child) => {
+      const $child = $(child);
+      const names = ($child.attr('itemprop') || '').split(/\s+/).filter(Boolean);
+
+      if (names.length > 0) {
+        const value = $child.is('[itemscope]') ? parseMicrodataItem($, child) : microdataValue($, child);
+        names.forEach(name => appendValue(item.properties, name, value));
+      }
+
+      if (!$child.is('[itemscope]')) walk(child);
+    });
+  };
+
+  walk(element);
+  return item;
+}
+
+function parseMicrodata($) {
+  const items = [];
+
+  $('[itemscope]').each((_, element) => {
+    if ($(element).is('[itemprop]')) return;
+    items.push(parseMicrodataItem($, element));
+  });
+
+  return items;
+}
+
+function rdfaValue($, element) {
+  const $element = $(element);
+
+  return $element.attr('content')
+    || $element.attr('resource')
+    || $element.attr('href')
+    || $element.attr('src')
+    || cleanText($element.text());
+}
+
+function parseRdfaItem($, element, inheritedVocab) {
+  const $element = $(element);
+  const vocab = $element.attr('vocab') || inheritedVocab || null;
+  const item = {
+    type: ($element.attr('typeof') || '').split(/\s+/).filter(Boolean),
+    vocab,
+    resource: $element.attr('resource') || $element.attr('about') || null,
+    properties: {}
+  };
+
+  const walk = (parent) => {
+    $(parent).children().each((_, child) => {
+      const $child = $(child);
+      const names = ($child.attr('property') || '').split(/\s+/).filter(Boolean);
+      const nested = $child.is('[typeof]');
+
+      if (names.length > 0) {
+        const value = nested ? parseRdfaItem($, child, vocab) : rdfaValue($, child);
+        names.forEach(name => appendValue(item.properties, name, value));
+      }
+
+      if (!nested) walk(child);
+    });
+  };
+
+  walk(element);
+  return item;
+}
+
+function parseRdfa($) {
+  const items = [];
+
+  $('[typeof]').each((_, element) => {
+    const $element = $(element);
+    if ($element.is('[property]') && $element.parents('[typeof]').length > 0) return;
+
+    const vocab = $element.closest('[vocab]').attr('vocab');
+    items.push(parseRdfaItem($, element, vocab));
+  });
+
+  return items;
+}
+
+function metaEntries($, prefixes) {
+  const entries = [];
+
+  $('meta').each((_, element) => {
+    const key = ($(element).attr('property') || $(element).attr('name') || '').trim().toLowerCase();
+    const content = $(element).attr('content');
+    if (!key || content === undefined) return;
+
+    if (prefixes.some(prefix => key.startsWith(`${prefix}:`))) {
+      entries.push([key, content]);
+    }
+  });
+
+  return entries;
+}
+
+function parseOpenGraph($) {
+  const openGraph = {};
+  const current = {};
+
+  metaEntries($, ['og', ...OG_NAMESPACES]).forEach(([key, content]) => {
+    const [namespace, ...rest] = key.split(':');
+    const property = rest.join(':');
+
+    // Type-specific namespaces (article:*, video:* ...) are kept apart from og:* keys.
+    if (namespace !== 'og') {
+      openGraph.typeProperties = openGraph.typeProperties || {};
+      openGraph.typeProperties[namespace] = openGraph.typeProperties[namespace] || {};
+      appendValue(openGraph.typeProperties[namespace], property, content);
+      return;
+    }
+
+    const [base, ...subParts] = property.split(':');
+    const sub = subParts.join(':');
+
+    if (OG_MEDIA_KEYS.includes(base)) {
+      openGraph[base] = openGraph[base] || [];
+
+      if (sub === 'url' && current[base] && current[base].url === content) return;
+
+      if (!sub || sub === 'url') {
+        current[base] = { url: content };
+        openGraph[base].push(current[base]);
+      } else {
+        if (!current[base]) {
+          current[base] = {};
+          openGraph[base].push(current[base]);
+        }
+        appendValue(current[base], sub, content);
+      }
+      return;
+    }
+
+    appendValue(openGraph, property, content);
+  });
+
+  return openGraph;
+}
+
+function parseTwitterCard($) {
+  const twitter = {};
+
+  metaEntries($, ['twitter']).forEach(([key, content]) => {
+    appendValue(twitter, key.slice('twitter:'.length), content);
+  });
+
+  return twitter;
+}
+
+function extractStructuredData($) {
+  const { jsonLd, errors } = parseJsonLd($);
+
+  return {
+    jsonLd,
+    jsonLdErrors: errors,
+    microdata: parseMicrodata($),
+    rdfa: parseRdfa($),
+    openGraph: parseOpenGraph($),
+    twitterCard: parseTwitterCard($)
+  };
+}
+
+module.exports = {
+  extractStructuredData
+};
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const bundledRules = require('./technologies.json');
+
+// Default weight of a single match, by where the evidence was found.
+const EVIDENCE_CONFIDENCE = {
+  headers: 100,
+  meta: 100,
+  cookies: 80,
+  globals: 90,
+  scripts: 80,
+  stylesheets: 70,
+  html: 60,
+  implied: 50
+};
+
+const MAX_HTML_SCAN = 512 * 1024;
+
+const technologies = new Map();
+
+// Patterns are regexes with optional Wappalyzer-style tags, e.g. "nginx/([\\d.]+)\\;confidence:50".
+function compilePattern(source) {
+  const [regex, ...tags] = String(source).split('\\;');
+  const pattern = { source: regex, regexp: null, confidence: null };
+
+  tags.forEach(tag => {
+    const [key, value] = tag.split(':');
+    if (key === 'confidence') pattern.confidence = parseInt(value, 10);
+  });
+
+  try {
+    pattern.regexp = new RegExp(regex, 'i');
+  } catch (error) {
+    console.error('Invalid technology pattern:', source, error.message);
+  }
+
+  return pattern;
+}
+
+function compileList(list) {
+  return [].concat(list || []).map(compilePattern).filter(pattern => pattern.regexp);
+}
+
+function compileMap(map) {
+  return Object.entries(map || {}).map(([key, source]) => ({
+    key: key.toLowerCase(),
+    name: key,
+    ...compilePattern(source)
+  })).filter(pattern => pattern.regexp);
+}
+
+function registerTechnologies(rules) {
+  Object.entries(rules || {}).forEach(([name, rule]) => {
+    technologies.set(name, {
+      name,
+      categories: rule.categories || [],
+      headers: compileMap(rule.headers),
+      meta: compileMap(rule.meta),
+      globals: compileMap(rule.globals),
+      cookies: compileList(rule.cookies),
+      scripts: compileList(rule.scripts),
+      stylesheets: compileList(rule.stylesheets),
+      html: compileList(rule.html),
+      implies: [].concat(rule.implies || [])
+    });
+  });
+}
+
+function listTechnologies() {
+  return Array.from(technologies.values()).map(({ name, categories }) => ({ name, categories }));
+}
+
+function getGlobalNames() {
+  const names = new Set();
+  technologies.forEach(technology => {
+    technology.globals.forEach(pattern => names.add(pattern.name));
+  });
+  return Array.from(names);
+}
+
+function getCookieNames(headers) {
+  const setCookie = headers ? headers['set-cookie'] : null;
+  if (!setCookie) return [];
+
+  return [].concat(setCookie)
+    .map(cookie => String(cookie).split(';')[0].split('=')[0].trim())
+    .filter(Boolean);
+}
+
+function detectTechnologies({ headers = {}, $, html = '', scripts = [], stylesheets = [], cookies = [], globals = null }) {
+  const normalizedHeaders = {};
+  Object.entries(headers).forEach(([key, value]) => {
+    normalizedHeaders[key.toLowerCase()] = [].concat(value).join(', ');
+  });
+
+  const metaValues = {};
+  if ($) {
+    $('meta').each((_, element) => {
+      const name = ($(element).attr('name') || $(element).attr('property') || '').toLowerCase();
+      const content = $(element).attr('content');
+      if (name && content !== undefined) {
+        metaValues[name] = metaValues[name] || [];
+        metaValues[name].push(content);
+      }
+    });
+  }
+
+  const htmlSample = typeof html === 'string' ? html.slice(0, MAX_HTML_SCAN) : '';
+  const detected = new Map();
+
+  const record = (technology, type, pattern, value, key) => {
+    const match = pattern.regexp.exec(value);
+    if (!match) return;
+
+    const entry = detected.get(technology.name) || {
+      name: technology.name,
+      categories: technology.categories,
+      version: null,
+      confidence: 0,
+      evidence: []
+    };
+
+    entry.confidence = Math.min(100, entry.confidence + (pattern.confidence || EVIDENCE_CONFIDENCE[type]));
+    if (!entry.version && match[1]) entry.version = match[1];
+
+    entry.evidence.push({
+      type,
+      key: key || null,
+      value: String(value).length > 200 ? `${String(value).slice(0, 200)}...` : String(value),
+      pattern: pattern.source
+    });
+
+    detected.set(technology.name, entry);
+  };
+
+  technologies.forEach(technology => {
+    technology.headers.forEach(pattern => {
+      if (pattern.key in normalizedHeaders) record(technology, 'headers', pattern, normalizedHeaders[pattern.key], pattern.key);
+    });
+
+    technology.meta.forEach(pattern => {
+      (metaValues[pattern.key] || []).forEach(value => record(technology, 'meta', pattern, value, pattern.key));
+    });
+
+    technology.cookies.forEach(pattern => {
+      cookies.forEach(name => record(technology, 'cookies', pattern, name));
+    });
+
+    technology.scripts.forEach(pattern => {
+      const script = scripts.find(src => pattern.regexp.test(src));
+      if (script) record(technology, 'scripts', pattern, script);
+    });
+
+    technology.stylesheets.forEach(pattern => {
+      const stylesheet = stylesheets.find(href => pattern.regexp.test(href));
+      if (stylesheet) record(technology, 'stylesheets', pattern, stylesheet);
+    });
+
+    technology.html.forEach(pattern => {
+      const match = pattern.regexp.exec(htmlSample);
+      if (match) record(technology, 'html', pattern, match[0]);
+    });
+
+    if (globals) {
+      technology.globals.forEach(pattern => {
+        if (pattern.name in globals) record(technology, 'globals', pattern, globals[pattern.name], pattern.name);
+      });
+    }
+  });
+
+  const pending = Array.from(detected.values());
+  while (pending.length > 0) {
+    const entry = pending.shift();
+
+    technologies.get(entry.name).implies.forEach(impliedName => {
+      if (detected.has(impliedName) || !technologies.has(impliedName)) return;
+
+      const implied = {
+        name: impliedName,
+        categories: technologies.get(impliedName).categories,
+        version: null,
+        confidence: Math.min(entry.confidence, EVIDENCE_CONFIDENCE.implied),
+        evidence: [{ type: 'implied', key: null, value: entry.name, pattern: null }]
+      };
+
+      detected.set(impliedName, implied);
+      pending.push(implied);
+    });
+  }
+
+  return Array.from(detected.values())
+    .map(entry => ({
+      ...entry,
+      confidenceLevel: entry.confidence >= 80 ? 'high' : entry.confidence >= 50 ? 'medium' : 'low'
+    }))
+    .sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name));
+}
+
+registerTechnologies(bundledRules);
+
+if (process.env.TECHNOLOGY_RULES_PATH) {
+  try {
+    registerTechnologies(JSON.parse(fs.readFileSync(process.env.TECHNOLOGY_RULES_PATH, 'utf8')));
+  } catch (error) {
+    console.error('Error loading technology rules:', error.message);
+  }
+}
+
+module.exports = {
+  registerTechnologies,
+  listTechnologies,
+  getGlobalNames,
+  getCookieNames,
+  detectTechnologies
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// WARC/1.1 writer (ISO 28500:2017). Each helper returns a Buffer holding one complete record.
+
+const WARC_VERSION = 'WARC/1.1';
+const CRLF = '\r\n';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function sha1Digest(buffer) {
+  return `sha1:${base32(crypto.createHash('sha1').update(buffer).digest())}`;
+}
+
+function recordId() {
+  return `<urn:uuid:${uuidv4()}>`;
+}
+
+function warcDate(date = new Date()) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function createRecord(fields, block) {
+  const body = Buffer.isBuffer(block) ? block : Buffer.from(block || '', 'utf8');
+  const headerFields = {
+    'WARC-Record-ID': recordId(),
+    'WARC-Date': warcDate(),
+    ...fields,
+    'WARC-Block-Digest': sha1Digest(body),
+    'Content-Length': body.length
+  };
+
+  const header = [WARC_VERSION]
+    .concat(Object.entries(headerFields)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([name, value]) => `${name}: ${value}`))
+    .join(CRLF);
+
+  return {
+    id: headerFields['WARC-Record-ID'],
+    buffer: Buffer.concat([Buffer.from(header + CRLF + CRLF, 'utf8'), body, Buffer.from(CRLF + CRLF, 'utf8')])
+  };
+}
+
+function formatHeaderLines(headers) {
+  const lines = [];
+  Object.entries(headers).forEach(([name, value]) => {
+    (Array.isArray(value) ? value : [value]).forEach(item => {
+      if (item !== undefined && item !== null) lines.push(`${name}: ${item}`);
+    });
+  });
+  return lines;
+}
+
+function warcinfoRecord(info) {
+  const block = Object.entries(info).map(([name, value]) => `${name}: ${value}`).join(CRLF) + CRLF;
+  return createRecord({
+    'WARC-Type': 'warcinfo',
+    'WARC-Filename': info.filename,
+    'Content-Type': 'application/warc-fields'
+  }, block);
+}
+
+function requestRecord({ url, method = 'GET', headers = {}, date }) {
+  const target = new URL(url);
+  const head = [`${method} ${target.pathname}${target.search} HTTP/1.1`, `Host: ${target.host}`]
+    .concat(formatHeaderLines(headers))
+    .join(CRLF);
+
+  return createRecord({
+    'WARC-Type': 'request',
+    'WARC-Date': warcDate(date),
+    'WARC-Target-URI': url,
+    'Content-Type': 'application/http;msgtype=request'
+  }, head + CRLF + CRLF);
+}
+
+function responseRecord({ url, statusCode, statusText, headers = {}, body, date, concurrentTo }) {
+  const payload = body || Buffer.alloc(0);
+  const head = [`HTTP/1.1 ${statusCode} ${statusText || ''}`.trim()]
+    .concat(formatHeaderLines(headers))
+    .join(CRLF);
+
+  return createRecord({
+    'WARC-Type': 'response',
+    'WARC-Date': warcDate(date),
+    'WARC-Target-URI': url,
+    'WARC-Concurrent-To': concurrentTo,
+    'WARC-Payload-Digest': sha1Digest(payload),
+    'Content-Type': 'application/http;msgtype=response'
+  }, Buffer.concat([Buffer.from(head + CRLF + CRLF, 'utf8'), payload]));
+}
+
+module.exports = {
+  warcDate,
+  warcinfoRecord,
+  requestRecord,
+  responseRecord
+};
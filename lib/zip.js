@@ -0,0 +1,39 @@
+const fs = require('fs');
+const archiver = require('archiver');
+
+// Writes `entries` ([{ path, name }]) into a ZIP at `zipPath`; `name` may contain folders.
+function createZip(zipPath, entries) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip', { zlib: { level: 5 } });
+
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    entries.forEach(entry => archive.file(entry.path, { name: entry.name }));
+    archive.finalize();
+  });
+}
+
+// Builds the ZIP, sends it as `downloadName` and removes it a minute later.
+async function sendZip(res, zipPath, entries, downloadName) {
+  await createZip(zipPath, entries);
+
+  res.download(zipPath, downloadName, err => {
+    if (err) {
+      console.error('Error sending zip file:', err);
+    }
+    setTimeout(() => {
+      if (fs.existsSync(zipPath)) {
+        fs.unlinkSync(zipPath);
+      }
+    }, 60000);
+  });
+}
+
+module.exports = {
+  createZip,
+  sendZip
+};
@@ -0,0 +1,357 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const Queue = require('better-queue');
+const {
+  normalizeTargetUrl,
+  parseAnalyzeOptions,
+  fetchPage,
+  analyzePage
+} = require('../lib/analyzer');
+const { createHostThrottle } = require('../lib/pool');
+const { parseColumns, buildReportRow, toCsv, toJsonLines } = require('../lib/reportRows');
+
+const router = express.Router();
+
+const MAX_URLS = 1000;
+const MAX_CONCURRENCY = 10;
+const MAX_PER_HOST = 5;
+const MAX_HOST_DELAY = 30;
+const EXPORT_FORMATS = ['jsonl', 'csv'];
+const MAX_JOBS = parseInt(process.env.ANALYZE_BATCH_MAX_JOBS, 10) || 20;
+const JOB_TTL = 6 * 3600000;
+const FINISHED_JOB_TTL = 3600000;
+
+const batchJobs = new Map();
+
+// Makes room for a new job by dropping finished ones, oldest first; false when every slot is still running.
+function reserveJobSlot() {
+  for (const [jobId, job] of batchJobs.entries()) {
+    if (batchJobs.size < MAX_JOBS) break;
+    if (job.status === 'completed') batchJobs.delete(jobId);
+  }
+  return batchJobs.size < MAX_JOBS;
+}
+
+function toBoundedInt(value, fallback, min, max) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) return fallback;
+  return Math.min(Math.max(parsed, min), max);
+}
+
+// Round-robin by host so a long run of one host does not hold every worker on its throttle.
+function interleaveByHost(items) {
+  const groups = new Map();
+  items.forEach(item => {
+    let host = '';
+    try {
+      host = new URL(item.url).host;
+    } catch (e) {
+      // Invalid URLs are grouped together and fail on their own.
+    }
+    if (!groups.has(host)) groups.set(host, []);
+    groups.get(host).push(item);
+  });
+
+  const ordered = [];
+  const queues = Array.from(groups.values());
+  while (ordered.length < items.length) {
+    queues.forEach(queue => {
+      if (queue.length > 0) ordered.push(queue.shift());
+    });
+  }
+  return ordered;
+}
+
+// Page text and per-asset/per-link detail stay out of batch results; /api/analyze returns the full report.
+function summarizeReport(report) {
+  const { content, assets, links, html, ...summary } = report;
+  const { text, markdown, ...contentSummary } = content;
+
+  return {
+    ...summary,
+    content: contentSummary,
+    ...(assets ? { assets: { summary: assets.summary, truncated: assets.truncated } } : {}),
+    ...(links ? { links: { summary: links.summary, truncated: links.truncated } } : {})
+  };
+}
+
+async function analyzeItem(job, item) {
+  if (job.status === 'cancelled') return;
+
+  item.status = 'running';
+  item.startedAt = Date.now();
+
+  try {
+    const page = await fetchPage(item.url, job.analyzeOptions);
+    const { $, report } = await analyzePage(item.url, page, job.analyzeOptions);
+
+    item.status = 'completed';
+    item.statusCode = report.statusCode;
+    item.finishedAt = Date.now();
+    item.row = buildReportRow(item, report, $);
+    item.report = summarizeReport(report);
+  } catch (error) {
+    console.error(`Error analyzing ${item.url}:`, error.message);
+    item.status = 'failed';
+    item.error = error.message;
+    item.statusCode = error.response ? error.response.status : error.statusCode || null;
+    item.finishedAt = Date.now();
+    item.row = buildReportRow(item);
+  }
+}
+
+function startBatch(job) {
+  job.throttle = createHostThrottle({ maxPerHost: job.maxPerHost, delayMs: job.hostDelay * 1000 });
+
+  job.queue = new Queue((item, callback) => {
+    job.throttle.run(item.url, () => analyzeItem(job, item))
+      .then(() => callback(null, { url: item.url }))
+      .catch(callback);
+  }, { concurrent: job.concurrency });
+
+  job.queue.on('drain', () => {
+    if (job.status !== 'running') return;
+    job.status = 'completed';
+    job.finishedAt = Date.now();
+  });
+
+  job.status = 'running';
+  job.startedAt = Date.now();
+
+  const runnable = job.items.filter(item => item.status === 'pending');
+  interleaveByHost(runnable).forEach(item => job.queue.push(item));
+
+  if (runnable.length === 0) {
+    job.status = 'completed';
+    job.finishedAt = Date.now();
+  }
+}
+
+function toItemResult(item) {
+  return {
+    index: item.index,
+    url: item.url,
+    status: item.status,
+    statusCode: item.statusCode,
+    error: item.error,
+    startedAt: item.startedAt,
+    finishedAt: item.finishedAt,
+    report: item.report
+  };
+}
+
+function cancelBatch(job) {
+  job.status = 'cancelled';
+  if (job.queue) job.queue.destroy();
+  if (job.throttle) job.throttle.clear();
+}
+
+router.post('/analyze/batch', (req, res) => {
+  try {
+    const { urls, concurrency, maxPerHost, hostDelay, options = {} } = req.body || {};
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return res.status(400).json({ error: 'Please provide an array of URLs' });
+    }
+    if (urls.length > MAX_URLS) {
+      return res.status(400).json({ error: `A batch can contain at most ${MAX_URLS} URLs` });
+    }
+
+    const { options: analyzeOptions, error } = parseAnalyzeOptions(options);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!reserveJobSlot()) {
+      return res.status(429).json({ error: `At most ${MAX_JOBS} batch jobs can run at once, try again later` });
+    }
+
+    const jobId = uuidv4();
+    const items = urls.map((rawUrl, index) => {
+      const item = {
+        index,
+        url: typeof rawUrl === 'string' ? rawUrl.trim() : String(rawUrl),
+        status: 'pending',
+        statusCode: null,
+        error: null,
+        report: null,
+        row: null,
+        startedAt: null,
+        finishedAt: null
+      };
+
+      // Bad entries fail individually instead of rejecting the whole batch.
+      try {
+        item.url = normalizeTargetUrl(rawUrl);
+      } catch (err) {
+        item.status = 'failed';
+        item.error = err.message;
+        item.statusCode = err.statusCode || null;
+        item.row = buildReportRow(item);
+      }
+
+      return item;
+    });
+
+    const job = {
+      id: jobId,
+      status: 'created',
+      concurrency: toBoundedInt(concurrency, 3, 1, MAX_CONCURRENCY),
+      maxPerHost: toBoundedInt(maxPerHost, 1, 1, MAX_PER_HOST),
+      hostDelay: Math.min(Math.max(parseFloat(hostDelay) || 0, 0), MAX_HOST_DELAY),
+      analyzeOptions,
+      items,
+      queue: null,
+      throttle: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    batchJobs.set(jobId, job);
+    startBatch(job);
+
+    res.json({
+      jobId,
+      message: 'Batch analysis started',
+      totalUrls: items.length,
+      concurrency: job.concurrency,
+      maxPerHost: job.maxPerHost,
+      hostDelay: job.hostDelay
+    });
+  } catch (error) {
+    console.error('Error creating batch analysis:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/analyze/batch/status', (req, res) => {
+  try {
+    const { jobId } = req.query;
+
+    if (!jobId || !batchJobs.has(jobId)) {
+      return res.status(404).json({ error: 'Batch job not found' });
+    }
+
+    const job = batchJobs.get(jobId);
+    const count = (status) => job.items.filter(item => item.status === status).length;
+    const completed = count('completed');
+    const failed = count('failed');
+
+    res.json({
+      jobId,
+      status: job.status,
+      progress: ((completed + failed) / job.items.length) * 100,
+      totalUrls: job.items.length,
+      pendingUrls: count('pending'),
+      runningUrls: count('running'),
+      completedUrls: completed,
+      failedUrls: failed,
+      items: job.items.map(item => ({
+        index: item.index,
+        url: item.url,
+        status: item.status,
+        statusCode: item.statusCode,
+        error: item.error
+      })),
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    });
+  } catch (error) {
+    console.error('Error getting batch analysis status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/analyze/batch/results', (req, res) => {
+  try {
+    const { jobId } = req.query;
+
+    if (!jobId || !batchJobs.has(jobId)) {
+      return res.status(404).json({ error: 'Batch job not found' });
+    }
+
+    const job = batchJobs.get(jobId);
+    const offset = toBoundedInt(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+    const limit = toBoundedInt(req.query.limit, 20, 1, 100);
+
+    res.json({
+      jobId,
+      status: job.status,
+      totalUrls: job.items.length,
+      offset,
+      limit,
+      results: job.items.slice(offset, offset + limit).map(toItemResult)
+    });
+  } catch (error) {
+    console.error('Error getting batch analysis results:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/analyze/batch/export', (req, res) => {
+  try {
+    const { jobId } = req.query;
+    const format = (req.query.format || 'jsonl').toLowerCase();
+
+    if (!jobId || !batchJobs.has(jobId)) {
+      return res.status(404).json({ error: 'Batch job not found' });
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { columns, error } = parseColumns(req.query.columns);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const job = batchJobs.get(jobId);
+    const rows = job.items.filter(item => item.row).map(item => item.row);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="analysis-${jobId}.csv"`);
+      return res.send(toCsv(rows, columns));
+    }
+
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="analysis-${jobId}.jsonl"`);
+    res.send(toJsonLines(rows, columns));
+  } catch (error) {
+    console.error('Error exporting batch analysis:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/analyze/batch/:jobId', (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!batchJobs.has(jobId)) {
+      return res.status(404).json({ error: 'Batch job not found' });
+    }
+
+    cancelBatch(batchJobs.get(jobId));
+    batchJobs.delete(jobId);
+
+    res.json({ message: 'Batch job deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting batch analysis:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [jobId, job] of batchJobs.entries()) {
+    const expired = now - job.createdAt > JOB_TTL || (job.status === 'completed' && now - job.finishedAt > FINISHED_JOB_TTL);
+    if (expired) {
+      cancelBatch(job);
+      batchJobs.delete(jobId);
+    }
+  }
+}, 600000);
+
+module.exports = router;
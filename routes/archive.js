@@ -0,0 +1,71 @@
+const express = require('express');
+const { normalizeTargetUrl, getRandomUserAgent } = require('../lib/analyzer');
+const { parseArchiveLimits, buildArchive, writeZip, writeWarc } = require('../lib/archive');
+const { FetchRejectedError } = require('../lib/safeFetch');
+
+const router = express.Router();
+
+const ARCHIVE_FORMATS = ['zip', 'warc'];
+
+router.get('/archive', async (req, res) => {
+  try {
+    const targetUrl = normalizeTargetUrl(req.query.url);
+    const format = (req.query.format || 'zip').toLowerCase();
+
+    if (!ARCHIVE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${ARCHIVE_FORMATS.join(', ')}` });
+    }
+
+    const { limits, error } = parseArchiveLimits(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const archive = await buildArchive(targetUrl, {
+      ...limits,
+      userAgent: req.query.userAgent || getRandomUserAgent()
+    });
+
+    const hostname = new URL(archive.finalUrl).hostname.replace(/[^\w.-]/g, '_');
+    const timestamp = archive.archivedAt.replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
+    const filename = `${hostname}-${timestamp}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Archive-Files', String(archive.files.length + 1));
+    res.setHeader('X-Archive-Skipped', String(archive.skipped.length));
+
+    if (format === 'warc') {
+      res.setHeader('Content-Type', 'application/warc');
+      return writeWarc(archive, res, filename);
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    const zip = writeZip(archive, res);
+    zip.on('error', err => {
+      console.error('Error creating archive zip:', err);
+      res.destroy(err);
+    });
+  } catch (error) {
+    if (error instanceof FetchRejectedError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('Error archiving website:', error.message);
+
+    const errorResponse = {
+      error: 'Failed to archive website',
+      details: error.message
+    };
+
+    if (error.response) {
+      errorResponse.statusCode = error.response.status;
+      errorResponse.statusText = error.response.statusText;
+    } else if (error.request) {
+      errorResponse.networkError = true;
+    }
+
+    res.status(500).json(errorResponse);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,330 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const Queue = require('better-queue');
+const {
+  normalizeTargetUrl,
+  parseAnalyzeOptions,
+  fetchPage,
+  analyzePage
+} = require('../lib/analyzer');
+const { CRAWLER_TOKEN, CRAWLER_USER_AGENT, fetchRobots } = require('../lib/robots');
+const { fetchSitemapUrls } = require('../lib/sitemap');
+const { extractLinks } = require('../lib/links');
+const { FetchRejectedError, assertSafeUrl } = require('../lib/safeFetch');
+
+const router = express.Router();
+
+const MAX_DEPTH = 10;
+const MAX_PAGES = 1000;
+const MAX_CRAWL_DELAY = 30;
+const MAX_CONCURRENCY = 5;
+
+const crawlJobs = new Map();
+
+function enqueuePage(crawl, pageUrl, depth) {
+  if (crawl.seen.has(pageUrl) || crawl.seen.size >= crawl.maxPages) return false;
+
+  let parsed;
+  try {
+    parsed = new URL(pageUrl);
+  } catch (e) {
+    return false;
+  }
+
+  if (parsed.origin !== crawl.origin) return false;
+
+  if (crawl.robots && !crawl.robots.isAllowed(`${parsed.pathname}${parsed.search}`)) {
+    if (!crawl.skipped.some(entry => entry.url === pageUrl)) {
+      crawl.skipped.push({ url: pageUrl, reason: 'Disallowed by robots.txt' });
+    }
+    return false;
+  }
+
+  crawl.seen.add(pageUrl);
+  crawl.queue.push({ url: pageUrl, depth });
+  return true;
+}
+
+async function crawlPage(crawl, task) {
+  if (crawl.status === 'cancelled') return;
+
+  try {
+    const page = await fetchPage(task.url, crawl.analyzeOptions);
+    const contentType = String(page.headers['content-type'] || '');
+
+    if (contentType && !contentType.includes('html')) {
+      crawl.skipped.push({ url: task.url, reason: `Not an HTML page (${contentType})` });
+      return;
+    }
+
+    const { $, report } = await analyzePage(task.url, page, crawl.analyzeOptions);
+
+    crawl.pages.push({
+      url: task.url,
+      depth: task.depth,
+      crawledAt: Date.now(),
+      report
+    });
+
+    if (task.depth < crawl.maxDepth) {
+      extractLinks($, page.url).forEach(link => enqueuePage(crawl, link, task.depth + 1));
+    }
+  } catch (error) {
+    // Plain fetches reject non-HTML responses before the body is read.
+    if (error instanceof FetchRejectedError && error.statusCode === 415) {
+      crawl.skipped.push({ url: task.url, reason: `Not an HTML page (${error.contentType})` });
+      return;
+    }
+
+    console.error(`Error crawling ${task.url}:`, error.message);
+    crawl.errors.push({
+      url: task.url,
+      depth: task.depth,
+      error: error.message,
+      statusCode: error.response ? error.response.status : null
+    });
+  } finally {
+    crawl.processedPages++;
+  }
+}
+
+async function startCrawl(crawl) {
+  crawl.status = 'initializing';
+  const { userAgent } = crawl.analyzeOptions;
+
+  if (crawl.respectRobots) {
+    // A caller-supplied user agent is what the site sees, so robots.txt is matched against it.
+    const token = userAgent === CRAWLER_USER_AGENT ? CRAWLER_TOKEN : userAgent;
+    crawl.robots = await fetchRobots(crawl.origin, userAgent, token);
+  }
+
+  const robotsDelay = crawl.robots && crawl.robots.crawlDelay ? crawl.robots.crawlDelay : 0;
+  crawl.crawlDelay = Math.min(Math.max(crawl.requestedDelay, robotsDelay), MAX_CRAWL_DELAY);
+
+  crawl.queue = new Queue((task, callback) => {
+    crawlPage(crawl, task)
+      .then(() => callback(null, { url: task.url }))
+      .catch(callback);
+  }, {
+    concurrent: crawl.crawlDelay > 0 ? 1 : crawl.concurrency,
+    afterProcessDelay: crawl.crawlDelay * 1000
+  });
+
+  crawl.queue.on('drain', () => {
+    if (crawl.status !== 'running') return;
+    crawl.status = 'completed';
+    crawl.finishedAt = Date.now();
+  });
+
+  // Sitemap URLs are queued before the seed so the queue cannot drain early.
+  if (crawl.useSitemap) {
+    const sitemapUrls = crawl.robots && crawl.robots.sitemaps.length > 0
+      ? crawl.robots.sitemaps
+      : [`${crawl.origin}/sitemap.xml`];
+
+    const pageUrls = await fetchSitemapUrls(sitemapUrls, userAgent, crawl.maxPages);
+    crawl.sitemapPages = pageUrls.length;
+
+    if (crawl.status === 'cancelled') return;
+
+    crawl.status = 'running';
+    crawl.startedAt = Date.now();
+    enqueuePage(crawl, crawl.seedUrl, 0);
+
+    if (crawl.maxDepth > 0) {
+      pageUrls.forEach(pageUrl => enqueuePage(crawl, pageUrl, 1));
+    }
+  } else {
+    crawl.status = 'running';
+    crawl.startedAt = Date.now();
+    enqueuePage(crawl, crawl.seedUrl, 0);
+  }
+
+  if (crawl.seen.size === 0) {
+    crawl.status = 'completed';
+    crawl.finishedAt = Date.now();
+  }
+}
+
+function toBoundedInt(value, fallback, min, max) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) return fallback;
+  return Math.min(Math.max(parsed, min), max);
+}
+
+router.post('/crawl/start', async (req, res) => {
+  try {
+    const {
+      url,
+      maxDepth,
+      maxPages,
+      crawlDelay,
+      concurrency,
+      respectRobots = true,
+      useSitemap = true,
+      options = {}
+    } = req.body || {};
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ error: 'Please provide a seed URL' });
+    }
+
+    const seedUrl = normalizeTargetUrl(url);
+    const { origin } = await assertSafeUrl(seedUrl);
+
+    const { options: analyzeOptions, error } = parseAnalyzeOptions(options);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const crawlId = uuidv4();
+    const crawl = {
+      id: crawlId,
+      seedUrl,
+      origin,
+      status: 'created',
+      maxDepth: toBoundedInt(maxDepth, 2, 0, MAX_DEPTH),
+      maxPages: toBoundedInt(maxPages, 50, 1, MAX_PAGES),
+      requestedDelay: Math.min(Math.max(parseFloat(crawlDelay) || 0, 0), MAX_CRAWL_DELAY),
+      crawlDelay: 0,
+      concurrency: toBoundedInt(concurrency, 2, 1, MAX_CONCURRENCY),
+      respectRobots: respectRobots !== false && respectRobots !== 'false',
+      useSitemap: useSitemap !== false && useSitemap !== 'false',
+      // Crawls identify themselves so robots.txt groups for site-analyzer apply to what is fetched.
+      analyzeOptions: { ...analyzeOptions, userAgent: analyzeOptions.userAgent || CRAWLER_USER_AGENT },
+      robots: null,
+      queue: null,
+      seen: new Set(),
+      pages: [],
+      errors: [],
+      skipped: [],
+      sitemapPages: 0,
+      processedPages: 0,
+      error: null,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    crawlJobs.set(crawlId, crawl);
+
+    startCrawl(crawl).catch(err => {
+      console.error(`Error starting crawl ${crawlId}:`, err);
+      crawl.status = 'failed';
+      crawl.error = err.message;
+      crawl.finishedAt = Date.now();
+    });
+
+    res.json({
+      crawlId,
+      message: 'Crawl started',
+      seedUrl,
+      maxDepth: crawl.maxDepth,
+      maxPages: crawl.maxPages
+    });
+  } catch (error) {
+    if (error instanceof FetchRejectedError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Error creating crawl job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/crawl/status', (req, res) => {
+  try {
+    const { crawlId } = req.query;
+
+    if (!crawlId || !crawlJobs.has(crawlId)) {
+      return res.status(404).json({ error: 'Crawl job not found' });
+    }
+
+    const crawl = crawlJobs.get(crawlId);
+    const discovered = crawl.seen.size;
+
+    res.json({
+      crawlId,
+      status: crawl.status,
+      seedUrl: crawl.seedUrl,
+      progress: discovered > 0 ? (crawl.processedPages / discovered) * 100 : 0,
+      maxDepth: crawl.maxDepth,
+      maxPages: crawl.maxPages,
+      crawlDelay: crawl.crawlDelay,
+      discoveredPages: discovered,
+      crawledPages: crawl.pages.length,
+      failedPages: crawl.errors.length,
+      skippedPages: crawl.skipped.length,
+      pendingPages: discovered - crawl.processedPages,
+      sitemapPages: crawl.sitemapPages,
+      error: crawl.error,
+      createdAt: crawl.createdAt,
+      startedAt: crawl.startedAt,
+      finishedAt: crawl.finishedAt
+    });
+  } catch (error) {
+    console.error('Error getting crawl status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/crawl/results', (req, res) => {
+  try {
+    const { crawlId } = req.query;
+
+    if (!crawlId || !crawlJobs.has(crawlId)) {
+      return res.status(404).json({ error: 'Crawl job not found' });
+    }
+
+    const crawl = crawlJobs.get(crawlId);
+    const offset = toBoundedInt(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+    const limit = toBoundedInt(req.query.limit, 20, 1, 100);
+
+    res.json({
+      crawlId,
+      status: crawl.status,
+      totalPages: crawl.pages.length,
+      offset,
+      limit,
+      pages: crawl.pages.slice(offset, offset + limit),
+      errors: crawl.errors,
+      skipped: crawl.skipped
+    });
+  } catch (error) {
+    console.error('Error getting crawl results:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/crawl/:crawlId', (req, res) => {
+  try {
+    const { crawlId } = req.params;
+
+    if (!crawlId || !crawlJobs.has(crawlId)) {
+      return res.status(404).json({ error: 'Crawl job not found' });
+    }
+
+    const crawl = crawlJobs.get(crawlId);
+    crawl.status = 'cancelled';
+    if (crawl.queue) crawl.queue.destroy();
+
+    crawlJobs.delete(crawlId);
+
+    res.json({ message: 'Crawl job deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting crawl job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [crawlId, crawl] of crawlJobs.entries()) {
+    if (now - crawl.createdAt > 6 * 3600000) {
+      crawl.status = 'cancelled';
+      if (crawl.queue) crawl.queue.destroy();
+      crawlJobs.delete(crawlId);
+    }
+  }
+}, 6 * 3600000);
+
+module.exports = router;
@@ -0,0 +1,394 @@
+const express = require('express');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const {
+  normalizeTargetUrl,
+  parseAnalyzeOptions,
+  fetchPage,
+  analyzePage
+} = require('../lib/analyzer');
+const { FetchRejectedError, assertSafeUrl, safeRequest } = require('../lib/safeFetch');
+const { hasCredentials } = require('../lib/requestOptions');
+const { diffSnapshots } = require('../lib/diff');
+const store = require('../lib/monitorStore');
+
+const router = express.Router();
+
+const MIN_INTERVAL_MINUTES = 5;
+const MAX_SNAPSHOTS = parseInt(process.env.MONITOR_MAX_SNAPSHOTS, 10) || 100;
+const BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, td, th, dt, dd, pre, blockquote, figcaption, caption, label, button, summary';
+
+const runningMonitors = new Set();
+
+function extractTextLines($) {
+  const body = $('body').clone();
+  body.find('script, style, noscript, template, svg').remove();
+
+  const lines = [];
+  body.find(BLOCK_SELECTOR).each((_, element) => {
+    if ($(element).find(BLOCK_SELECTOR).length > 0) return;
+    const text = $(element).text().replace(/\s+/g, ' ').trim();
+    if (text) lines.push(text);
+  });
+
+  if (lines.length === 0) {
+    const text = body.text().replace(/\s+/g, ' ').trim();
+    if (text) lines.push(text);
+  }
+
+  return lines;
+}
+
+async function takeSnapshot(monitor) {
+  const snapshot = {
+    id: uuidv4(),
+    monitorId: monitor.id,
+    takenAt: Date.now(),
+    url: monitor.url,
+    finalUrl: null,
+    statusCode: null,
+    title: null,
+    text: [],
+    scripts: [],
+    stylesheets: [],
+    metaTags: {},
+    headers: {},
+    error: null
+  };
+
+  try {
+    const page = await fetchPage(monitor.url, monitor.analyzeOptions);
+    const { $, report } = await analyzePage(monitor.url, page, monitor.analyzeOptions);
+
+    Object.assign(snapshot, {
+      finalUrl: report.finalUrl,
+      statusCode: report.statusCode,
+      title: report.title,
+      text: extractTextLines($),
+      scripts: report.scripts,
+      stylesheets: report.stylesheets,
+      metaTags: report.metaTags,
+      headers: JSON.parse(JSON.stringify(report.headers || {}))
+    });
+  } catch (error) {
+    snapshot.error = error.message;
+    snapshot.statusCode = error.response ? error.response.status : null;
+  }
+
+  return snapshot;
+}
+
+async function sendWebhook(monitor, diff) {
+  const payload = {
+    event: 'monitor.changed',
+    monitorId: monitor.id,
+    url: monitor.url,
+    threshold: monitor.threshold,
+    changeScore: diff.changeScore,
+    fromSnapshotId: diff.fromSnapshotId,
+    toSnapshotId: diff.toSnapshotId,
+    summary: diff.summary,
+    sentAt: new Date().toISOString()
+  };
+
+  try {
+    const response = await safeRequest(monitor.webhookUrl, {
+      method: 'post',
+      data: payload,
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 10000,
+      responseType: 'text'
+    });
+    return { sentAt: Date.now(), statusCode: response.status, error: null };
+  } catch (error) {
+    console.error(`Error sending webhook for monitor ${monitor.id}:`, error.message);
+    return { sentAt: Date.now(), statusCode: error.response ? error.response.status : null, error: error.message };
+  }
+}
+
+async function runMonitor(monitorId) {
+  if (runningMonitors.has(monitorId)) return null;
+  runningMonitors.add(monitorId);
+
+  try {
+    const monitor = store.getMonitor(monitorId);
+    if (!monitor) return null;
+
+    const snapshot = await takeSnapshot(monitor);
+    store.saveSnapshot(snapshot);
+
+    // Diff against the last successful snapshot so a single failed run does not count as a change.
+    const previousEntry = [...monitor.snapshots].reverse().find(entry => !entry.error);
+    let diff = null;
+
+    if (previousEntry && !snapshot.error) {
+      const previous = store.getSnapshot(monitorId, previousEntry.id);
+      if (previous) diff = diffSnapshots(previous, snapshot);
+    }
+
+    // The monitor may have been deleted while the page was loading.
+    const current = store.getMonitor(monitorId);
+    if (!current) {
+      store.deleteSnapshot(monitorId, snapshot.id);
+      return null;
+    }
+
+    current.snapshots.push({
+      id: snapshot.id,
+      takenAt: snapshot.takenAt,
+      statusCode: snapshot.statusCode,
+      changeScore: diff ? diff.changeScore : null,
+      error: snapshot.error
+    });
+
+    while (current.snapshots.length > MAX_SNAPSHOTS) {
+      const removed = current.snapshots.shift();
+      store.deleteSnapshot(monitorId, removed.id);
+    }
+
+    current.lastRunAt = snapshot.takenAt;
+    current.nextRunAt = snapshot.takenAt + current.intervalMinutes * 60000;
+    current.lastError = snapshot.error;
+
+    if (diff && diff.changed) {
+      current.lastChangeAt = snapshot.takenAt;
+
+      if (current.webhookUrl && diff.changeScore >= current.threshold) {
+        current.lastWebhook = await sendWebhook(current, diff);
+      }
+    }
+
+    store.saveMonitor(current);
+    return { snapshot, diff };
+  } finally {
+    runningMonitors.delete(monitorId);
+  }
+}
+
+function toMonitorSummary(monitor) {
+  return {
+    id: monitor.id,
+    url: monitor.url,
+    intervalMinutes: monitor.intervalMinutes,
+    threshold: monitor.threshold,
+    webhookUrl: monitor.webhookUrl,
+    createdAt: monitor.createdAt,
+    lastRunAt: monitor.lastRunAt,
+    nextRunAt: monitor.nextRunAt,
+    lastChangeAt: monitor.lastChangeAt,
+    lastError: monitor.lastError,
+    lastWebhook: monitor.lastWebhook,
+    snapshotCount: monitor.snapshots.length
+  };
+}
+
+function sendRejection(res, error) {
+  return res.status(error.statusCode).json({ error: error.message });
+}
+
+router.post('/monitors', async (req, res) => {
+  try {
+    const { url, intervalMinutes, threshold, webhookUrl, options = {} } = req.body || {};
+
+    const targetUrl = normalizeTargetUrl(url);
+    await assertSafeUrl(targetUrl);
+
+    if (webhookUrl) {
+      await assertSafeUrl(webhookUrl);
+    }
+
+    const { options: analyzeOptions, error } = parseAnalyzeOptions(options);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    // Monitors are saved to disk as plain JSON, so secrets have no safe place to live.
+    if (hasCredentials(analyzeOptions.request)) {
+      return res.status(400).json({ error: 'Monitors cannot use request.auth, cookies, credential headers or proxy credentials' });
+    }
+
+    const interval = parseInt(intervalMinutes, 10) || 60;
+    if (interval < MIN_INTERVAL_MINUTES) {
+      return res.status(400).json({ error: `intervalMinutes must be at least ${MIN_INTERVAL_MINUTES}` });
+    }
+
+    const changeThreshold = threshold === undefined ? 5 : parseFloat(threshold);
+    if (Number.isNaN(changeThreshold) || changeThreshold < 0 || changeThreshold > 100) {
+      return res.status(400).json({ error: 'threshold must be between 0 and 100' });
+    }
+
+    const monitor = store.saveMonitor({
+      id: uuidv4(),
+      url: targetUrl,
+      intervalMinutes: interval,
+      threshold: changeThreshold,
+      webhookUrl: webhookUrl || null,
+      analyzeOptions,
+      createdAt: Date.now(),
+      lastRunAt: null,
+      nextRunAt: Date.now(),
+      lastChangeAt: null,
+      lastError: null,
+      lastWebhook: null,
+      snapshots: []
+    });
+
+    runMonitor(monitor.id).catch(err => console.error(`Error running monitor ${monitor.id}:`, err));
+
+    res.json({
+      monitorId: monitor.id,
+      message: 'Monitor created',
+      monitor: toMonitorSummary(monitor)
+    });
+  } catch (error) {
+    if (error instanceof FetchRejectedError) return sendRejection(res, error);
+    console.error('Error creating monitor:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/monitors', (req, res) => {
+  try {
+    res.json({ monitors: store.listMonitors().map(toMonitorSummary) });
+  } catch (error) {
+    console.error('Error listing monitors:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Monitor ids double as file keys in the store, so anything that is not one of our UUIDs is a 404.
+router.param('monitorId', (req, res, next, monitorId) => {
+  if (!isUuid(monitorId)) {
+    return res.status(404).json({ error: 'Monitor not found' });
+  }
+  next();
+});
+
+router.get('/monitors/:monitorId', (req, res) => {
+  try {
+    const monitor = store.getMonitor(req.params.monitorId);
+    if (!monitor) {
+      return res.status(404).json({ error: 'Monitor not found' });
+    }
+
+    res.json(toMonitorSummary(monitor));
+  } catch (error) {
+    console.error('Error getting monitor:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/monitors/:monitorId/run', async (req, res) => {
+  try {
+    const { monitorId } = req.params;
+    if (!store.getMonitor(monitorId)) {
+      return res.status(404).json({ error: 'Monitor not found' });
+    }
+    if (runningMonitors.has(monitorId)) {
+      return res.status(409).json({ error: 'Monitor is already running' });
+    }
+
+    const result = await runMonitor(monitorId);
+    if (!result) {
+      return res.status(404).json({ error: 'Monitor not found' });
+    }
+
+    res.json({
+      snapshotId: result.snapshot.id,
+      error: result.snapshot.error,
+      diff: result.diff
+    });
+  } catch (error) {
+    console.error('Error running monitor:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/monitors/:monitorId/snapshots', (req, res) => {
+  try {
+    const monitor = store.getMonitor(req.params.monitorId);
+    if (!monitor) {
+      return res.status(404).json({ error: 'Monitor not found' });
+    }
+
+    res.json({
+      monitorId: monitor.id,
+      url: monitor.url,
+      snapshots: monitor.snapshots
+    });
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/monitors/:monitorId/snapshots/:snapshotId', (req, res) => {
+  try {
+    const { monitorId, snapshotId } = req.params;
+    const monitor = store.getMonitor(monitorId);
+
+    if (!monitor || !monitor.snapshots.some(entry => entry.id === snapshotId)) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    res.json(store.getSnapshot(monitorId, snapshotId));
+  } catch (error) {
+    console.error('Error getting snapshot:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/monitors/:monitorId/diff', (req, res) => {
+  try {
+    const monitor = store.getMonitor(req.params.monitorId);
+    if (!monitor) {
+      return res.status(404).json({ error: 'Monitor not found' });
+    }
+
+    const successful = monitor.snapshots.filter(entry => !entry.error);
+    const toId = req.query.to || (successful[successful.length - 1] || {}).id;
+    const fromId = req.query.from || (successful[successful.length - 2] || {}).id;
+
+    if (!fromId || !toId) {
+      return res.status(400).json({ error: 'At least two snapshots are needed for a diff' });
+    }
+
+    const ids = monitor.snapshots.map(entry => entry.id);
+    if (!ids.includes(fromId) || !ids.includes(toId)) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    const from = store.getSnapshot(monitor.id, fromId);
+    const to = store.getSnapshot(monitor.id, toId);
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    res.json(diffSnapshots(from, to));
+  } catch (error) {
+    console.error('Error diffing snapshots:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/monitors/:monitorId', (req, res) => {
+  try {
+    if (!store.deleteMonitor(req.params.monitorId)) {
+      return res.status(404).json({ error: 'Monitor not found' });
+    }
+
+    res.json({ message: 'Monitor deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting monitor:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+setInterval(() => {
+  const now = Date.now();
+  store.listMonitors().forEach(monitor => {
+    if (monitor.nextRunAt <= now && !runningMonitors.has(monitor.id)) {
+      runMonitor(monitor.id).catch(err => console.error(`Error running monitor ${monitor.id}:`, err));
+    }
+  });
+}, 60000);
+
+module.exports = router;
@@ -7,7 +7,38 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const Queue = require('better-queue');
-const archiver = require('archiver');
+const {
+  parseClipOptions,
+  fitClipToDuration,
+  clipLabel,
+  clipInputOptions,
+  clipOutputOptions,
+  clipProgressPercent,
+  downloadFormat,
+  downloadFormats
+} = require('../lib/clip');
+const { parseAudioOptions, audioTarget, chooseAudioSource, transcodeAudio } = require('../lib/audio');
+const { parseOutputOptions, outputTarget, planStreams, chooseMergeAudio } = require('../lib/container');
+const {
+  listCaptionTracks,
+  parseSubtitleOptions,
+  resolveSubtitles,
+  writeSubtitleFiles,
+  applySubtitles
+} = require('../lib/captions');
+const {
+  parseChapters,
+  parseChapterOptions,
+  clipChapters,
+  writeChapterMetadata,
+  applyChapters,
+  splitByChapters
+} = require('../lib/chapters');
+const { sendZip } = require('../lib/zip');
+const { DEFAULT_FORMAT, parseFormatOption, selectFormats, selectionItags } = require('../lib/formatSelector');
+const { parseConnectionOptions } = require('../lib/chunkedDownload');
+const { PlaylistTooLongError, parsePlaylistUrl, parsePlaylistOptions, expandPlaylist } = require('../lib/playlist');
+const { mapWithConcurrency } = require('../lib/pool');
 
 const router = express.Router();
 
@@ -20,6 +51,10 @@ if (!fs.existsSync(tempDir)) {
 
 const batchJobs = new Map();
 
+const MAX_BATCH_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 1000;
+const PLAYLIST_CONCURRENCY = 3;
+const INFO_CONCURRENCY = 6;
+
 const downloadQueue = new Queue(async function(task, callback) {
   try {
     await processDownloadItem(task);
@@ -46,56 +81,172 @@ function cleanupFiles(filePaths) {
   }
 }
 
+// Playlist, channel and mix URLs turn into one item per video; everything else stays a single item.
+// Videos a playlist option had to skip become failed items carrying the reason.
+async function expandBatch(batchJob, urls, entryOptions) {
+  const expanded = await mapWithConcurrency(urls, PLAYLIST_CONCURRENCY, async (entry, index) => {
+    const url = entry && typeof entry === 'object' ? entry.url : entry;
+    const { expansion } = entryOptions[index];
+    const source = typeof url === 'string' ? parsePlaylistUrl(url, { expandWatch: expansion.expandWatch }) : null;
+    
+    if (!source) {
+      const valid = typeof url === 'string' && ytdl.validateURL(url);
+      return { url, entries: [{ url, error: valid ? null : 'Invalid YouTube URL' }] };
+    }
+    
+    try {
+      const list = await expandPlaylist(source, expansion);
+      if (list.entries.length === 0 && list.skipped.length === 0) {
+        return { url, entries: [{ url, error: `No videos in ${list.title} match the playlist options` }] };
+      }
+      
+      const lastIndex = Math.max(...[...list.entries, ...list.skipped].map(video => video.index));
+      const toEntry = video => ({
+        url: video.url,
+        error: video.error || null,
+        playlist: { id: list.id, type: list.type, title: list.title, index: video.index, lastIndex }
+      });
+      return { url, list, entries: [...list.entries.map(toEntry), ...list.skipped.map(toEntry)] };
+    } catch (error) {
+      if (error instanceof PlaylistTooLongError) {
+        throw new Error(`${url}: ${error.message}`);
+      }
+      console.error(`Error expanding ${url}:`, error);
+      return { url, entries: [{ url, error: `Could not list ${source.type}: ${error.message}` }] };
+    }
+  });
+  
+  const expandedItems = expanded.reduce((sum, result) => sum + result.entries.length, 0);
+  if (expandedItems > MAX_BATCH_ITEMS) {
+    throw new Error(`The URLs expand to ${expandedItems} items, more than the ${MAX_BATCH_ITEMS} a batch can hold; narrow playlists down with items or maxCount`);
+  }
+  
+  expanded.forEach(({ entries }, index) => {
+    entries.forEach(entry => {
+      const id = `${batchJob.id}-${batchJob.items.length}`;
+      
+      if (entry.error) {
+        batchJob.items.push({
+          id,
+          url: entry.url,
+          status: 'error',
+          error: entry.error,
+          progress: 0,
+          playlist: entry.playlist || null
+        });
+        batchJob.failedItems++;
+        return;
+      }
+      
+      batchJob.items.push({
+        id,
+        url: entry.url,
+        status: 'pending',
+        progress: 0,
+        format: entryOptions[index].format,
+        itags: null,
+        clip: entryOptions[index].clip,
+        audio: entryOptions[index].audio,
+        output: entryOptions[index].output,
+        subtitles: entryOptions[index].subtitles,
+        chapters: entryOptions[index].chapters,
+        connections: entryOptions[index].connections,
+        playlist: entry.playlist || null,
+        error: null,
+        info: null,
+        outputPath: null,
+        chapterFiles: null
+      });
+    });
+  });
+  
+  batchJob.totalItems = batchJob.items.length;
+  batchJob.playlists = expanded
+    .filter(result => result.list)
+    .map(result => ({
+      url: result.url,
+      type: result.list.type,
+      title: result.list.title,
+      items: result.entries.length,
+      skipped: result.list.skipped.length
+    }));
+  batchJob.status = 'created';
+}
+
 router.post('/batch/create', (req, res) => {
   try {
-    const { urls, defaultFormat } = req.body;
+    const {
+      urls, defaultFormat, audio, bitrate, quality, album, container, profile, subtitles, subtitleMode, chapters,
+      connections, playlist, items, order, dateAfter, dateBefore, maxCount
+    } = req.body;
     
     if (!Array.isArray(urls) || urls.length === 0) {
       return res.status(400).json({ error: 'Please provide an array of URLs' });
     }
+    if (urls.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({ error: `A batch can hold at most ${MAX_BATCH_ITEMS} items` });
+    }
     
     const batchId = uuidv4();
     const batchJob = {
       id: batchId,
       items: [],
-      status: 'created',
+      status: 'expanding',
       progress: 0,
       createdAt: Date.now(),
-      totalItems: urls.length,
+      totalItems: 0,
       completedItems: 0,
-      failedItems: 0
+      failedItems: 0,
+      playlists: [],
+      error: null
     };
     
-    urls.forEach((url, index) => {
-      if (typeof url === 'string' && ytdl.validateURL(url)) {
-        batchJob.items.push({
-          id: `${batchId}-${index}`,
-          url,
-          status: 'pending',
-          progress: 0,
-          format: defaultFormat || null,
-          error: null,
-          info: null,
-          outputPath: null
-        });
-      } else {
-        batchJob.items.push({
-          id: `${batchId}-${index}`,
-          url: url,
-          status: 'error',
-          error: 'Invalid YouTube URL',
-          progress: 0
-        });
-        batchJob.failedItems++;
+    // Entries are either a URL string or an object with the URL plus per-item format, clip (start, end, accurate),
+    // audio (audio, bitrate, quality, album), output (container, profile), subtitle, chapter (embed or split),
+    // connection and playlist settings.
+    const defaults = {
+      format: defaultFormat, audio, bitrate, quality, album, container, profile, subtitles, subtitleMode, chapters,
+      connections, playlist, items, order, dateAfter, dateBefore, maxCount
+    };
+    const entryOptions = urls.map(entry => {
+      const settings = { ...defaults, ...(entry && typeof entry === 'object' ? entry : {}) };
+      const parsed = [
+        parseFormatOption(settings),
+        parseClipOptions(settings),
+        parseAudioOptions(settings),
+        parseOutputOptions(settings),
+        parseSubtitleOptions(settings),
+        parseChapterOptions(settings),
+        parseConnectionOptions(settings),
+        parsePlaylistOptions(settings)
+      ];
+      const options = Object.assign({}, ...parsed, { error: parsed.map(result => result.error).find(Boolean) });
+      if (!options.error && options.audio && options.subtitles) {
+        options.error = 'Subtitles can only be added to video downloads';
       }
+      return options;
     });
     
+    const invalidIndex = entryOptions.findIndex(options => options.error);
+    if (invalidIndex !== -1) {
+      const entry = urls[invalidIndex];
+      const label = entry && typeof entry === 'object' ? entry.url : entry;
+      return res.status(400).json({ error: `${label}: ${entryOptions[invalidIndex].error}` });
+    }
+    
     batchJobs.set(batchId, batchJob);
     
+    // Listing playlists, and reading publish dates for date options, can take minutes, so it runs in the job.
+    expandBatch(batchJob, urls, entryOptions).catch(error => {
+      console.error(`Error expanding batch ${batchId}:`, error);
+      batchJob.status = 'failed';
+      batchJob.error = error.message;
+    });
+    
     res.json({ 
       batchId, 
-      message: 'Batch download job created',
-      totalItems: batchJob.totalItems
+      status: batchJob.status,
+      message: 'Batch download job created'
     });
   } catch (error) {
     console.error('Error creating batch job:', error);
@@ -112,56 +263,61 @@ router.get('/batch/info', async (req, res) => {
     }
     
     const batchJob = batchJobs.get(batchId);
+    if (batchJob.status === 'expanding') {
+      return res.status(409).json({ error: 'Batch is still expanding playlists, see /batch/status' });
+    }
     batchJob.status = 'fetching_info';
     
-    const fetchPromises = batchJob.items
-      .filter(item => item.status === 'pending')
-      .map(async (item) => {
-        try {
-          item.status = 'fetching_info';
-          const info = await ytdl.getInfo(item.url);
-          
-          const formats = info.formats
-            .filter(f => f.qualityLabel || f.audioQuality)
-            .map(format => ({
-              itag: format.itag,
-              qualityLabel: format.qualityLabel || 'Audio',
-              container: format.container,
-              hasVideo: format.hasVideo,
-              hasAudio: format.hasAudio,
-              audioQuality: format.audioQuality,
-              contentLength: format.contentLength
-            }))
-            .sort((a, b) => {
-              const aQuality = parseInt(a.qualityLabel) || 0;
-              const bQuality = parseInt(b.qualityLabel) || 0;
-              return bQuality - aQuality;
-            });
-          
-          item.info = {
-            title: info.videoDetails.title,
-            formats,
-            thumbnail: info.videoDetails.thumbnails[0].url,
-            author: info.videoDetails.author,
-            lengthSeconds: info.videoDetails.lengthSeconds
-          };
-          
-          if (!item.format && formats.length > 0) {
-            item.format = formats.find(f => f.hasVideo && f.hasAudio)?.itag || formats[0].itag;
-          }
-          
-          item.status = 'ready';
-          return { success: true, id: item.id };
-        } catch (error) {
-          console.error(`Error fetching info for ${item.url}:`, error);
-          item.status = 'error';
-          item.error = error.message || 'Failed to fetch video info';
-          batchJob.failedItems++;
-          return { success: false, id: item.id, error: error.message };
+    // Expanded playlists can hold hundreds of items, so only a few are looked up at a time.
+    const pendingItems = batchJob.items.filter(item => item.status === 'pending');
+    await mapWithConcurrency(pendingItems, INFO_CONCURRENCY, async (item) => {
+      try {
+        item.status = 'fetching_info';
+        const info = await ytdl.getInfo(item.url);
+        
+        const formats = info.formats
+          .filter(f => f.qualityLabel || f.audioQuality)
+          .map(format => ({
+            itag: format.itag,
+            qualityLabel: format.qualityLabel || 'Audio',
+            container: format.container,
+            hasVideo: format.hasVideo,
+            hasAudio: format.hasAudio,
+            audioQuality: format.audioQuality,
+            contentLength: format.contentLength
+          }))
+          .sort((a, b) => {
+            const aQuality = parseInt(a.qualityLabel) || 0;
+            const bQuality = parseInt(b.qualityLabel) || 0;
+            return bQuality - aQuality;
+          });
+        
+        item.info = {
+          title: info.videoDetails.title,
+          formats,
+          thumbnail: info.videoDetails.thumbnails[0].url,
+          author: info.videoDetails.author,
+          lengthSeconds: info.videoDetails.lengthSeconds,
+          captions: listCaptionTracks(info),
+          chapters: parseChapters(info)
+        };
+        
+        const { selection, error: selectionError } = selectFormats(info.formats, item.format || DEFAULT_FORMAT);
+        if (selectionError) {
+          throw new Error(selectionError);
         }
-      });
-    
-    await Promise.all(fetchPromises);
+        item.itags = selectionItags(selection);
+        
+        item.status = 'ready';
+        return { success: true, id: item.id };
+      } catch (error) {
+        console.error(`Error fetching info for ${item.url}:`, error);
+        item.status = 'error';
+        item.error = error.message || 'Failed to fetch video info';
+        batchJob.failedItems++;
+        return { success: false, id: item.id, error: error.message };
+      }
+    });
     
     const readyCount = batchJob.items.filter(item => item.status === 'ready').length;
     const errorCount = batchJob.items.filter(item => item.status === 'error').length;
@@ -185,21 +341,43 @@ router.get('/batch/info', async (req, res) => {
 
 router.post('/batch/download', (req, res) => {
   try {
-    const { batchId, formats } = req.body;
+    const { batchId, formats, clips } = req.body;
     
     if (!batchId || !batchJobs.has(batchId)) {
       return res.status(404).json({ error: 'Batch job not found' });
     }
     
     const batchJob = batchJobs.get(batchId);
+    if (batchJob.status === 'expanding') {
+      return res.status(409).json({ error: 'Batch is still expanding playlists, see /batch/status' });
+    }
     
-    if (formats && typeof formats === 'object') {
-      Object.entries(formats).forEach(([itemId, formatItag]) => {
+    if (clips && typeof clips === 'object') {
+      for (const [itemId, clipSettings] of Object.entries(clips)) {
         const item = batchJob.items.find(i => i.id === itemId);
+        const { clip, error } = parseClipOptions(clipSettings || {});
+        if (error) {
+          return res.status(400).json({ error: `${itemId}: ${error}` });
+        }
         if (item && item.status === 'ready') {
-          item.format = parseInt(formatItag);
+          item.clip = clip;
         }
-      });
+      }
+    }
+    
+    if (formats && typeof formats === 'object') {
+      for (const [itemId, expression] of Object.entries(formats)) {
+        const item = batchJob.items.find(i => i.id === itemId);
+        const { format, error } = parseFormatOption({ format: expression });
+        if (error) {
+          return res.status(400).json({ error: `${itemId}: ${error}` });
+        }
+        if (item && item.status === 'ready' && format) {
+          // Resolved against the full format list once the item is processed.
+          item.format = format;
+          item.itags = null;
+        }
+      }
     }
     
     batchJob.status = 'downloading';
@@ -213,6 +391,12 @@ router.post('/batch/download', (req, res) => {
           jobId: item.id,
           url: item.url,
           format: item.format,
+          clip: item.clip,
+          audio: item.audio,
+          output: item.output,
+          subtitles: item.subtitles,
+          chapters: item.chapters,
+          connections: item.connections,
           batchId,
           itemId: item.id
         });
@@ -245,102 +429,152 @@ async function processDownloadItem(task) {
     throw new Error('Item not found in batch');
   }
   
+  const chapterMetadataPath = path.join(tempDir, `${jobId}-chapters.txt`);
+  let subtitleFiles = [];
+  
   try {
     item.status = 'downloading';
     
     const info = await ytdl.getInfo(url);
-    const selectedFormat = info.formats.find(f => f.itag === parseInt(format));
+    const { selection, error: selectionError } = selectFormats(info.formats, format || DEFAULT_FORMAT);
+    
+    if (selectionError) {
+      throw new Error(selectionError);
+    }
+    
+    const selectedFormat = selection.format;
+    item.itags = selectionItags(selection);
     
-    if (!selectedFormat) {
-      throw new Error('Selected format not available');
+    const { clip, error: clipError } = fitClipToDuration(task.clip, info.videoDetails.lengthSeconds);
+    if (clipError) {
+      throw new Error(clipError);
     }
+    item.clip = clip;
     
-    const title = info.videoDetails.title.replace(/[^\w\s]/gi, '');
+    const chapterList = task.chapters ? clipChapters(parseChapters(info), clip) : [];
+    if (task.chapters && chapterList.length === 0) {
+      throw new Error(clip ? 'The clip has no chapters' : 'This video has no chapters');
+    }
+    const chapters = task.chapters && { mode: task.chapters, list: chapterList };
+    const embedChapters = !!chapters && chapters.mode === 'embed';
+    
+    const { captions, error: subtitleError } = task.subtitles
+      ? resolveSubtitles(info, task.subtitles)
+      : { captions: null };
+    if (subtitleError) {
+      throw new Error(subtitleError);
+    }
+    if (captions && !selectedFormat.hasVideo) {
+      throw new Error('Subtitles can only be added to video downloads');
+    }
+    
+    const subtitleMode = task.subtitles && task.subtitles.mode;
+    const reencodeVideo = !!(clip && clip.accurate) || subtitleMode === 'burn';
+    if (captions) {
+      subtitleFiles = await writeSubtitleFiles(captions, path.join(tempDir, jobId), clip);
+    }
+    if (embedChapters && !task.audio) {
+      await writeChapterMetadata(chapterMetadataPath, chapters.list);
+    }
     
+    const extension = task.audio
+      ? audioTarget(task.audio).extension
+      : selectedFormat.hasVideo ? outputTarget(task.output).extension : selectedFormat.container;
     const videoPath = path.join(tempDir, `${jobId}-video.${selectedFormat.container}`);
-    const audioPath = path.join(tempDir, `${jobId}-audio.mp4`);
-    const outputPath = path.join(tempDir, `${jobId}-output.${selectedFormat.hasVideo ? 'mp4' : selectedFormat.container}`);
+    const outputPath = path.join(tempDir, `${jobId}-output.${extension}`);
     
     item.outputPath = outputPath;
     
-    if (selectedFormat.hasVideo && !selectedFormat.hasAudio) {
-      const audioFormat = ytdl.chooseFormat(info.formats, { quality: 'highestaudio' });
-      
-      if (!audioFormat) {
+    if (task.audio) {
+      const sourceFormat = chooseAudioSource(info, selection.audioFormat || selectedFormat);
+      if (!sourceFormat) {
         throw new Error('No suitable audio format found');
       }
+      item.itags = [sourceFormat.itag];
       
-      const videoStream = ytdl(url, { format: selectedFormat });
-      const videoWriter = fs.createWriteStream(videoPath);
-      
-      let videoTotalBytes = 0;
-      let videoDownloadedBytes = 0;
-      
-      videoStream.on('response', (res) => {
-        videoTotalBytes = parseInt(res.headers['content-length'], 10);
-      });
-      
-      videoStream.on('data', (chunk) => {
-        videoDownloadedBytes += chunk.length;
-        if (videoTotalBytes > 0) {
-          const videoProgress = (videoDownloadedBytes / videoTotalBytes) * 40;
-          item.progress = Math.min(40, videoProgress);
-          updateBatchProgress(batchId);
-        }
-      });
-      
-      videoStream.pipe(videoWriter);
-      
-      await new Promise((resolve, reject) => {
-        videoWriter.on('finish', resolve);
-        videoWriter.on('error', reject);
-        videoStream.on('error', reject);
-      });
-      
-      item.progress = 40;
-      updateBatchProgress(batchId);
+      const sourcePath = path.join(tempDir, `${jobId}-source.${sourceFormat.container}`);
       
-      const audioStream = ytdl(url, { format: audioFormat });
-      const audioWriter = fs.createWriteStream(audioPath);
+      try {
+        const source = await downloadFormat(info, sourceFormat, sourcePath, {
+          clip,
+          connections: task.connections,
+          onProgress: (fraction) => {
+            item.progress = fraction * 60;
+            updateBatchProgress(batchId);
+          }
+        });
+        
+        await transcodeAudio({
+          info,
+          input: sourcePath,
+          output: outputPath,
+          audio: task.audio,
+          clip,
+          timeOffset: source.timeOffset,
+          chapters: embedChapters ? chapters.list : [],
+          workPath: path.join(tempDir, jobId),
+          onProgress: (percent) => {
+            item.progress = 60 + (percent * 0.4);
+            updateBatchProgress(batchId);
+          }
+        });
+      } finally {
+        cleanupFiles([sourcePath]);
+      }
       
-      let audioTotalBytes = 0;
-      let audioDownloadedBytes = 0;
+    } else if (selection.audioFormat || (selectedFormat.hasVideo && !selectedFormat.hasAudio)) {
+      const audioFormat = selection.audioFormat || chooseMergeAudio(info, task.output);
       
-      audioStream.on('response', (res) => {
-        audioTotalBytes = parseInt(res.headers['content-length'], 10);
-      });
-      
-      audioStream.on('data', (chunk) => {
-        audioDownloadedBytes += chunk.length;
-        if (audioTotalBytes > 0) {
-          const audioProgress = 40 + (audioDownloadedBytes / audioTotalBytes) * 30;
-          item.progress = Math.min(70, audioProgress);
+      if (!audioFormat) {
+        throw new Error('No suitable audio format found');
+      }
+      item.itags = selectionItags({ format: selectedFormat, audioFormat });
+      
+      const audioPath = path.join(tempDir, `${jobId}-audio.${audioFormat.container}`);
+      const plan = planStreams(task.output, selectedFormat, audioFormat, { reencodeVideo });
+      
+      const [video, audio] = await downloadFormats(info, [
+        { format: selectedFormat, filePath: videoPath },
+        { format: audioFormat, filePath: audioPath }
+      ], {
+        clip,
+        connections: task.connections,
+        onProgress: (fraction) => {
+          item.progress = fraction * 70;
           updateBatchProgress(batchId);
         }
       });
       
-      audioStream.pipe(audioWriter);
-      
-      await new Promise((resolve, reject) => {
-        audioWriter.on('finish', resolve);
-        audioWriter.on('error', reject);
-        audioStream.on('error', reject);
-      });
-      
       item.progress = 70;
       updateBatchProgress(batchId);
       
       await new Promise((resolve, reject) => {
-        ffmpeg()
+        const command = ffmpeg()
           .input(videoPath)
+          .inputOptions(clipInputOptions(clip, video.timeOffset))
           .input(audioPath)
+          .inputOptions(clipInputOptions(clip, audio.timeOffset))
           .outputOptions([
-            '-c:v copy',
-            '-c:a aac',
-            '-strict experimental'
-          ])
+            '-map 0:v:0',
+            '-map 1:a:0',
+            ...plan.options,
+            '-strict experimental',
+            ...clipOutputOptions(clip)
+          ]);
+        
+        let inputCount = 2;
+        if (embedChapters) {
+          applyChapters(command, chapterMetadataPath, inputCount++);
+        }
+        applySubtitles(command, subtitleFiles, {
+          mode: subtitleMode,
+          container: task.output.container,
+          inputCount
+        });
+        
+        command
           .on('progress', (progress) => {
-            const ffmpegProgress = progress.percent || 0;
+            const ffmpegProgress = clipProgressPercent(progress, clip);
             item.progress = 70 + (ffmpegProgress * 0.3);
             updateBatchProgress(batchId);
           })
@@ -352,32 +586,69 @@ async function processDownloadItem(task) {
       cleanupFiles([videoPath, audioPath]);
       
     } else if (selectedFormat.hasAudio) {
-      const stream = ytdl(url, { format: selectedFormat });
-      const writer = fs.createWriteStream(outputPath);
-      
-      let totalBytes = 0;
-      let downloadedBytes = 0;
-      
-      stream.on('response', (res) => {
-        totalBytes = parseInt(res.headers['content-length'], 10);
-      });
-      
-      stream.on('data', (chunk) => {
-        downloadedBytes += chunk.length;
-        if (totalBytes > 0) {
-          const progress = (downloadedBytes / totalBytes) * 100;
-          item.progress = progress;
+      // Muxed formats go through ffmpeg for a clip, subtitles, another container or a re-encode; audio-only
+      // itags keep their own container. Either way the source is downloaded next to the output first.
+      const plan = selectedFormat.hasVideo
+        ? planStreams(task.output, selectedFormat, selectedFormat, { reencodeVideo })
+        : null;
+      const remux = !!clip || subtitleFiles.length > 0 || embedChapters
+        || (plan !== null && !(plan.copy && selectedFormat.container === task.output.container));
+      const sourcePath = remux ? path.join(tempDir, `${jobId}-source.${selectedFormat.container}`) : outputPath;
+      
+      const source = await downloadFormat(info, selectedFormat, sourcePath, {
+        clip,
+        connections: task.connections,
+        onProgress: (fraction) => {
+          item.progress = fraction * (remux ? 70 : 100);
           updateBatchProgress(batchId);
         }
       });
       
-      stream.pipe(writer);
-      
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
-        stream.on('error', reject);
+      if (remux) {
+        const audioCodec = selectedFormat.container === 'webm' ? 'libopus' : 'aac';
+        const codecOptions = plan
+          ? plan.options
+          : clip && clip.accurate ? [`-c:a ${audioCodec}`] : ['-c copy'];
+        
+        try {
+          await new Promise((resolve, reject) => {
+            const command = ffmpeg()
+              .input(sourcePath)
+              .inputOptions(clipInputOptions(clip, source.timeOffset))
+              .outputOptions(['-map 0', ...codecOptions, ...clipOutputOptions(clip)]);
+            
+            let inputCount = 1;
+            if (embedChapters) {
+              applyChapters(command, chapterMetadataPath, inputCount++);
+            }
+            applySubtitles(command, subtitleFiles, {
+              mode: subtitleMode,
+              container: task.output.container,
+              inputCount
+            });
+            
+            command
+              .on('progress', (progress) => {
+                item.progress = 70 + (clipProgressPercent(progress, clip) * 0.3);
+                updateBatchProgress(batchId);
+              })
+              .on('end', resolve)
+              .on('error', reject)
+              .save(outputPath);
+          });
+        } finally {
+          cleanupFiles([sourcePath]);
+        }
+      }
+    }
+    
+    // Split items are served as a ZIP of one file per chapter.
+    if (chapters && chapters.mode === 'split') {
+      item.chapterFiles = await splitByChapters(outputPath, chapters.list, {
+        workPath: path.join(tempDir, jobId),
+        extension: path.extname(outputPath).slice(1)
       });
+      cleanupFiles([outputPath]);
     }
     
     item.status = 'completed';
@@ -405,8 +676,46 @@ async function processDownloadItem(task) {
     }
     
     throw error;
+  } finally {
+    cleanupFiles([chapterMetadataPath, ...subtitleFiles.map(file => file.path)]);
   }
 }
+// Split items have one file per chapter in place of the single output.
+function itemFiles(item) {
+  if (item.chapterFiles) return item.chapterFiles;
+  return item.outputPath ? [{ path: item.outputPath }] : [];
+}
+
+function hasItemFiles(item) {
+  const files = itemFiles(item);
+  return files.length > 0 && files.every(file => fs.existsSync(file.path));
+}
+
+// The output file is named after the container it was actually written in.
+function itemExtension(item) {
+  return path.extname(item.outputPath).slice(1);
+}
+
+// Playlist items are prefixed with their zero-padded playlist index so the files sort in playlist order.
+function itemTitle(item) {
+  const title = item.info?.title?.replace(/[^\w\s]/gi, '') || `video-${item.id}`;
+  const name = item.clip ? `${title} ${clipLabel(item.clip)}` : title;
+  if (!item.playlist) return name;
+  
+  const index = String(item.playlist.index).padStart(String(item.playlist.lastIndex).length, '0');
+  return `${index} - ${name}`;
+}
+
+// Inside the ZIP each playlist gets a folder of its own, and so does each split item.
+function itemZipEntries(item) {
+  const folder = item.playlist ? `${item.playlist.title.replace(/[^\w\s]/gi, '').trim() || item.playlist.id}/` : '';
+  if (!item.chapterFiles) {
+    return [{ path: item.outputPath, name: `${folder}${itemTitle(item)}.${itemExtension(item)}` }];
+  }
+  
+  return item.chapterFiles.map(file => ({ path: file.path, name: `${folder}${itemTitle(item)}/${file.name}` }));
+}
+
 function updateBatchProgress(batchId) {
     if (!batchJobs.has(batchId)) return;
     
@@ -438,8 +747,10 @@ function updateBatchProgress(batchId) {
       res.json({
         batchId,
         status: batchJob.status,
+        error: batchJob.error,
         progress: batchJob.progress,
         totalItems: batchJob.totalItems,
+        playlists: batchJob.playlists,
         completedItems: batchJob.completedItems,
         failedItems: batchJob.failedItems,
         items: batchJob.items.map(item => ({
@@ -448,7 +759,14 @@ function updateBatchProgress(batchId) {
           status: item.status,
           progress: item.progress,
           error: item.error,
-          title: item.info?.title || null
+          title: item.info?.title || null,
+          clip: item.clip || null,
+          audio: item.audio || null,
+          output: item.output || null,
+          format: item.format || DEFAULT_FORMAT,
+          chapters: item.chapters || null,
+          itags: item.itags || null,
+          playlist: item.playlist || null
         }))
       });
     } catch (error) {
@@ -457,7 +775,7 @@ function updateBatchProgress(batchId) {
     }
   });
   
-  router.get('/download/zip', (req, res) => {
+  router.get('/download/zip', async (req, res) => {
     try {
       const { batchId } = req.query;
       
@@ -467,54 +785,28 @@ function updateBatchProgress(batchId) {
       
       const batchJob = batchJobs.get(batchId);
       
-      const completedItems = batchJob.items.filter(item => 
-        item.status === 'completed' && 
-        item.outputPath && 
-        fs.existsSync(item.outputPath)
-      );
+      const completedItems = batchJob.items.filter(item => item.status === 'completed' && hasItemFiles(item));
       
       if (completedItems.length === 0) {
         return res.status(400).json({ error: 'No completed downloads in this batch' });
       }
       
       const zipPath = path.join(tempDir, `${batchId}-downloads.zip`);
-      const output = fs.createWriteStream(zipPath);
-      const archive = archiver('zip', { zlib: { level: 5 } });
+      const entries = completedItems.flatMap(itemZipEntries);
       
-      archive.pipe(output);
-      
-      completedItems.forEach(item => {
-        const fileExt = item.info && item.info.formats && item.info.formats.find(f => f.itag === item.format)?.container || 'mp4';
-        const sanitizedTitle = item.info?.title?.replace(/[^\w\s]/gi, '') || `video-${item.id}`;
-        archive.file(item.outputPath, { name: `${sanitizedTitle}.${fileExt}` });
-      });
-      
-      archive.finalize();
-      
-      output.on('close', () => {
-        res.download(zipPath, 'youtube-downloads.zip', err => {
-          if (err) {
-            console.error('Error sending zip file:', err);
-          }
-          setTimeout(() => {
-            if (fs.existsSync(zipPath)) {
-              fs.unlinkSync(zipPath);
-            }
-          }, 60000);
-        });
-      });
-      
-      archive.on('error', err => {
+      try {
+        await sendZip(res, zipPath, entries, 'youtube-downloads.zip');
+      } catch (err) {
         console.error('Error creating zip archive:', err);
         res.status(500).json({ error: 'Failed to create zip file' });
-      });
+      }
     } catch (error) {
       console.error('Error downloading batch as zip:', error);
       res.status(500).json({ error: error.message });
     }
   });
   
-  router.get('/download/item', (req, res) => {
+  router.get('/download/item', async (req, res) => {
     try {
       const { batchId, itemId } = req.query;
       
@@ -529,12 +821,22 @@ function updateBatchProgress(batchId) {
         return res.status(404).json({ error: 'Item not found' });
       }
       
-      if (item.status !== 'completed' || !item.outputPath || !fs.existsSync(item.outputPath)) {
+      if (item.status !== 'completed' || !hasItemFiles(item)) {
         return res.status(400).json({ error: 'Item not ready for download' });
       }
       
-      const fileExt = item.info && item.info.formats && item.info.formats.find(f => f.itag === item.format)?.container || 'mp4';
-      const sanitizedTitle = item.info?.title?.replace(/[^\w\s]/gi, '') || `video-${item.id}`;
+      const fileExt = itemExtension(item);
+      const sanitizedTitle = itemTitle(item);
+      
+      if (item.chapterFiles) {
+        try {
+          await sendZip(res, path.join(tempDir, `${item.id}-chapters.zip`), item.chapterFiles, `${sanitizedTitle}.zip`);
+        } catch (err) {
+          console.error('Error creating chapter zip:', err);
+          res.status(500).json({ error: 'Failed to create zip file' });
+        }
+        return;
+      }
       
       res.download(item.outputPath, `${sanitizedTitle}.${fileExt}`);
     } catch (error) {
@@ -553,11 +855,7 @@ function updateBatchProgress(batchId) {
       
       const batchJob = batchJobs.get(batchId);
       
-      batchJob.items.forEach(item => {
-        if (item.outputPath && fs.existsSync(item.outputPath)) {
-          fs.unlinkSync(item.outputPath);
-        }
-      });
+      batchJob.items.forEach(item => cleanupFiles(itemFiles(item).map(file => file.path)));
       
       batchJobs.delete(batchId);
       
@@ -572,15 +870,7 @@ function updateBatchProgress(batchId) {
     const now = Date.now();
     for (const [batchId, batchJob] of batchJobs.entries()) {
       if (now - batchJob.createdAt > 6 * 3600000) {
-        batchJob.items.forEach(item => {
-          if (item.outputPath && fs.existsSync(item.outputPath)) {
-            try {
-              fs.unlinkSync(item.outputPath);
-            } catch (err) {
-              console.error('Error cleaning up batch file:', err);
-            }
-          }
-        });
+        batchJob.items.forEach(item => cleanupFiles(itemFiles(item).map(file => file.path)));
         
         batchJobs.delete(batchId);
       }
@@ -0,0 +1,106 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { normalizeTargetUrl } = require('../lib/analyzer');
+const { WAIT_UNTIL_OPTIONS, parseViewport, parseTimeout, measurePage } = require('../lib/browser');
+const { summarizeWaterfall } = require('../lib/performance');
+const { FetchRejectedError, assertSafeUrl, isSafeUrl } = require('../lib/safeFetch');
+
+const router = express.Router();
+
+const HAR_TTL = 3600000;
+const MAX_STORED_HARS = 50;
+
+const harStore = new Map();
+
+function storeHar(entry) {
+  harStore.set(entry.id, entry);
+
+  // Map keeps insertion order, so the first keys are the oldest runs.
+  while (harStore.size > MAX_STORED_HARS) {
+    harStore.delete(harStore.keys().next().value);
+  }
+}
+
+router.get('/analyze/performance', async (req, res) => {
+  try {
+    const targetUrl = normalizeTargetUrl(req.query.url);
+    const viewport = parseViewport(req.query.viewport);
+    const timeout = parseTimeout(req.query.timeout);
+    const waitUntil = req.query.waitUntil || 'load';
+
+    if (!viewport) {
+      return res.status(400).json({ error: 'Invalid viewport, expected WIDTHxHEIGHT' });
+    }
+    if (!timeout) {
+      return res.status(400).json({ error: 'Invalid timeout' });
+    }
+    if (!WAIT_UNTIL_OPTIONS.includes(waitUntil)) {
+      return res.status(400).json({ error: `waitUntil must be one of: ${WAIT_UNTIL_OPTIONS.join(', ')}` });
+    }
+
+    await assertSafeUrl(targetUrl);
+
+    const result = await measurePage(targetUrl, {
+      viewport,
+      timeout,
+      waitUntil,
+      userAgent: req.query.userAgent,
+      requestFilter: isSafeUrl
+    });
+
+    const id = uuidv4();
+    storeHar({ id, url: targetUrl, har: result.har, createdAt: Date.now() });
+
+    res.json({
+      id,
+      url: targetUrl,
+      finalUrl: result.url,
+      statusCode: result.statusCode,
+      title: result.title,
+      metrics: result.metrics,
+      waterfall: summarizeWaterfall(result.har),
+      harUrl: `/api/analyze/performance/har?id=${id}`
+    });
+  } catch (error) {
+    if (error instanceof FetchRejectedError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('Error measuring page performance:', error.message);
+    res.status(500).json({
+      error: 'Failed to measure page performance',
+      details: error.message
+    });
+  }
+});
+
+router.get('/analyze/performance/har', (req, res) => {
+  try {
+    const { id } = req.query;
+
+    if (!id || !harStore.has(id)) {
+      return res.status(404).json({ error: 'HAR not found or expired' });
+    }
+
+    const entry = harStore.get(id);
+    const hostname = new URL(entry.url).hostname.replace(/[^\w.-]/g, '_');
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${hostname}-${id}.har"`);
+    res.send(JSON.stringify(entry.har, null, 2));
+  } catch (error) {
+    console.error('Error downloading HAR:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, entry] of harStore.entries()) {
+    if (now - entry.createdAt > HAR_TTL) {
+      harStore.delete(id);
+    }
+  }
+}, 600000);
+
+module.exports = router;
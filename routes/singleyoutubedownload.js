@@ -6,6 +6,41 @@ const os = require('os');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const {
+  parseClipOptions,
+  fitClipToDuration,
+  clipLabel,
+  clipInputOptions,
+  clipOutputOptions,
+  clipProgressPercent,
+  downloadFormat,
+  downloadFormats
+} = require('../lib/clip');
+const { parseAudioOptions, audioTarget, chooseAudioSource, transcodeAudio } = require('../lib/audio');
+const { parseOutputOptions, outputTarget, planStreams, chooseMergeAudio } = require('../lib/container');
+const {
+  CAPTION_FORMATS,
+  listCaptionTracks,
+  findCaptionTrack,
+  captionLanguage,
+  fetchCaptionCues,
+  formatCaptions,
+  parseSubtitleOptions,
+  resolveSubtitles,
+  writeSubtitleFiles,
+  applySubtitles
+} = require('../lib/captions');
+const {
+  parseChapters,
+  parseChapterOptions,
+  clipChapters,
+  writeChapterMetadata,
+  applyChapters,
+  splitByChapters
+} = require('../lib/chapters');
+const { sendZip } = require('../lib/zip');
+const { DEFAULT_FORMAT, parseFormatOption, selectFormats, selectionItags } = require('../lib/formatSelector');
+const { parseConnectionOptions } = require('../lib/chunkedDownload');
 
 const router = express.Router();
 
@@ -22,12 +57,37 @@ setInterval(() => {
   const now = Date.now();
   for (const [jobId, job] of activeJobs.entries()) {
     if (now - job.createdAt > 3600000) {
-      cleanupFiles([job.videoPath, job.audioPath, job.outputPath]);
+      cleanupFiles(jobFiles(job));
       activeJobs.delete(jobId);
     }
   }
 }, 3600000);
 
+function jobFiles(job) {
+  return [job.videoPath, job.audioPath, job.outputPath, ...(job.chapterFiles || []).map(file => file.path)];
+}
+
+// Split jobs end up as one file per chapter, served together as a ZIP.
+async function splitIntoChapters(jobId, outputPath, chapters, startProgress) {
+  const files = await splitByChapters(outputPath, chapters.list, {
+    workPath: path.join(tempDir, jobId),
+    extension: path.extname(outputPath).slice(1),
+    onProgress: (fraction) => {
+      const job = activeJobs.get(jobId);
+      if (job) job.progress = startProgress + fraction * (100 - startProgress);
+    }
+  });
+  
+  cleanupFiles([outputPath]);
+  
+  const job = activeJobs.get(jobId);
+  if (job) {
+    job.chapterFiles = files;
+  } else {
+    cleanupFiles(files.map(file => file.path));
+  }
+}
+
 function cleanupFiles(filePaths) {
   for (const filePath of filePaths) {
     if (filePath && fs.existsSync(filePath)) {
@@ -40,103 +100,78 @@ function cleanupFiles(filePaths) {
   }
 }
 
-async function processDownload(jobId, url, format, audioFormat, videoPath, audioPath, outputPath) {
+async function processDownload(jobId, info, format, audioFormat, videoPath, audioPath, outputPath, { clip, plan, output, subtitles, chapters, connections }) {
+  const chapterMetadataPath = path.join(tempDir, `${jobId}-chapters.txt`);
+  const mergeShare = chapters && chapters.mode === 'split' ? 0.2 : 0.3;
+  let subtitleFiles = [];
+  
   try {
-    const videoWriteStream = fs.createWriteStream(videoPath);
-    const videoDownload = ytdl(url, { format });
-    
-    let videoTotalBytes = 0;
-    let videoDownloadedBytes = 0;
-    
-    videoDownload.on('response', (res) => {
-      videoTotalBytes = parseInt(res.headers['content-length'], 10);
-    });
-    
-    let lastVideoProgressUpdate = Date.now();
-    videoDownload.on('data', (chunk) => {
-      videoDownloadedBytes += chunk.length;
-      
-      if (videoTotalBytes > 0) {
-        const now = Date.now();
-        if (now - lastVideoProgressUpdate >= 100) {
-          const videoProgress = (videoDownloadedBytes / videoTotalBytes) * 40;
-          const job = activeJobs.get(jobId);
-          if (job) job.progress = Math.min(40, videoProgress);
-          lastVideoProgressUpdate = now;
-        }
+    const [video, audio] = await downloadFormats(info, [
+      { format, filePath: videoPath },
+      { format: audioFormat, filePath: audioPath }
+    ], {
+      clip,
+      connections,
+      onProgress: (fraction) => {
+        const job = activeJobs.get(jobId);
+        if (job) job.progress = fraction * 70;
       }
     });
   
-    videoDownload.pipe(videoWriteStream);
-  
-    await new Promise((resolve, reject) => {
-      videoWriteStream.on('finish', resolve);
-      videoWriteStream.on('error', reject);
-      videoDownload.on('error', reject);
-    });
-  
-    const job = activeJobs.get(jobId);
-    if (!job) return;
-    job.progress = 40;
-  
-    const audioWriteStream = fs.createWriteStream(audioPath);
-    const audioDownload = ytdl(url, { format: audioFormat });
-    
-    let audioTotalBytes = 0;
-    let audioDownloadedBytes = 0;
+    const jobAfterDownload = activeJobs.get(jobId);
+    if (!jobAfterDownload) return;
+    jobAfterDownload.progress = 70;
     
-    audioDownload.on('response', (res) => {
-      audioTotalBytes = parseInt(res.headers['content-length'], 10);
-    });
-    
-    let lastAudioProgressUpdate = Date.now();
-    audioDownload.on('data', (chunk) => {
-      audioDownloadedBytes += chunk.length;
-      
-      if (audioTotalBytes > 0) {
-        const now = Date.now();
-        if (now - lastAudioProgressUpdate >= 100) {
-          const audioProgress = 40 + (audioDownloadedBytes / audioTotalBytes) * 30;
-          const job = activeJobs.get(jobId);
-          if (job) job.progress = Math.min(70, audioProgress);
-          lastAudioProgressUpdate = now;
-        }
-      }
-    });
-  
-    audioDownload.pipe(audioWriteStream);
-  
-    await new Promise((resolve, reject) => {
-      audioWriteStream.on('finish', resolve);
-      audioWriteStream.on('error', reject);
-      audioDownload.on('error', reject);
-    });
-  
-    const jobAfterAudio = activeJobs.get(jobId);
-    if (!jobAfterAudio) return;
-    jobAfterAudio.progress = 70;
+    if (subtitles) {
+      subtitleFiles = await writeSubtitleFiles(subtitles.captions, path.join(tempDir, jobId), clip);
+    }
+    if (chapters && chapters.mode === 'embed') {
+      await writeChapterMetadata(chapterMetadataPath, chapters.list);
+    }
   
     await new Promise((resolve, reject) => {
-      ffmpeg()
+      const command = ffmpeg()
         .input(videoPath)
+        .inputOptions(clipInputOptions(clip, video.timeOffset))
         .input(audioPath)
+        .inputOptions(clipInputOptions(clip, audio.timeOffset))
         .outputOptions([
-          '-c:v copy',
-          '-c:a aac',
+          '-map 0:v:0',
+          '-map 1:a:0',
+          ...plan.options,
           '-strict experimental',
+          ...clipOutputOptions(clip),
           '-stats_period 0.1'
-        ])
+        ]);
+      
+      let inputCount = 2;
+      if (chapters && chapters.mode === 'embed') {
+        applyChapters(command, chapterMetadataPath, inputCount++);
+      }
+      applySubtitles(command, subtitleFiles, {
+        mode: subtitles && subtitles.mode,
+        container: output.container,
+        inputCount
+      });
+      
+      command
         .on('progress', (progress) => {
           const jobDuringMerge = activeJobs.get(jobId);
           if (jobDuringMerge) {
-            const ffmpegProgress = progress.percent || 0;
-            jobDuringMerge.progress = 70 + (ffmpegProgress * 0.3);
+            const ffmpegProgress = clipProgressPercent(progress, clip);
+            jobDuringMerge.progress = 70 + (ffmpegProgress * mergeShare);
           }
         })
         .on('end', resolve)
         .on('error', reject)
         .save(outputPath);
     });
+    
+    cleanupFiles([chapterMetadataPath, ...subtitleFiles.map(file => file.path)]);
+    
+    if (chapters && chapters.mode === 'split') {
+      await splitIntoChapters(jobId, outputPath, chapters, 90);
+    }
   
     const jobAfterMerge = activeJobs.get(jobId);
     if (jobAfterMerge) {
@@ -151,7 +186,62 @@ async function processDownload(jobId, url, format, audioFormat, videoPath, audio
       job.error = error.message || 'Error processing video';
     }
     
-    cleanupFiles([videoPath, audioPath, outputPath]);
+    cleanupFiles([videoPath, audioPath, outputPath, chapterMetadataPath, ...subtitleFiles.map(file => file.path)]);
+  }
+}
+
+async function processAudioDownload(jobId, info, format, sourcePath, outputPath, { audio, clip, chapters, connections }) {
+  const transcodeShare = chapters && chapters.mode === 'split' ? 0.3 : 0.4;
+  
+  try {
+    const source = await downloadFormat(info, format, sourcePath, {
+      clip,
+      connections,
+      onProgress: (fraction) => {
+        const job = activeJobs.get(jobId);
+        if (job) job.progress = fraction * 60;
+      }
+    });
+    
+    const job = activeJobs.get(jobId);
+    if (!job) return;
+    job.progress = 60;
+    
+    await transcodeAudio({
+      info,
+      input: sourcePath,
+      output: outputPath,
+      audio,
+      clip,
+      timeOffset: source.timeOffset,
+      chapters: chapters && chapters.mode === 'embed' ? chapters.list : [],
+      workPath: path.join(tempDir, jobId),
+      onProgress: (percent) => {
+        const jobDuringTranscode = activeJobs.get(jobId);
+        if (jobDuringTranscode) jobDuringTranscode.progress = 60 + (percent * transcodeShare);
+      }
+    });
+    
+    cleanupFiles([sourcePath]);
+    
+    if (chapters && chapters.mode === 'split') {
+      await splitIntoChapters(jobId, outputPath, chapters, 90);
+    }
+    
+    const jobAfterTranscode = activeJobs.get(jobId);
+    if (jobAfterTranscode) {
+      jobAfterTranscode.progress = 100;
+      jobAfterTranscode.completed = true;
+    }
+  } catch (error) {
+    console.error('Audio processing error:', error);
+    
+    const job = activeJobs.get(jobId);
+    if (job) {
+      job.error = error.message || 'Error processing audio';
+    }
+    
+    cleanupFiles([sourcePath, outputPath]);
   }
 }
 
@@ -185,7 +275,9 @@ router.get('/info', async (req, res) => {
       formats,
       thumbnail: info.videoDetails.thumbnails[0].url,
       author: info.videoDetails.author,
-      lengthSeconds: info.videoDetails.lengthSeconds
+      lengthSeconds: info.videoDetails.lengthSeconds,
+      captions: listCaptionTracks(info),
+      chapters: parseChapters(info)
     });
   } catch (error) {
     console.error('Error fetching video info:', error);
@@ -193,34 +285,177 @@ router.get('/info', async (req, res) => {
   }
 });
 
+router.get('/captions/download', async (req, res) => {
+  try {
+    const { url, lang } = req.query;
+    const format = String(req.query.format || 'srt').toLowerCase();
+    
+    if (!ytdl.validateURL(url)) {
+      return res.status(400).json({ error: 'Invalid YouTube URL' });
+    }
+    if (!lang) {
+      return res.status(400).json({ error: 'lang is required' });
+    }
+    if (!CAPTION_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of ${Object.keys(CAPTION_FORMATS).join(', ')}` });
+    }
+    
+    const info = await ytdl.getInfo(url);
+    const caption = findCaptionTrack(info, lang);
+    
+    if (!caption) {
+      return res.status(404).json({ error: `No caption track for ${lang}` });
+    }
+    
+    const cues = await fetchCaptionCues(caption);
+    const title = info.videoDetails.title.replace(/[^\w\s]/gi, '');
+    const target = CAPTION_FORMATS[format];
+    
+    res.header('Content-Disposition', `attachment; filename="${title}.${captionLanguage(caption)}.${target.extension}"`);
+    res.type(`${target.mimeType}; charset=utf-8`);
+    res.send(formatCaptions(cues, format));
+  } catch (error) {
+    console.error('Error downloading captions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.get('/download/start', async (req, res) => {
   try {
     const url = req.query.url;
-    const itag = req.query.format;
     
     if (!ytdl.validateURL(url)) {
       return res.status(400).json({ error: 'Invalid YouTube URL' });
     }
     
+    const { format: formatExpression, error: formatError } = parseFormatOption(req.query);
+    if (formatError) {
+      return res.status(400).json({ error: formatError });
+    }
+    
+    const clipOptions = parseClipOptions(req.query);
+    if (clipOptions.error) {
+      return res.status(400).json({ error: clipOptions.error });
+    }
+    
+    const { audio, error: audioError } = parseAudioOptions(req.query);
+    if (audioError) {
+      return res.status(400).json({ error: audioError });
+    }
+    
+    const { output, error: outputError } = parseOutputOptions(req.query);
+    if (outputError) {
+      return res.status(400).json({ error: outputError });
+    }
+    
+    const subtitleOptions = parseSubtitleOptions(req.query);
+    if (subtitleOptions.error) {
+      return res.status(400).json({ error: subtitleOptions.error });
+    }
+    if (audio && subtitleOptions.subtitles) {
+      return res.status(400).json({ error: 'Subtitles can only be added to video downloads' });
+    }
+    
+    const { chapters: chapterMode, error: chapterError } = parseChapterOptions(req.query);
+    if (chapterError) {
+      return res.status(400).json({ error: chapterError });
+    }
+    
+    const { connections, error: connectionError } = parseConnectionOptions(req.query);
+    if (connectionError) {
+      return res.status(400).json({ error: connectionError });
+    }
+    
     const jobId = uuidv4();
     const info = await ytdl.getInfo(url);
-    const format = info.formats.find(f => f.itag === parseInt(itag));
     
-    if (!format) {
-      return res.status(400).json({ error: 'Invalid format' });
+    // Audio mode can pick its own source stream, so the format is optional there.
+    const { selection, error: selectionError } = formatExpression || !audio
+      ? selectFormats(info.formats, formatExpression || DEFAULT_FORMAT)
+      : { selection: null };
+    if (selectionError) {
+      return res.status(400).json({ error: selectionError });
     }
+    const format = selection && selection.format;
     
-    const title = info.videoDetails.title.replace(/[^\w\s]/gi, '');
-    const videoPath = path.join(tempDir, `${jobId}-video.${format.container}`);
-    const audioPath = path.join(tempDir, `${jobId}-audio.mp4`);
-    const outputPath = path.join(tempDir, `${jobId}-output.mp4`);
+    const { clip, error: clipError } = fitClipToDuration(clipOptions.clip, info.videoDetails.lengthSeconds);
+    if (clipError) {
+      return res.status(400).json({ error: clipError });
+    }
+    
+    const baseTitle = info.videoDetails.title.replace(/[^\w\s]/gi, '');
+    const title = clip ? `${baseTitle} ${clipLabel(clip)}` : baseTitle;
     
-    const audioFormat = ytdl.chooseFormat(info.formats, { quality: 'highestaudio' });
+    const chapterList = chapterMode ? clipChapters(parseChapters(info), clip) : [];
+    if (chapterMode && chapterList.length === 0) {
+      return res.status(400).json({ error: clip ? 'The clip has no chapters' : 'This video has no chapters' });
+    }
+    const chapters = chapterMode && { mode: chapterMode, list: chapterList };
+    
+    if (audio) {
+      const sourceFormat = chooseAudioSource(info, selection && (selection.audioFormat || format));
+      if (!sourceFormat) {
+        return res.status(400).json({ error: 'No suitable audio format found' });
+      }
+      
+      const target = audioTarget(audio);
+      const sourcePath = path.join(tempDir, `${jobId}-source.${sourceFormat.container}`);
+      const outputPath = path.join(tempDir, `${jobId}-output.${target.extension}`);
+      
+      activeJobs.set(jobId, {
+        id: jobId,
+        url,
+        progress: 0,
+        completed: false,
+        error: null,
+        videoPath: null,
+        audioPath: sourcePath,
+        outputPath,
+        title,
+        clip,
+        audio,
+        extension: target.extension,
+        mimeType: target.mimeType,
+        createdAt: Date.now()
+      });
+      
+      processAudioDownload(jobId, info, sourceFormat, sourcePath, outputPath, { audio, clip, chapters, connections });
+      
+      return res.json({
+        jobId,
+        message: 'Download started',
+        clip,
+        audio,
+        itags: [sourceFormat.itag],
+        chapters: chapters && { mode: chapters.mode, count: chapters.list.length }
+      });
+    }
+    
+    if (!format.hasVideo) {
+      return res.status(400).json({ error: 'The selected format has no video; pass audio to extract audio' });
+    }
+    
+    const audioFormat = selection.audioFormat || chooseMergeAudio(info, output);
     
     if (!audioFormat) {
       return res.status(400).json({ error: 'No suitable audio format found' });
     }
     
+    const { captions, error: subtitleError } = subtitleOptions.subtitles
+      ? resolveSubtitles(info, subtitleOptions.subtitles)
+      : { captions: null };
+    if (subtitleError) {
+      return res.status(400).json({ error: subtitleError });
+    }
+    
+    const subtitles = captions && { mode: subtitleOptions.subtitles.mode, captions };
+    const burnSubtitles = !!(subtitles && subtitles.mode === 'burn');
+    const target = outputTarget(output);
+    const plan = planStreams(output, format, audioFormat, { reencodeVideo: !!(clip && clip.accurate) || burnSubtitles });
+    const videoPath = path.join(tempDir, `${jobId}-video.${format.container}`);
+    const audioPath = path.join(tempDir, `${jobId}-audio.${audioFormat.container}`);
+    const outputPath = path.join(tempDir, `${jobId}-output.${target.extension}`);
+    
     activeJobs.set(jobId, {
       id: jobId,
       url,
@@ -231,14 +466,25 @@ router.get('/download/start', async (req, res) => {
       audioPath,
       outputPath,
       title,
+      clip,
+      extension: target.extension,
+      mimeType: target.mimeType,
       createdAt: Date.now()
     });
     
-    processDownload(jobId, url, format, audioFormat, videoPath, audioPath, outputPath);
+    processDownload(jobId, info, format, audioFormat, videoPath, audioPath, outputPath, { clip, plan, output, subtitles, chapters, connections });
     
     res.json({
       jobId,
-      message: 'Download started'
+      message: 'Download started',
+      clip,
+      itags: selectionItags({ format, audioFormat }),
+      output: { ...output, video: plan.video, audio: plan.audio },
+      subtitles: subtitles && {
+        mode: subtitles.mode,
+        languages: subtitles.captions.map(captionLanguage)
+      },
+      chapters: chapters && { mode: chapters.mode, count: chapters.list.length }
     });
     
   } catch (error) {
@@ -262,7 +508,7 @@ router.get('/download/progress', (req, res) => {
   });
 });
 
-router.get('/download/file', (req, res) => {
+router.get('/download/file', async (req, res) => {
   const { jobId } = req.query;
   
   if (!jobId || !activeJobs.has(jobId)) {
@@ -279,15 +525,26 @@ router.get('/download/file', (req, res) => {
     return res.status(500).json({ error: job.error });
   }
   
-  if (!fs.existsSync(job.outputPath)) {
+  const files = job.chapterFiles || [{ path: job.outputPath }];
+  if (!files.every(file => fs.existsSync(file.path))) {
     return res.status(404).json({ error: 'Output file not found' });
   }
   
-  res.header('Content-Disposition', `attachment; filename="${job.title}.mp4"`);
-  fs.createReadStream(job.outputPath).pipe(res);
+  if (job.chapterFiles) {
+    try {
+      await sendZip(res, path.join(tempDir, `${jobId}-chapters.zip`), job.chapterFiles, `${job.title}.zip`);
+    } catch (error) {
+      console.error('Error creating chapter zip:', error);
+      return res.status(500).json({ error: 'Failed to create zip file' });
+    }
+  } else {
+    res.header('Content-Disposition', `attachment; filename="${job.title}.${job.extension}"`);
+    res.type(job.mimeType);
+    fs.createReadStream(job.outputPath).pipe(res);
+  }
   
   setTimeout(() => {
-    cleanupFiles([job.videoPath, job.audioPath, job.outputPath]);
+    cleanupFiles(jobFiles(job));
     activeJobs.delete(jobId);
   }, 60000);
 });
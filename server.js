@@ -1,93 +1,41 @@
 // server.js
 const express = require('express');
-const axios = require('axios');
-const cheerio = require('cheerio');
 const cors = require('cors');
-const url = require('url');
+const { normalizeTargetUrl, parseAnalyzeOptions, analyzeUrl } = require('./lib/analyzer');
+const { listTechnologies } = require('./lib/technologies');
+const { FetchRejectedError } = require('./lib/safeFetch');
+const crawlRoutes = require('./routes/crawl');
+const monitorRoutes = require('./routes/monitor');
+const archiveRoutes = require('./routes/archive');
+const analyzeBatchRoutes = require('./routes/analyzeBatch');
+const performanceRoutes = require('./routes/performance');
 
 const app = express();
 app.use(cors());
+// Large enough for analyze requests that carry a POST body of their own.
+app.use(express.json({ limit: '2mb' }));
 
-const extractDomain = (urlString) => {
-  try {
-    const parsedUrl = new URL(urlString);
-    return parsedUrl.hostname;
-  } catch (e) {
-    return urlString;
-  }
-};
+app.use('/api', crawlRoutes);
+app.use('/api', monitorRoutes);
+app.use('/api', archiveRoutes);
+app.use('/api', analyzeBatchRoutes);
+app.use('/api', performanceRoutes);
 
-const getRandomUserAgent = () => {
-  const userAgents = [
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Safari/605.1.15',
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:90.0) Gecko/20100101 Firefox/90.0',
-    'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/92.0.4515.107 Safari/537.36',
-    'Mozilla/5.0 (iPhone; CPU iPhone OS 14_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1'
-  ];
-  
-  return userAgents[Math.floor(Math.random() * userAgents.length)];
-};
-
-app.get('/api/analyze', async (req, res) => {
+async function handleAnalyze(source, res) {
   try {
-    let targetUrl = req.query.url;
-    if (!targetUrl.startsWith('http')) {
-      targetUrl = `https://${targetUrl}`;
-    }
-    
-    const response = await axios.get(targetUrl, {
-      headers: {
-        'User-Agent': getRandomUserAgent(),
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Referer': 'https://www.google.com/',
-        'DNT': '1'
-      },
-      timeout: 10000, // 10 second timeout
-      maxRedirects: 5
-    });
-    
-    const $ = cheerio.load(response.data);
-    
-    const scripts = [];
-    $('script').each((_, element) => {
-      const src = $(element).attr('src');
-      if (src) scripts.push(src);
-    });
-    
-    const stylesheets = [];
-    $('link[rel="stylesheet"]').each((_, element) => {
-      const href = $(element).attr('href');
-      if (href) stylesheets.push(href);
-    });
+    const targetUrl = normalizeTargetUrl(source.url);
+    const { options, error } = parseAnalyzeOptions(source);
     
-    const metaTags = {};
-    $('meta').each((_, element) => {
-      const name = $(element).attr('name') || $(element).attr('property');
-      const content = $(element).attr('content');
-      if (name && content) metaTags[name] = content;
-    });
-    
-    const favicons = [];
-    $('link[rel="icon"], link[rel="shortcut icon"], link[rel="apple-touch-icon"]').each((_, element) => {
-      const href = $(element).attr('href');
-      if (href) favicons.push(href);
-    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
     
-    res.json({
-      url: targetUrl,
-      domain: extractDomain(targetUrl),
-      title: $('title').text(),
-      html: response.data,
-      headers: response.headers,
-      scripts,
-      stylesheets,
-      metaTags,
-      favicons,
-      statusCode: response.status
-    });
+    res.json(await analyzeUrl(targetUrl, options));
   } catch (error) {
+    if (error instanceof FetchRejectedError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
     console.error('Error analyzing website:', error.message);
     
     const errorResponse = {
@@ -104,6 +52,15 @@ app.get('/api/analyze', async (req, res) => {
     
     res.status(500).json(errorResponse);
   }
+}
+
+// Credentials don't belong in query strings (and access logs), so `request` is POST-only.
+app.get('/api/analyze', (req, res) => handleAnalyze({ ...req.query, request: undefined }, res));
+
+app.post('/api/analyze', (req, res) => handleAnalyze(req.body || {}, res));
+
+app.get('/api/technologies', (req, res) => {
+  res.json({ technologies: listTechnologies() });
 });
 
 app.get('/health', (req, res) => {